@@ -0,0 +1,521 @@
+/**
+ * Excel Unit Test Runner
+ * Parsing and resolution of cell, range, name and table addresses
+ */
+
+/**
+ * Convert a column name like "E" or "AB" to its 1-based number
+ */
+function columnToNumber(column) {
+    let number = 0;
+    for (const char of column.toUpperCase()) {
+        number = number * 26 + (char.charCodeAt(0) - 64);
+    }
+    return number;
+}
+
+/**
+ * Convert a 1-based column number to its name, e.g. 28 -> "AB"
+ */
+function numberToColumn(number) {
+    let column = '';
+    while (number > 0) {
+        const remainder = (number - 1) % 26;
+        column = String.fromCharCode(65 + remainder) + column;
+        number = Math.floor((number - 1) / 26);
+    }
+    return column;
+}
+
+/**
+ * Parses an A1 range like "E12:J12" (or a single cell like "$B$2") into
+ * 1-based row/column bounds and its size
+ */
+function parseA1Range(rangeAddress) {
+    const match = /^\$?([A-Za-z]{1,3})\$?(\d+)(?::\$?([A-Za-z]{1,3})\$?(\d+))?$/.exec(rangeAddress.trim());
+    if (!match) {
+        throw new Error(`Invalid range address: ${rangeAddress}. Expected a cell like "A1" or a range like "A1:C3"`);
+    }
+    const startColumn = columnToNumber(match[1]);
+    const startRow = parseInt(match[2], 10);
+    const endColumn = match[3] ? columnToNumber(match[3]) : startColumn;
+    const endRow = match[4] ? parseInt(match[4], 10) : startRow;
+    return {
+        startRow: Math.min(startRow, endRow),
+        startColumn: Math.min(startColumn, endColumn),
+        endRow: Math.max(startRow, endRow),
+        endColumn: Math.max(startColumn, endColumn),
+        rowCount: Math.abs(endRow - startRow) + 1,
+        columnCount: Math.abs(endColumn - startColumn) + 1
+    };
+}
+
+/**
+ * Returns the A1 address of the cell at a 0-based (row, column) offset inside a range
+ */
+function cellAddressAt(rangeAddress, rowIndex, columnIndex) {
+    const bounds = parseA1Range(rangeAddress);
+    return `${numberToColumn(bounds.startColumn + columnIndex)}${bounds.startRow + rowIndex}`;
+}
+
+/**
+ * Returns true for a dynamic-array spill reference like "E12#"
+ */
+function isSpillReference(cellAddress) {
+    return cellAddress.endsWith('#');
+}
+
+/**
+ * Strip the sheet prefix Excel adds to Range.address ("'Q1 Model'!A1:B2" -> "A1:B2")
+ */
+function stripSheetName(address) {
+    const index = address.lastIndexOf('!');
+    return index === -1 ? address : address.substring(index + 1);
+}
+
+// Structured-reference items that select part of a table, e.g. "Revenue[#Totals]"
+const TABLE_ITEMS = ['#All', '#Data', '#Headers', '#Totals'];
+
+/**
+ * Quote a worksheet name for use in an address when it needs it ("Q1 Model" -> "'Q1 Model'")
+ */
+function quoteSheetName(worksheetName) {
+    if (/^[A-Za-z_][A-Za-z0-9_.]*$/.test(worksheetName) && !/^[A-Za-z]{1,3}\d+$/.test(worksheetName)) {
+        return worksheetName;
+    }
+    return `'${worksheetName.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Build a full address from a worksheet name and an A1 reference
+ */
+function formatAddress(worksheetName, cellAddress) {
+    return `${quoteSheetName(worksheetName)}!${cellAddress}`;
+}
+
+/**
+ * Parses any supported address into its parts. Supported forms:
+ *   "Sheet1!B2", "Sheet1!B2:D4", "'Q1 Model'!B2"   -> { kind: 'cell', worksheetName, cellAddress }
+ *   "GrowthRate", "'Q1 Model'!GrowthRate"          -> { kind: 'name', name, worksheetName }
+ *   "Revenue[Total]", "Revenue[[#Totals],[Total]]" -> { kind: 'table', table, column, item }
+ * A trailing "#" marks a spill reference and sets isSpill.
+ */
+function parseAddress(fullAddress) {
+    const address = String(fullAddress).trim();
+    let worksheetName = null;
+    let reference = address;
+    
+    if (address.startsWith("'")) {
+        // Quoted sheet name - a doubled quote ('') is an escaped quote
+        let name = '';
+        let i = 1;
+        while (i < address.length) {
+            if (address[i] === "'") {
+                if (address[i + 1] === "'") {
+                    name += "'";
+                    i += 2;
+                    continue;
+                }
+                break;
+            }
+            name += address[i];
+            i++;
+        }
+        if (i >= address.length || address[i + 1] !== '!') {
+            throw new Error(`Invalid address: ${fullAddress}. A quoted sheet name must be closed and followed by "!", e.g. "'Q1 Model'!B2"`);
+        }
+        worksheetName = name;
+        reference = address.substring(i + 2);
+    } else {
+        // Unquoted sheet names may themselves contain "!", so split on the last one before any table brackets
+        const bracketIndex = address.indexOf('[');
+        const prefix = bracketIndex === -1 ? address : address.substring(0, bracketIndex);
+        const separatorIndex = prefix.lastIndexOf('!');
+        if (separatorIndex !== -1) {
+            worksheetName = address.substring(0, separatorIndex);
+            reference = address.substring(separatorIndex + 1);
+        }
+    }
+    
+    const isSpill = reference.endsWith('#') && !reference.endsWith(']');
+    if (isSpill) {
+        reference = reference.slice(0, -1);
+    }
+    
+    if (worksheetName === '' || reference === '') {
+        throw new Error(`Invalid address: ${fullAddress}. Expected format: "SheetName!A1"`);
+    }
+    
+    if (/^\$?[A-Za-z]{1,3}\$?\d+(:\$?[A-Za-z]{1,3}\$?\d+)?$/.test(reference)) {
+        if (worksheetName === null) {
+            throw new Error(`Invalid address: ${fullAddress}. Cell references need a sheet name, e.g. "SheetName!${reference}"`);
+        }
+        return { kind: 'cell', worksheetName, cellAddress: reference.replace(/\$/g, '').toUpperCase(), isSpill };
+    }
+    
+    const tableMatch = /^([A-Za-z_\\][\w.]*)\[(.*)\]$/.exec(reference);
+    if (tableMatch && worksheetName === null) {
+        return Object.assign({ kind: 'table', table: tableMatch[1], isSpill }, parseTableSpecifier(tableMatch[2], fullAddress));
+    }
+    
+    if (/^[A-Za-z_\\][\w.]*$/.test(reference)) {
+        return { kind: 'name', name: reference, worksheetName, isSpill };
+    }
+    
+    throw new Error(`Invalid address: ${fullAddress}. Expected a cell ("SheetName!A1"), a defined name ("GrowthRate") or a table reference ("Revenue[Total]")`);
+}
+
+/**
+ * Parse the bracketed part of a table reference into { column, item }
+ */
+function parseTableSpecifier(specifier, fullAddress) {
+    if (specifier === '') {
+        return { column: null, item: '#Data' };
+    }
+    const parts = specifier.startsWith('[') ? specifier.split(/\]\s*,\s*\[/).map(part => part.replace(/^\[|\]$/g, '')) : [specifier];
+    let column = null;
+    let item = '#Data';
+    for (const part of parts) {
+        const knownItem = TABLE_ITEMS.find(tableItem => tableItem.toLowerCase() === part.toLowerCase());
+        if (knownItem) {
+            item = knownItem;
+        } else if (part.startsWith('#')) {
+            throw new Error(`Invalid table reference: ${fullAddress}. Supported items are ${TABLE_ITEMS.join(', ')}`);
+        } else if (column === null) {
+            column = part;
+        } else {
+            throw new Error(`Invalid table reference: ${fullAddress}. Only one column can be referenced`);
+        }
+    }
+    return { column, item };
+}
+
+/**
+ * Parses a concrete cell address like "Assumptions!B2" or "'Q1 Model'!B2:D4"
+ * into {worksheetName, cellAddress}. Names and tables must be resolved first.
+ */
+function parseCellAddress(fullAddress) {
+    const parsed = parseAddress(fullAddress);
+    if (parsed.kind !== 'cell') {
+        throw new Error(`Invalid cell address format: ${fullAddress}. Expected format: "SheetName!A1"`);
+    }
+    return {
+        worksheetName: parsed.worksheetName,
+        cellAddress: parsed.isSpill ? `${parsed.cellAddress}#` : parsed.cellAddress
+    };
+}
+
+/**
+ * Resolve addresses to concrete "Sheet!A1" form, looking up defined names in
+ * workbook.names (or a sheet's names) and structured references in workbook.tables.
+ * Returns a map of original address -> concrete address.
+ */
+async function resolveAddresses(context, addresses) {
+    const workbook = context.workbook;
+    const resolved = {};
+    const lookups = [];
+    
+    // Step 1: Parse addresses and request every name and table that is referenced
+    for (const address of new Set(addresses)) {
+        const parsed = parseAddress(address);
+        if (parsed.kind === 'cell') {
+            resolved[address] = formatAddress(parsed.worksheetName, parsed.cellAddress) + (parsed.isSpill ? '#' : '');
+        } else if (parsed.kind === 'name') {
+            const names = parsed.worksheetName === null ? workbook.names : workbook.worksheets.getItem(parsed.worksheetName).names;
+            const namedItem = names.getItemOrNullObject(parsed.name);
+            namedItem.load("type, value");
+            lookups.push({ address, parsed, namedItem });
+        } else {
+            const table = workbook.tables.getItemOrNullObject(parsed.table);
+            table.load("showTotals");
+            table.columns.load("items/name");
+            lookups.push({ address, parsed, table });
+        }
+    }
+    
+    if (lookups.length === 0) {
+        return resolved;
+    }
+    
+    try {
+        await context.sync();
+    } catch (error) {
+        throw new Error(`Failed to look up names and tables: ${error.message}`);
+    }
+    
+    // Step 2: Get the range each existing name or table refers to
+    const errors = [];
+    for (const lookup of lookups) {
+        try {
+            lookup.range = lookup.namedItem ? getNamedItemRange(lookup) : getTableRange(lookup);
+            lookup.range.load("address");
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+    
+    if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+    }
+    
+    await context.sync();
+    
+    // Step 3: Use the address Excel reports for each range
+    for (const lookup of lookups) {
+        resolved[lookup.address] = lookup.range.address + (lookup.parsed.isSpill ? '#' : '');
+    }
+    
+    return resolved;
+}
+
+/**
+ * Get the range of a loaded named item, or throw if it is undefined or not a range
+ */
+function getNamedItemRange(lookup) {
+    const { parsed, namedItem } = lookup;
+    const scope = parsed.worksheetName === null ? 'in this workbook' : `on sheet "${parsed.worksheetName}"`;
+    if (namedItem.isNullObject) {
+        throw new Error(`Name "${parsed.name}" is not defined ${scope}`);
+    }
+    if (namedItem.type !== 'Range') {
+        throw new Error(`Name "${parsed.name}" refers to ${namedItem.value}, which is not a range`);
+    }
+    return namedItem.getRange();
+}
+
+/**
+ * Get the range of a loaded table reference, or throw if the table or column is missing
+ */
+function getTableRange(lookup) {
+    const { parsed, table } = lookup;
+    if (table.isNullObject) {
+        throw new Error(`Table "${parsed.table}" does not exist in this workbook`);
+    }
+    if (parsed.item === '#Totals' && !table.showTotals) {
+        throw new Error(`Table "${parsed.table}" has no totals row`);
+    }
+    
+    let source = table;
+    if (parsed.column !== null) {
+        source = table.columns.items.find(column => column.name.toLowerCase() === parsed.column.toLowerCase());
+        if (!source) {
+            throw new Error(`Table "${parsed.table}" has no column "${parsed.column}"`);
+        }
+    }
+    
+    switch (parsed.item) {
+        case '#All': return source.getRange();
+        case '#Headers': return source.getHeaderRowRange();
+        case '#Totals': return source.getTotalRowRange();
+        default: return source.getDataBodyRange();
+    }
+}
+
+/**
+ * Returns true for a label-anchored reference object such as
+ * { "sheet": "P&L", "find": "Total income", "offset": [0, 2] }
+ */
+function isAnchoredReference(address) {
+    return address !== null && typeof address === 'object' && !Array.isArray(address);
+}
+
+/**
+ * Describe an address for display. Strings are returned as-is; anchored
+ * references become e.g. '"Total income" on P&L, offset [0, 2]'
+ */
+function describeAddress(address) {
+    if (!isAnchoredReference(address)) {
+        return String(address);
+    }
+    let description = address.find !== undefined
+        ? `"${address.find}"`
+        : `"${address.row}" × "${address.column}"`;
+    description += ` on ${address.sheet}`;
+    if (address.within) {
+        description += ` within ${address.within}`;
+    }
+    if (address.offset) {
+        description += `, offset [${address.offset.join(', ')}]`;
+    }
+    if (address.size) {
+        description += `, size [${address.size.join(', ')}]`;
+    }
+    return description;
+}
+
+/**
+ * Find every cell in a loaded range whose text matches a label (trimmed, case-insensitive).
+ * Returns 0-based {row, column} positions within the range.
+ */
+function findLabelCells(values, label) {
+    const target = String(label).trim().toLowerCase();
+    const matches = [];
+    for (let row = 0; row < values.length; row++) {
+        for (let column = 0; column < values[row].length; column++) {
+            const value = values[row][column];
+            if (value !== '' && value !== null && String(value).trim().toLowerCase() === target) {
+                matches.push({ row, column });
+            }
+        }
+    }
+    return matches;
+}
+
+/**
+ * Find the single cell holding a label, or throw if it is missing or ambiguous
+ */
+function findUniqueLabel(cells, label, reference) {
+    const matches = findLabelCells(cells.values, label);
+    const where = `on sheet "${reference.sheet}"${reference.within ? ` within ${reference.within}` : ''}`;
+    if (matches.length === 0) {
+        throw new Error(`Label "${label}" not found ${where}`);
+    }
+    if (matches.length > 1) {
+        const found = matches.slice(0, 5).map(match => cellAddressAt(cells.address, match.row, match.column)).join(', ');
+        throw new Error(`Label "${label}" is ambiguous ${where}: found at ${found}${matches.length > 5 ? ', ...' : ''}. Use "within" to narrow the search`);
+    }
+    return matches[0];
+}
+
+/**
+ * Resolve label-anchored references by searching their sheets. Supported forms:
+ *   { "sheet": "P&L", "find": "Total income", "offset": [0, 2] }  - cell relative to a label
+ *   { "sheet": "P&L", "row": "Total income", "column": "FY2025" } - row/column header intersection
+ * Optional "within" limits the search to a range and "size": [rows, columns] widens the result to a range.
+ * Returns { resolved, errors }, both keyed by describeAddress(reference).
+ */
+async function resolveAnchoredReferences(context, references) {
+    const resolved = {};
+    const errors = {};
+    const searches = {};
+    
+    // Step 1: Look up every sheet that is searched
+    for (const reference of references) {
+        const searchKey = `${reference.sheet}\n${reference.within || ''}`;
+        if (typeof reference.sheet === 'string' && !searches[searchKey]) {
+            const worksheet = context.workbook.worksheets.getItemOrNullObject(reference.sheet);
+            worksheet.load("name");
+            searches[searchKey] = { worksheet, within: reference.within };
+        }
+    }
+    await context.sync();
+    
+    // Step 2: Load the cells to search on each sheet once; an empty sheet has no used range
+    for (const search of Object.values(searches)) {
+        if (!search.worksheet.isNullObject) {
+            search.range = search.within ? search.worksheet.getRange(search.within) : search.worksheet.getUsedRangeOrNullObject(true);
+            search.range.load("values, address");
+        }
+    }
+    await context.sync();
+    
+    // Step 3: Locate each label and apply the offset
+    for (const reference of references) {
+        const key = describeAddress(reference);
+        try {
+            if (typeof reference.sheet !== 'string' || (reference.find === undefined && (reference.row === undefined || reference.column === undefined))) {
+                throw new Error(`Invalid reference ${JSON.stringify(reference)}: needs "sheet" and either "find" or both "row" and "column"`);
+            }
+            const search = searches[`${reference.sheet}\n${reference.within || ''}`];
+            if (search.worksheet.isNullObject) {
+                throw new Error(`Worksheet "${reference.sheet}" does not exist`);
+            }
+            if (search.range.isNullObject) {
+                throw new Error(`Label "${reference.find !== undefined ? reference.find : reference.row}" not found on sheet "${reference.sheet}": the sheet is empty`);
+            }
+            const cells = { values: search.range.values, address: stripSheetName(search.range.address) };
+            
+            let anchor;
+            if (reference.find !== undefined) {
+                anchor = findUniqueLabel(cells, reference.find, reference);
+            } else {
+                const rowLabel = findUniqueLabel(cells, reference.row, reference);
+                const columnLabel = findUniqueLabel(cells, reference.column, reference);
+                anchor = { row: rowLabel.row, column: columnLabel.column };
+            }
+            
+            const bounds = parseA1Range(cells.address);
+            const [rowOffset, columnOffset] = reference.offset || [0, 0];
+            const [rowCount, columnCount] = reference.size || [1, 1];
+            const startRow = bounds.startRow + anchor.row + rowOffset;
+            const startColumn = bounds.startColumn + anchor.column + columnOffset;
+            if (startRow < 1 || startColumn < 1) {
+                throw new Error(`Reference ${key} points outside the sheet`);
+            }
+            let cellAddress = `${numberToColumn(startColumn)}${startRow}`;
+            if (rowCount > 1 || columnCount > 1) {
+                cellAddress += `:${numberToColumn(startColumn + columnCount - 1)}${startRow + rowCount - 1}`;
+            }
+            resolved[key] = formatAddress(reference.sheet, cellAddress);
+        } catch (error) {
+            errors[key] = error.message;
+        }
+    }
+    
+    return { resolved, errors };
+}
+
+/**
+ * Shape an input value into the 2D array a range of the given size expects.
+ * Scalars are broadcast to every cell; a flat array fills a single row or column.
+ */
+function shapeValues(value, rowCount, columnCount, label) {
+    if (!Array.isArray(value)) {
+        return Array.from({ length: rowCount }, () => new Array(columnCount).fill(value));
+    }
+    let rows = value;
+    if (!value.every(Array.isArray)) {
+        if (rowCount === 1) {
+            rows = [value];
+        } else if (columnCount === 1) {
+            rows = value.map(item => [item]);
+        } else {
+            throw new Error(`${label} is ${rowCount}x${columnCount}; provide a 2D array of values or a single value`);
+        }
+    }
+    if (rows.length !== rowCount || rows.some(row => row.length !== columnCount)) {
+        const actualColumns = rows.length > 0 ? rows[0].length : 0;
+        throw new Error(`${label} is ${rowCount}x${columnCount} but ${rows.length}x${actualColumns} values were given`);
+    }
+    return rows;
+}
+
+// Export functions globally for Office.js add-in
+if (typeof window !== 'undefined') {
+    window.ExcelTestAddresses = {
+        parseAddress: parseAddress,
+        isAnchoredReference: isAnchoredReference,
+        describeAddress: describeAddress,
+        resolveAnchoredReferences: resolveAnchoredReferences,
+        parseCellAddress: parseCellAddress,
+        formatAddress: formatAddress,
+        resolveAddresses: resolveAddresses,
+        columnToNumber: columnToNumber,
+        numberToColumn: numberToColumn,
+        parseA1Range: parseA1Range,
+        cellAddressAt: cellAddressAt,
+        isSpillReference: isSpillReference,
+        stripSheetName: stripSheetName,
+        shapeValues: shapeValues
+    };
+}
+
+// Also support Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseAddress: parseAddress,
+        isAnchoredReference: isAnchoredReference,
+        describeAddress: describeAddress,
+        resolveAnchoredReferences: resolveAnchoredReferences,
+        parseCellAddress: parseCellAddress,
+        formatAddress: formatAddress,
+        resolveAddresses: resolveAddresses,
+        columnToNumber: columnToNumber,
+        numberToColumn: numberToColumn,
+        parseA1Range: parseA1Range,
+        cellAddressAt: cellAddressAt,
+        isSpillReference: isSpillReference,
+        stripSheetName: stripSheetName,
+        shapeValues: shapeValues
+    };
+}
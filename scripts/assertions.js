@@ -0,0 +1,324 @@
+/**
+ * Excel Unit Test Runner
+ * Assertion operators used to compare actual cell values against expectations
+ */
+
+// Error values Excel can return from a formula (Office.js reports them as strings)
+const EXCEL_ERROR_VALUES = [
+    '#NULL!', '#DIV/0!', '#VALUE!', '#REF!', '#NAME?', '#NUM!', '#N/A',
+    '#GETTING_DATA', '#SPILL!', '#CALC!', '#FIELD!', '#BUSY!', '#BLOCKED!',
+    '#CONNECT!', '#UNKNOWN!', '#PYTHON!'
+];
+
+/**
+ * Returns true if the value is an Excel error such as "#DIV/0!"
+ */
+function isErrorValue(value) {
+    return typeof value === 'string' && EXCEL_ERROR_VALUES.includes(value.toUpperCase());
+}
+
+/**
+ * Returns true if the value comes from an empty cell
+ */
+function isBlankValue(value) {
+    return value === '' || value === null || value === undefined;
+}
+
+/**
+ * Format a value for use in a failure message
+ */
+function formatValue(value) {
+    if (isBlankValue(value)) {
+        return '(blank)';
+    }
+    if (typeof value === 'string' && !isErrorValue(value)) {
+        return JSON.stringify(value);
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(formatValue).join(', ')}]`;
+    }
+    return String(value);
+}
+
+/**
+ * Convert an expected value to the type of the actual value so that
+ * "100" matches 100 and "true" matches TRUE. Skipped when the assertion pins a `type`.
+ */
+function coerceExpected(actual, expected, assertion) {
+    if (assertion.type) {
+        return expected;
+    }
+    if (typeof actual === 'number' && typeof expected === 'string' && expected.trim() !== '' && !isNaN(Number(expected))) {
+        return Number(expected);
+    }
+    if (typeof actual === 'boolean' && typeof expected === 'string') {
+        const lower = expected.trim().toLowerCase();
+        if (lower === 'true' || lower === 'false') {
+            return lower === 'true';
+        }
+    }
+    return expected;
+}
+
+/**
+ * Describe the tolerance of an assertion, e.g. " ± 1" or " ± 0.5%"
+ */
+function describeTolerance(assertion) {
+    const parts = [];
+    if (assertion.tolerance) {
+        parts.push(`± ${assertion.tolerance}`);
+    }
+    if (assertion.relativeTolerance) {
+        parts.push(`± ${assertion.relativeTolerance * 100}%`);
+    }
+    return parts.length > 0 ? ` (${parts.join(' or ')})` : '';
+}
+
+/**
+ * Compare two values for equality, honouring tolerance for numbers and
+ * `ignoreCase` for text. Returns { equal, difference }.
+ */
+function valuesEqual(actual, expected, assertion) {
+    if (typeof actual === 'number' && typeof expected === 'number') {
+        const difference = actual - expected;
+        const absoluteTolerance = assertion.tolerance || 0;
+        const relativeTolerance = (assertion.relativeTolerance || 0) * Math.abs(expected);
+        const equal = Math.abs(difference) <= Math.max(absoluteTolerance, relativeTolerance);
+        return { equal, difference };
+    }
+    if (typeof actual === 'string' && typeof expected === 'string' && assertion.ignoreCase) {
+        return { equal: actual.toLowerCase() === expected.toLowerCase(), difference: null };
+    }
+    if (isBlankValue(actual) && isBlankValue(expected)) {
+        return { equal: true, difference: null };
+    }
+    return { equal: actual === expected, difference: null };
+}
+
+/**
+ * Fail early when a numeric comparison is made against a non-number
+ */
+function requireNumber(actual, description) {
+    if (typeof actual === 'number') {
+        return null;
+    }
+    return { passed: false, message: `Expected ${description} but got ${formatValue(actual)}, which is not a number` };
+}
+
+/**
+ * Assertion operators. Each takes (actual, expected, assertion) and returns
+ * { passed, message, difference }. The message describes the failure.
+ */
+const ASSERTION_OPERATORS = {
+    equals(actual, expected, assertion) {
+        const { equal, difference } = valuesEqual(actual, expected, assertion);
+        let message = `Expected ${formatValue(expected)}${describeTolerance(assertion)} but got ${formatValue(actual)}`;
+        if (difference !== null) {
+            message += ` (difference: ${difference})`;
+        }
+        return { passed: equal, message, difference };
+    },
+
+    notEquals(actual, expected, assertion) {
+        const { equal, difference } = valuesEqual(actual, expected, assertion);
+        return {
+            passed: !equal,
+            message: `Expected a value other than ${formatValue(expected)}${describeTolerance(assertion)} but got ${formatValue(actual)}`,
+            difference
+        };
+    },
+
+    greaterThan(actual, expected) {
+        const description = `a value greater than ${expected}`;
+        return requireNumber(actual, description) || {
+            passed: actual > expected,
+            message: `Expected ${description} but got ${actual}`,
+            difference: actual - expected
+        };
+    },
+
+    lessThan(actual, expected) {
+        const description = `a value less than ${expected}`;
+        return requireNumber(actual, description) || {
+            passed: actual < expected,
+            message: `Expected ${description} but got ${actual}`,
+            difference: actual - expected
+        };
+    },
+
+    between(actual, expected) {
+        const [min, max] = expected;
+        const description = `a value between ${min} and ${max}`;
+        return requireNumber(actual, description) || {
+            passed: actual >= min && actual <= max,
+            message: `Expected ${description} but got ${actual}`,
+            difference: actual < min ? actual - min : (actual > max ? actual - max : 0)
+        };
+    },
+
+    oneOf(actual, expected, assertion) {
+        const passed = expected.some(option => valuesEqual(actual, coerceExpected(actual, option, assertion), assertion).equal);
+        return {
+            passed,
+            message: `Expected one of ${formatValue(expected)} but got ${formatValue(actual)}`,
+            difference: null
+        };
+    },
+
+    matches(actual, expected, assertion) {
+        const regex = new RegExp(expected, assertion.flags || (assertion.ignoreCase ? 'i' : ''));
+        if (typeof actual !== 'string' || isErrorValue(actual)) {
+            return { passed: false, message: `Expected text matching /${expected}/ but got ${formatValue(actual)}, which is not text`, difference: null };
+        }
+        return {
+            passed: regex.test(actual),
+            message: `Expected text matching /${expected}/ but got ${formatValue(actual)}`,
+            difference: null
+        };
+    },
+
+    isBlank(actual, expected) {
+        const blank = isBlankValue(actual);
+        return {
+            passed: blank === expected,
+            message: expected ? `Expected a blank cell but got ${formatValue(actual)}` : 'Expected a value but the cell is blank',
+            difference: null
+        };
+    },
+
+    isError(actual, expected) {
+        const error = isErrorValue(actual);
+        return {
+            passed: error === expected,
+            message: expected ? `Expected an error value but got ${formatValue(actual)}` : `Expected no error but got ${actual}`,
+            difference: null
+        };
+    },
+
+    errorType(actual, expected) {
+        return {
+            passed: isErrorValue(actual) && actual.toUpperCase() === String(expected).toUpperCase(),
+            message: `Expected error ${expected} but got ${formatValue(actual)}`,
+            difference: null
+        };
+    }
+};
+
+// Operators whose expected value is compared as-is rather than coerced to the actual type
+const UNCOERCED_OPERATORS = ['between', 'oneOf', 'matches', 'isBlank', 'isError', 'errorType'];
+
+/**
+ * Find the operator used by an assertion (the first operator key present)
+ */
+function getAssertionOperator(assertion) {
+    return Object.keys(ASSERTION_OPERATORS).find(operator => operator in assertion) || null;
+}
+
+/**
+ * Describe what an assertion expects, e.g. "should be between 1 and 5"
+ */
+function describeAssertion(assertion) {
+    if (assertion.baseline !== undefined) {
+        const source = typeof assertion.baseline === 'string' ? ` in ${assertion.baseline}` : '';
+        return `should match the recorded baseline${source}${describeTolerance(assertion)}`;
+    }
+    if (assertion.hasFormula !== undefined) {
+        return assertion.hasFormula ? 'should hold a formula' : 'should not hold a formula';
+    }
+    if (assertion.isConstant !== undefined) {
+        return assertion.isConstant ? 'should hold a constant' : 'should not hold a constant';
+    }
+    if (assertion.formulaMatches !== undefined) {
+        const formula = assertion.formulaMatches;
+        return typeof formula === 'string' ? `should hold a formula matching /${formula}/` : `should hold the formula ${formula.r1c1} (R1C1)`;
+    }
+    if (assertion.formulaConsistentAcross !== undefined) {
+        return `should hold the same formula as every cell of ${assertion.formulaConsistentAcross}`;
+    }
+    const operator = getAssertionOperator(assertion);
+    const expected = assertion[operator];
+    switch (operator) {
+        case 'equals': return `should equal ${formatValue(expected)}${describeTolerance(assertion)}`;
+        case 'notEquals': return `should not equal ${formatValue(expected)}${describeTolerance(assertion)}`;
+        case 'greaterThan': return `should be greater than ${expected}`;
+        case 'lessThan': return `should be less than ${expected}`;
+        case 'between': return `should be between ${expected[0]} and ${expected[1]}`;
+        case 'oneOf': return `should be one of ${formatValue(expected)}`;
+        case 'matches': return `should match /${expected}/`;
+        case 'isBlank': return expected ? 'should be blank' : 'should not be blank';
+        case 'isError': return expected ? 'should be an error' : 'should not be an error';
+        case 'errorType': return `should be ${expected}`;
+        default: return 'has no assertion operator';
+    }
+}
+
+/**
+ * Evaluate a single assertion against the actual value of its cell
+ */
+function evaluateAssertion(assertion, actual) {
+    const operator = getAssertionOperator(assertion);
+    const tolerance = assertion.tolerance !== undefined ? assertion.tolerance : null;
+    const result = {
+        cell: assertion.cell,
+        operator: operator,
+        expected: operator ? assertion[operator] : undefined,
+        actual: actual,
+        passed: false,
+        message: null,
+        difference: null,
+        tolerance: tolerance
+    };
+
+    if (!operator) {
+        result.message = `Assertion for ${assertion.cell} has no operator. Use one of: ${Object.keys(ASSERTION_OPERATORS).join(', ')}`;
+        return result;
+    }
+
+    if (assertion.type && typeof actual !== assertion.type) {
+        result.message = `Expected a ${assertion.type} but got ${formatValue(actual)} (${isErrorValue(actual) ? 'error' : typeof actual})`;
+        return result;
+    }
+
+    const expected = UNCOERCED_OPERATORS.includes(operator) ? result.expected : coerceExpected(actual, result.expected, assertion);
+    result.expected = expected;
+
+    let outcome;
+    try {
+        outcome = ASSERTION_OPERATORS[operator](actual, expected, assertion);
+    } catch (error) {
+        outcome = { passed: false, message: `Invalid ${operator} assertion: ${error.message}`, difference: null };
+    }
+
+    result.passed = outcome.passed;
+    result.difference = outcome.difference === undefined ? null : outcome.difference;
+    if (outcome.passed) {
+        result.message = assertion.message || `Cell ${assertion.cell} ${describeAssertion(assertion)}`;
+    } else {
+        result.message = assertion.message ? `${assertion.message}: ${outcome.message}` : outcome.message;
+    }
+    return result;
+}
+
+// Export functions globally for Office.js add-in
+if (typeof window !== 'undefined') {
+    window.ExcelTestAssertions = {
+        evaluateAssertion: evaluateAssertion,
+        describeAssertion: describeAssertion,
+        getAssertionOperator: getAssertionOperator,
+        isErrorValue: isErrorValue,
+        isBlankValue: isBlankValue,
+        ASSERTION_OPERATORS: ASSERTION_OPERATORS
+    };
+}
+
+// Also support Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        evaluateAssertion: evaluateAssertion,
+        describeAssertion: describeAssertion,
+        getAssertionOperator: getAssertionOperator,
+        isErrorValue: isErrorValue,
+        isBlankValue: isBlankValue,
+        ASSERTION_OPERATORS: ASSERTION_OPERATORS
+    };
+}
@@ -0,0 +1,235 @@
+/**
+ * Excel Unit Test Runner
+ * Baselines (golden masters): the recorded values of whole output ranges that
+ * "baseline" assertions compare against, and approving new ones
+ */
+
+// Sibling modules are globals in the add-in and require()-able under Node
+const BaselineAddresses = typeof window !== 'undefined' ? window.ExcelTestAddresses : require('./addresses.js');
+const BaselineSuiteFormat = typeof window !== 'undefined' ? window.ExcelTestSuiteFormat : require('./suite-format.js');
+const BaselineSuiteValidator = typeof window !== 'undefined' ? window.ExcelTestSuiteValidator : require('./suite-validator.js');
+
+// Baseline files are told apart from test files by their name
+const BASELINE_FILE_PATTERN = /\.baseline\.json$/i;
+
+function isBaselineFile(fileName) {
+    return BASELINE_FILE_PATTERN.test(fileName);
+}
+
+/**
+ * The text of a loaded baseline file, looked up by the name used in the suite
+ * or by its file name alone (files picked in the task pane have no folder)
+ */
+function getBaselineFileText(baselineFiles, fileName) {
+    if (!baselineFiles) {
+        return undefined;
+    }
+    return baselineFiles[fileName] !== undefined ? baselineFiles[fileName] : baselineFiles[fileName.split(/[\\/]/).pop()];
+}
+
+/**
+ * Parse a baseline file:
+ *   { "ranges": { "Model!B5:K24": { "approved": "2024-05-17T09:30:00.000Z", "values": [[...]] } } }
+ */
+function parseBaselineFile(text, fileName) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Baseline file "${fileName}" is not valid JSON: ${error.message}`);
+    }
+    if (data === null || typeof data !== 'object' || data.ranges === null || typeof data.ranges !== 'object' || Array.isArray(data.ranges)) {
+        throw new Error(`Baseline file "${fileName}" has no "ranges" object`);
+    }
+    return data;
+}
+
+/**
+ * Find the baseline of an assertion: its embedded values, or the entry for its
+ * cell in a baseline file. A label-anchored cell is looked up by its reference
+ * rather than the address it resolved to, so the entry follows the label when
+ * rows move. Returns { values, file, key, problem }; values is null (and
+ * problem says why) when no baseline has been recorded yet or the file is
+ * not valid.
+ */
+function findBaseline(assertion, baselineFiles) {
+    const key = BaselineAddresses.describeAddress(assertion.reference !== undefined ? assertion.reference : assertion.cell);
+    if (typeof assertion.baseline !== 'string') {
+        return { values: assertion.baseline, file: null, key, problem: null };
+    }
+
+    const file = assertion.baseline;
+    const text = getBaselineFileText(baselineFiles, file);
+    if (text === undefined) {
+        return { values: null, file, key, problem: `Baseline file "${file}" was not loaded; approve the current values to create it` };
+    }
+    let data;
+    try {
+        data = parseBaselineFile(text, file);
+    } catch (error) {
+        return { values: null, file, key, problem: error.message };
+    }
+    const entry = data.ranges[key];
+    if (!entry || !Array.isArray(entry.values)) {
+        return { values: null, file, key, problem: `No baseline is recorded for ${key} in "${file}". Approve the current values to record one` };
+    }
+    return { values: entry.values, file, key, problem: null };
+}
+
+/**
+ * Baseline file text, with one line per row of values so differences between
+ * approvals read well in version control
+ */
+function formatBaselineFile(data) {
+    const ranges = Object.entries(data.ranges).map(([key, entry]) => {
+        const rows = entry.values.map(row => `        ${JSON.stringify(row)}`).join(',\n');
+        return `    ${JSON.stringify(key)}: {\n      "approved": ${JSON.stringify(entry.approved)},\n      "values": [\n${rows}\n      ]\n    }`;
+    });
+    return `{\n  "ranges": {\n${ranges.join(',\n')}\n  }\n}\n`;
+}
+
+/**
+ * Record new values for a range in a baseline file, creating the file if
+ * `text` is undefined. Returns the new file text.
+ */
+function updateBaselineFile(text, fileName, key, values) {
+    const data = text === undefined ? { ranges: {} } : parseBaselineFile(text, fileName);
+    data.ranges[key] = { approved: new Date().toISOString(), values: values };
+    return formatBaselineFile(data);
+}
+
+/**
+ * Why the current values of a failed baseline assertion cannot be approved, or
+ * null if they can. The cases of a data-driven test share one embedded
+ * baseline, so they need a baseline file instead.
+ */
+function baselineApprovalProblem(result, assertionResult) {
+    if (!Array.isArray(assertionResult.actual)) {
+        return `The values of ${assertionResult.cell} could not be read`;
+    }
+    if (assertionResult.baseline.file === null && result.case) {
+        return 'Each case needs its own baseline; use a baseline file, e.g. "baseline": "${name}.baseline.json"';
+    }
+    return null;
+}
+
+// The leading whitespace of the line holding a position in the text
+function lineIndent(text, position) {
+    const lineStart = text.lastIndexOf('\n', position - 1) + 1;
+    return /^[ \t]*/.exec(text.slice(lineStart))[0];
+}
+
+// Values as JSON with one row per line, for an embedded baseline on a line indented by `indent`
+function formatBaselineValues(values, indent) {
+    return `[\n${values.map(row => `${indent}  ${JSON.stringify(row)}`).join(',\n')}\n${indent}]`;
+}
+
+/**
+ * Replace the embedded baseline of a test's assertion in the suite text and
+ * return the new suite text. Only the baseline values are rewritten, so the
+ * rest of the text keeps its layout. The test is found by name, and
+ * `assertionIndex` counts the assertions it inherits through "extends"; an
+ * inherited baseline is overridden in the test itself, so the test it came
+ * from keeps its own.
+ */
+function approveEmbeddedBaseline(suiteText, testName, assertionIndex, values) {
+    let parsed;
+    try {
+        parsed = BaselineSuiteValidator.parseJsonWithLocations(suiteText);
+    } catch (error) {
+        throw new Error(`The suite is not valid JSON (${error.message}). Fix it before approving a baseline`);
+    }
+    const suite = parsed.value;
+    const tests = BaselineSuiteFormat.getSuiteTests(suite);
+    const testIndex = tests.findIndex(candidate => candidate && candidate.name === testName);
+    if (testIndex < 0) {
+        throw new Error(`Could not find a test named "${testName}" in the suite. Give the test a name to approve its baseline`);
+    }
+    const test = tests[testIndex];
+    const resolved = BaselineSuiteFormat.resolveSuite(suite).tests[testIndex].assertions[assertionIndex];
+    if (!resolved || resolved.baseline === undefined || typeof resolved.baseline === 'string') {
+        throw new Error(`Assertion ${assertionIndex + 1} of "${testName}" has no embedded baseline`);
+    }
+    const testPointer = `${Array.isArray(suite) ? '' : '/tests'}/${testIndex}`;
+    const splice = (start, end, replacement) => suiteText.slice(0, start) + replacement + suiteText.slice(end);
+
+    // The test's own baseline is replaced where it stands
+    const assertions = Array.isArray(test.assertions) ? test.assertions : [];
+    const ownIndex = assertions.findIndex(assertion => assertion && JSON.stringify(assertion.cell) === JSON.stringify(resolved.cell) && assertion.baseline !== undefined);
+    if (ownIndex >= 0) {
+        const location = parsed.locations[`${testPointer}/assertions/${ownIndex}/baseline`];
+        return splice(location.start, location.end, formatBaselineValues(values, lineIndent(suiteText, location.start)));
+    }
+
+    // An inherited one is overridden by a copy of the assertion added to the test
+    const formatAssertion = indent => {
+        const copy = Object.assign({}, resolved);
+        delete copy.baseline;
+        return `${JSON.stringify(copy).slice(0, -1)}, "baseline": ${formatBaselineValues(values, indent)}}`;
+    };
+    if (Array.isArray(test.assertions)) {
+        const list = parsed.locations[`${testPointer}/assertions`];
+        if (assertions.length === 0) {
+            const indent = `${lineIndent(suiteText, list.start)}  `;
+            return splice(list.start, list.end, `[\n${indent}${formatAssertion(indent)}\n${lineIndent(suiteText, list.start)}]`);
+        }
+        const last = parsed.locations[`${testPointer}/assertions/${assertions.length - 1}`];
+        const indent = lineIndent(suiteText, last.start);
+        return splice(last.end, last.end, `,\n${indent}${formatAssertion(indent)}`);
+    }
+    const lastKey = Object.keys(test).pop();
+    const lastValue = parsed.locations[`${testPointer}/${lastKey.replace(/~/g, '~0').replace(/\//g, '~1')}`];
+    const indent = lineIndent(suiteText, lastValue.start);
+    return splice(lastValue.end, lastValue.end, `,\n${indent}"assertions": [\n${indent}  ${formatAssertion(`${indent}  `)}\n${indent}]`);
+}
+
+/**
+ * The baseline assertions of a run that failed, with the values to approve:
+ * [{ testName, assertionIndex, file, key, values, problem }]. `problem` is set
+ * (see baselineApprovalProblem) when they cannot be approved.
+ */
+function findBaselineApprovals(results) {
+    const approvals = [];
+    for (const result of results) {
+        result.assertionResults.forEach((assertionResult, assertionIndex) => {
+            if (assertionResult.baseline && !assertionResult.passed) {
+                approvals.push({
+                    testName: result.testName,
+                    assertionIndex,
+                    file: assertionResult.baseline.file,
+                    key: assertionResult.baseline.key,
+                    values: assertionResult.actual,
+                    problem: baselineApprovalProblem(result, assertionResult)
+                });
+            }
+        });
+    }
+    return approvals;
+}
+
+// Export functions globally for Office.js add-in
+if (typeof window !== 'undefined') {
+    window.ExcelTestBaselines = {
+        isBaselineFile: isBaselineFile,
+        getBaselineFileText: getBaselineFileText,
+        findBaseline: findBaseline,
+        updateBaselineFile: updateBaselineFile,
+        baselineApprovalProblem: baselineApprovalProblem,
+        approveEmbeddedBaseline: approveEmbeddedBaseline,
+        findBaselineApprovals: findBaselineApprovals
+    };
+}
+
+// Also support Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        isBaselineFile: isBaselineFile,
+        getBaselineFileText: getBaselineFileText,
+        parseBaselineFile: parseBaselineFile,
+        findBaseline: findBaseline,
+        updateBaselineFile: updateBaselineFile,
+        baselineApprovalProblem: baselineApprovalProblem,
+        approveEmbeddedBaseline: approveEmbeddedBaseline,
+        findBaselineApprovals: findBaselineApprovals
+    };
+}
@@ -0,0 +1,247 @@
+/**
+ * Excel Unit Test Runner
+ * Data-driven tests: expand a test with a case table into one test per row
+ */
+
+// Sibling modules are globals in the add-in and require()-able under Node
+const CaseAddresses = typeof window !== 'undefined' ? window.ExcelTestAddresses : require('./addresses.js');
+
+// Placeholders like "${growth}" are replaced with the value of that column
+const PLACEHOLDER_PATTERN = /\$\{([^}]+)\}/g;
+
+/**
+ * Returns true if a test is parameterized by a case table
+ */
+function isParameterizedTest(testCase) {
+    return testCase.cases !== undefined || testCase.casesFrom !== undefined;
+}
+
+/**
+ * Convert CSV text to a typed value: numbers, TRUE/FALSE and text
+ */
+function parseCsvValue(text) {
+    const trimmed = text.trim();
+    if (trimmed !== '' && !isNaN(Number(trimmed))) {
+        return Number(trimmed);
+    }
+    if (/^(true|false)$/i.test(trimmed)) {
+        return trimmed.toLowerCase() === 'true';
+    }
+    return text;
+}
+
+/**
+ * Parse CSV text into rows of values. Handles quoted fields, doubled quotes and CRLF.
+ * Unquoted fields are converted to numbers/booleans where possible.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let wasQuoted = false;
+
+    const endField = () => {
+        row.push(wasQuoted ? field : parseCsvValue(field));
+        field = '';
+        wasQuoted = false;
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+            wasQuoted = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            endField();
+            rows.push(row);
+            row = [];
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        endField();
+        rows.push(row);
+    }
+
+    return rows.filter(values => values.some(value => value !== ''));
+}
+
+/**
+ * Turn a header row plus data rows into case objects.
+ * `rowLabel(index)` describes where each row came from (for results).
+ */
+function rowsToCases(rows, rowLabel) {
+    if (rows.length === 0) {
+        return [];
+    }
+    const headers = rows[0].map(header => String(header).trim());
+    const cases = [];
+    for (let i = 1; i < rows.length; i++) {
+        if (rows[i].every(value => value === '' || value === null)) {
+            continue;
+        }
+        const values = {};
+        headers.forEach((header, column) => {
+            if (header !== '') {
+                values[header] = rows[i][column] === undefined ? '' : rows[i][column];
+            }
+        });
+        cases.push({ values, source: rowLabel(i) });
+    }
+    return cases;
+}
+
+/**
+ * Replace "${column}" placeholders in every string (and object key) of a template.
+ * A string that is exactly one placeholder takes the column's value with its type.
+ */
+function substitutePlaceholders(template, values, missing) {
+    const lookup = name => {
+        if (!(name in values)) {
+            missing.add(name);
+            return '';
+        }
+        return values[name];
+    };
+
+    if (typeof template === 'string') {
+        const whole = /^\$\{([^}]+)\}$/.exec(template);
+        if (whole) {
+            return lookup(whole[1]);
+        }
+        return template.replace(PLACEHOLDER_PATTERN, (match, name) => String(lookup(name)));
+    }
+    if (Array.isArray(template)) {
+        return template.map(item => substitutePlaceholders(item, values, missing));
+    }
+    if (template !== null && typeof template === 'object') {
+        const result = {};
+        for (const [key, value] of Object.entries(template)) {
+            result[substitutePlaceholders(key, values, missing)] = substitutePlaceholders(value, values, missing);
+        }
+        return result;
+    }
+    return template;
+}
+
+/**
+ * Load the case table of a parameterized test. Inline `cases` are a list of
+ * objects or a list of rows with a header row first; `casesFrom` names a CSV
+ * file (looked up in caseFiles) or a workbook range whose first row is the header.
+ */
+async function loadCases(context, testCase, caseFiles) {
+    if (Array.isArray(testCase.cases)) {
+        if (testCase.cases.every(Array.isArray)) {
+            return rowsToCases(testCase.cases, index => `cases row ${index}`);
+        }
+        return testCase.cases.map((values, index) => ({ values, source: `cases[${index}]` }));
+    }
+
+    const source = String(testCase.casesFrom);
+    if (/\.csv$/i.test(source)) {
+        const fileName = source.split(/[\\/]/).pop();
+        const text = caseFiles && (caseFiles[source] !== undefined ? caseFiles[source] : caseFiles[fileName]);
+        if (text === undefined) {
+            throw new Error(`Case file "${source}" has not been loaded. Select it together with the test file`);
+        }
+        // Line numbers count the header as line 1
+        return rowsToCases(parseCsv(text), index => `${fileName} line ${index + 1}`);
+    }
+
+    const resolved = await CaseAddresses.resolveAddresses(context, [source]);
+    const parsed = CaseAddresses.parseCellAddress(resolved[source]);
+    const range = context.workbook.worksheets.getItem(parsed.worksheetName).getRange(parsed.cellAddress);
+    range.load("values, address");
+    await context.sync();
+
+    const address = CaseAddresses.stripSheetName(range.address);
+    return rowsToCases(range.values, index => {
+        const rowStart = CaseAddresses.cellAddressAt(address, index, 0);
+        const rowEnd = CaseAddresses.cellAddressAt(address, index, range.values[0].length - 1);
+        return CaseAddresses.formatAddress(parsed.worksheetName, `${rowStart}:${rowEnd}`);
+    });
+}
+
+/**
+ * Expand parameterized tests into one test per case row. Returns a list of
+ * { testCase, error } entries; expanded tests carry `case` = { index, source, values, test },
+ * `test` being the name of the data-driven test they came from.
+ */
+async function expandParameterizedTests(context, testCases, caseFiles) {
+    const expanded = [];
+
+    for (let i = 0; i < testCases.length; i++) {
+        const testCase = testCases[i];
+        // A skipped test is not run, so its cases are not loaded
+        if (!isParameterizedTest(testCase) || testCase.skip) {
+            expanded.push({ testCase, error: null });
+            continue;
+        }
+
+        const baseName = testCase.name || `Test ${i + 1}`;
+        let cases;
+        try {
+            cases = await loadCases(context, testCase, caseFiles);
+        } catch (error) {
+            expanded.push({ testCase: { name: baseName, tags: testCase.tags, only: testCase.only }, error: `Failed to load cases: ${error.message}` });
+            continue;
+        }
+        if (cases.length === 0) {
+            expanded.push({ testCase: { name: baseName, tags: testCase.tags, only: testCase.only }, error: 'The case table has no rows' });
+            continue;
+        }
+
+        const template = Object.assign({}, testCase);
+        delete template.cases;
+        delete template.casesFrom;
+
+        cases.forEach((row, index) => {
+            const missing = new Set();
+            const instance = substitutePlaceholders(template, row.values, missing);
+            const label = row.values.name !== undefined ? row.values.name : `row ${index + 1}`;
+            instance.name = `${instance.name || baseName} [${label}]`;
+            instance.case = { index: index + 1, source: row.source, values: row.values, test: baseName };
+            expanded.push({
+                testCase: instance,
+                error: missing.size > 0 ? `${row.source} has no column ${Array.from(missing).map(name => `"${name}"`).join(', ')}` : null
+            });
+        });
+    }
+
+    return expanded;
+}
+
+// Export functions globally for Office.js add-in
+if (typeof window !== 'undefined') {
+    window.ExcelTestCases = {
+        expandParameterizedTests: expandParameterizedTests,
+        isParameterizedTest: isParameterizedTest,
+        parseCsv: parseCsv
+    };
+}
+
+// Also support Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        expandParameterizedTests: expandParameterizedTests,
+        isParameterizedTest: isParameterizedTest,
+        substitutePlaceholders: substitutePlaceholders,
+        parseCsv: parseCsv
+    };
+}
@@ -0,0 +1,392 @@
+#!/usr/bin/env node
+/**
+ * Excel Unit Test Runner
+ * Command line runner: runs a JSON test suite against an in-memory workbook
+ * built from a fixture, without Excel
+ *
+ *   node scripts/cli.js <suite.json> <workbook.json|workbook.js> [options]
+ *
+ * Exits with 0 if every test passed, 1 if any test failed or the workbook was
+ * not restored, and 2 if the suite or workbook could not be loaded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Runner = require('./test-runner.js');
+const MemoryWorkbook = require('./memory-workbook.js');
+const SuiteValidator = require('./suite-validator.js');
+const Report = require('./report.js');
+const Baselines = require('./baselines.js');
+const SuiteFormat = require('./suite-format.js');
+
+const USAGE = `Usage: node scripts/cli.js <suite.json> <workbook.json|workbook.js> [options]
+
+Options:
+  --timeout <ms>          time limit for the whole suite
+  --test-timeout <ms>     default time limit per test
+  --shuffle-seed <n>      run the tests in an order shuffled with this seed
+  --no-isolate            let each test start from the state the previous one left
+  --manual-calculation    only calculate when the runner asks to
+  --report <file>         also write the results to a file: .xml (JUnit), .tap, .json or .csv
+  --update-baselines      approve the current values of failing baseline assertions
+  --test <name>           run only this test (repeat for more)
+  --tag <tag>             run only the tests with this tag (repeat for more)
+  --coverage              report which formulas the tests exercise, per sheet
+  --help                  show this message`;
+
+/**
+ * Parse command line arguments into { suitePath, workbookPath, options }
+ */
+function parseArguments(args) {
+    const parsed = { suitePath: null, workbookPath: null, reportPath: null, updateBaselines: false, help: false, options: { isolateTests: true } };
+    const numberAfter = (index, flag) => {
+        const value = Number(args[index + 1]);
+        if (args[index + 1] === undefined || !Number.isFinite(value)) {
+            throw new Error(`${flag} needs a number`);
+        }
+        return value;
+    };
+    const positional = [];
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--help':
+            case '-h':
+                parsed.help = true;
+                break;
+            case '--timeout':
+                parsed.options.timeoutMs = numberAfter(i++, '--timeout');
+                break;
+            case '--test-timeout':
+                parsed.options.testTimeoutMs = numberAfter(i++, '--test-timeout');
+                break;
+            case '--shuffle-seed':
+                parsed.options.shuffleSeed = numberAfter(i++, '--shuffle-seed');
+                break;
+            case '--no-isolate':
+                parsed.options.isolateTests = false;
+                break;
+            case '--manual-calculation':
+                parsed.options.manualCalculation = true;
+                break;
+            case '--update-baselines':
+                parsed.updateBaselines = true;
+                break;
+            case '--coverage':
+                parsed.options.coverage = true;
+                break;
+            case '--test':
+            case '--tag': {
+                if (args[i + 1] === undefined) {
+                    throw new Error(`${args[i]} needs a ${args[i] === '--test' ? 'test name' : 'tag'}`);
+                }
+                const key = args[i] === '--test' ? 'names' : 'tags';
+                parsed.options.select = parsed.options.select || {};
+                parsed.options.select[key] = (parsed.options.select[key] || []).concat(args[++i]);
+                break;
+            }
+            case '--report':
+                if (args[i + 1] === undefined) {
+                    throw new Error('--report needs a file name');
+                }
+                parsed.reportPath = args[++i];
+                reportFormatOf(parsed.reportPath);
+                break;
+            default:
+                if (args[i].startsWith('--')) {
+                    throw new Error(`Unknown option ${args[i]}`);
+                }
+                positional.push(args[i]);
+        }
+    }
+    if (!parsed.help && positional.length !== 2) {
+        throw new Error('Expected a suite file and a workbook fixture');
+    }
+    [parsed.suitePath, parsed.workbookPath] = positional;
+    return parsed;
+}
+
+/**
+ * The export format for a report file, from its extension
+ */
+function reportFormatOf(reportPath) {
+    const extension = path.extname(reportPath).slice(1).toLowerCase();
+    const format = Object.keys(Report.REPORT_FORMATS).find(name => Report.REPORT_FORMATS[name].extension === extension);
+    if (!format) {
+        throw new Error(`Cannot tell the report format of ${reportPath}; use a .xml, .tap, .json or .csv file`);
+    }
+    return format;
+}
+
+/**
+ * Load a workbook fixture: JSON, or a module exporting the fixture with
+ * optional `functions` and `onCalculate` hooks
+ */
+function loadWorkbook(workbookPath) {
+    const fullPath = path.resolve(workbookPath);
+    try {
+        const fixture = /\.js$/i.test(fullPath) ? require(fullPath) : JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+        // Reports name the workbook after the fixture file unless it has a name
+        const named = Object.assign({ name: path.basename(workbookPath) }, fixture);
+        return MemoryWorkbook.createMemoryWorkbook(named, { functions: fixture.functions, onCalculate: fixture.onCalculate });
+    } catch (error) {
+        throw new Error(`Could not load workbook ${workbookPath}: ${error.message}`);
+    }
+}
+
+/**
+ * Read the CSV files used by "casesFrom", relative to the suite file
+ */
+function loadCaseFiles(tests, suitePath) {
+    const caseFiles = {};
+    for (const test of tests) {
+        if (test && typeof test.casesFrom === 'string' && /\.csv$/i.test(test.casesFrom)) {
+            const casePath = path.resolve(path.dirname(suitePath), test.casesFrom);
+            try {
+                caseFiles[test.casesFrom] = fs.readFileSync(casePath, 'utf8');
+            } catch (error) {
+                throw new Error(`Could not read case file ${casePath}: ${error.message}`);
+            }
+        }
+    }
+    return caseFiles;
+}
+
+/**
+ * Read the baseline files used by "baseline" assertions, relative to the suite
+ * file. Names with placeholders may match several files, so every baseline
+ * file in their folder is read. Files that do not exist yet are left out; the
+ * assertions using them fail until their values are approved.
+ */
+function loadBaselineFiles(tests, suitePath) {
+    const baselineFiles = {};
+    const suiteFolder = path.dirname(suitePath);
+    const read = (name) => {
+        const baselinePath = path.resolve(suiteFolder, name);
+        if (baselineFiles[name] === undefined && fs.existsSync(baselinePath)) {
+            baselineFiles[name] = fs.readFileSync(baselinePath, 'utf8');
+        }
+    };
+    for (const test of tests) {
+        for (const assertion of (test && Array.isArray(test.assertions)) ? test.assertions : []) {
+            if (!assertion || typeof assertion.baseline !== 'string') {
+                continue;
+            }
+            if (!assertion.baseline.includes('${')) {
+                read(assertion.baseline);
+                continue;
+            }
+            const folder = path.dirname(assertion.baseline);
+            const folderPath = path.resolve(suiteFolder, folder);
+            const names = fs.existsSync(folderPath) ? fs.readdirSync(folderPath) : [];
+            names.filter(Baselines.isBaselineFile).forEach(name => read(folder === '.' ? name : `${folder}/${name}`));
+        }
+    }
+    return baselineFiles;
+}
+
+/**
+ * Approve the current values of the failing baseline assertions of a run:
+ * baseline files are written next to the suite, and embedded baselines are
+ * patched into the suite file, leaving the rest of its text as it was.
+ * Returns { lines, approvedAll }: lines describing what was approved, and
+ * whether every failing baseline was.
+ */
+function updateBaselines(suiteResult, suitePath, baselineFiles) {
+    const lines = [];
+    let approvedAll = true;
+    let suiteText = null;
+    const changedFiles = new Set();
+    for (const approval of Baselines.findBaselineApprovals(suiteResult.results)) {
+        const label = `${approval.testName}: ${approval.key}`;
+        if (approval.problem) {
+            lines.push(`Not approved  ${label}: ${approval.problem}`);
+            approvedAll = false;
+            continue;
+        }
+        if (approval.file === null) {
+            suiteText = Baselines.approveEmbeddedBaseline(suiteText !== null ? suiteText : fs.readFileSync(suitePath, 'utf8'),
+                approval.testName, approval.assertionIndex, approval.values);
+            lines.push(`Approved  ${label} in ${path.basename(suitePath)}`);
+        } else {
+            baselineFiles[approval.file] = Baselines.updateBaselineFile(baselineFiles[approval.file], approval.file, approval.key, approval.values);
+            changedFiles.add(approval.file);
+            lines.push(`Approved  ${label} in ${approval.file}`);
+        }
+    }
+    for (const file of changedFiles) {
+        const baselinePath = path.resolve(path.dirname(suitePath), file);
+        fs.mkdirSync(path.dirname(baselinePath), { recursive: true });
+        fs.writeFileSync(baselinePath, baselineFiles[file]);
+    }
+    if (suiteText !== null) {
+        fs.writeFileSync(suitePath, suiteText);
+    }
+    return { lines, approvedAll };
+}
+
+/**
+ * True if the only failures of a run were baseline assertions, which were
+ * approved; the run then passes with the new baselines
+ */
+function onlyBaselinesFailed(suiteResult) {
+    return suiteResult.results.every(result => result.passed || result.skipped
+        || (!result.error && !result.notRun && result.assertionResults.every(assertion => assertion.passed || assertion.baseline)));
+}
+
+/**
+ * Describe a suite result as lines of text, one per test plus details of failures
+ */
+function formatResults(suiteResult) {
+    const lines = [];
+    for (const result of suiteResult.results) {
+        if (result.skipped) {
+            lines.push(`SKIP  ${result.testName}${result.skipReason ? ` (${result.skipReason})` : ''}`);
+            continue;
+        }
+        const label = result.notRun ? 'NOT RUN' : result.passed ? 'PASS' : 'FAIL';
+        lines.push(`${label}  ${result.testName}`);
+        if (result.error) {
+            lines.push(`      ${result.error}`);
+        }
+        for (const assertion of result.assertionResults.filter(assertion => !assertion.passed)) {
+            lines.push(`      ${assertion.cell}: ${assertion.message}`);
+            for (const cellResult of (assertion.cellResults || []).filter(cellResult => !cellResult.passed)) {
+                lines.push(`        ${cellResult.cell}: ${cellResult.message}`);
+            }
+        }
+    }
+
+    lines.push('');
+    let summary = `${suiteResult.passedCount} of ${suiteResult.totalCount} tests passed`;
+    if (suiteResult.skippedCount > 0) {
+        summary += `, ${suiteResult.skippedCount} skipped`;
+    }
+    if (suiteResult.interrupted) {
+        summary += ` (run ${suiteResult.interrupted === 'timedOut' ? 'timed out' : 'stopped: ' + suiteResult.interrupted})`;
+    }
+    if (suiteResult.shuffleSeed !== null) {
+        summary += `, shuffle seed ${suiteResult.shuffleSeed}`;
+    }
+    lines.push(summary);
+
+    const restore = suiteResult.restore;
+    if (restore && !restore.verified) {
+        lines.push(`Workbook not restored: ${restore.error || restore.mismatches.map(mismatch => mismatch.cell).join(', ')}`);
+    }
+    if (suiteResult.coverage) {
+        lines.push('', ...formatCoverage(suiteResult.coverage));
+    }
+    return lines;
+}
+
+/**
+ * Describe formula coverage as lines of text: the total, then each sheet with
+ * the formulas no test reached, and the tests coverage left out
+ */
+function formatCoverage(coverage) {
+    const percent = value => value === null ? '-' : `${value}%`;
+    const lines = [`Coverage: ${coverage.coveredCount} of ${coverage.formulaCount} formulas (${percent(coverage.percent)})`];
+    for (const sheet of coverage.sheets) {
+        lines.push(`  ${sheet.worksheetName}: ${sheet.coveredCount} of ${sheet.formulaCount} (${percent(sheet.percent)})`);
+        if (sheet.uncovered.length > 0) {
+            lines.push(`    not covered: ${sheet.uncovered.join(', ')}`);
+        }
+    }
+    if (coverage.untraced.length > 0) {
+        lines.push(`  Could not trace the references of ${coverage.untraced.join(', ')}`);
+    }
+    for (const test of coverage.omitted) {
+        lines.push(`  Left out ${test.testName}: ${test.reason}`);
+    }
+    return lines;
+}
+
+/**
+ * Run the CLI with the given arguments and return the exit code
+ */
+async function main(args) {
+    let parsed;
+    let suite;
+    let workbook;
+    try {
+        parsed = parseArguments(args);
+        if (parsed.help) {
+            console.log(USAGE);
+            return 0;
+        }
+
+        let suiteText;
+        try {
+            suiteText = fs.readFileSync(parsed.suitePath, 'utf8');
+        } catch (error) {
+            throw new Error(`Could not read suite ${parsed.suitePath}: ${error.message}`);
+        }
+        const validation = SuiteValidator.validateSuiteText(suiteText);
+        for (const warning of validation.warnings) {
+            console.error(`Warning: ${SuiteValidator.formatIssue(warning)}`);
+        }
+        if (!validation.valid) {
+            validation.errors.forEach(issue => console.error(`Error: ${SuiteValidator.formatIssue(issue)}`));
+            return 2;
+        }
+        suite = validation.data;
+        const tests = SuiteFormat.resolveSuite(suite).tests;
+        parsed.options.caseFiles = loadCaseFiles(tests, parsed.suitePath);
+        parsed.options.baselineFiles = loadBaselineFiles(tests, parsed.suitePath);
+        workbook = loadWorkbook(parsed.workbookPath);
+    } catch (error) {
+        console.error(error.message);
+        if (!parsed || !parsed.suitePath) {
+            console.error(USAGE);
+        }
+        return 2;
+    }
+
+    let suiteResult;
+    try {
+        suiteResult = await Runner.runTestSuite(suite, Object.assign({ backend: workbook }, parsed.options));
+    } catch (error) {
+        console.error(`Failed to run tests: ${error.message}`);
+        return 2;
+    }
+    formatResults(suiteResult).forEach(line => console.log(line));
+    let baselinesApproved = false;
+    if (parsed.updateBaselines) {
+        try {
+            const { lines, approvedAll } = updateBaselines(suiteResult, parsed.suitePath, parsed.options.baselineFiles);
+            if (lines.length > 0) {
+                console.log('');
+                lines.forEach(line => console.log(line));
+            }
+            baselinesApproved = approvedAll && onlyBaselinesFailed(suiteResult);
+        } catch (error) {
+            console.error(`Could not update baselines: ${error.message}`);
+            return 2;
+        }
+    }
+    if (parsed.reportPath) {
+        const format = reportFormatOf(parsed.reportPath);
+        try {
+            fs.writeFileSync(parsed.reportPath, Report.exportRunReport(suiteResult, format, path.basename(parsed.suitePath)));
+        } catch (error) {
+            console.error(`Could not write report ${parsed.reportPath}: ${error.message}`);
+            return 2;
+        }
+    }
+
+    const allPassed = (suiteResult.passedCount === suiteResult.totalCount || baselinesApproved) && !suiteResult.interrupted;
+    return allPassed && suiteResult.restore.verified ? 0 : 1;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = {
+    main: main,
+    parseArguments: parseArguments,
+    formatResults: formatResults,
+    formatCoverage: formatCoverage
+};
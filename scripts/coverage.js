@@ -0,0 +1,296 @@
+/**
+ * Excel Unit Test Runner
+ * Formula coverage: which formula cells the tests exercise. A formula is
+ * covered when it lies on a path of references from an input cell of a test
+ * to a cell the same test asserts on. The paths come from a reference graph
+ * parsed from the formulas of every worksheet.
+ */
+
+// Sibling modules are globals in the add-in and require()-able under Node
+const CoverageAddresses = typeof window !== 'undefined' ? window.ExcelTestAddresses : require('./addresses.js');
+const CoverageFormulaStructure = typeof window !== 'undefined' ? window.ExcelTestFormulaStructure : require('./formula-structure.js');
+const CoverageLint = typeof window !== 'undefined' ? window.ExcelTestLint : require('./lint.js');
+
+// Cells are keyed by lower-case sheet name and position, as sheet names are not case-sensitive
+function coverageKey(worksheetName, row, column) {
+    return `${worksheetName.toLowerCase()}!${row},${column}`;
+}
+
+function containsCell(bounds, row, column) {
+    return row >= bounds.startRow && row <= bounds.endRow && column >= bounds.startColumn && column <= bounds.endColumn;
+}
+
+/**
+ * Resolve name addresses ("GrowthRate", "Model!Rate") to the concrete address
+ * each refers to. Each is looked up on its own, so a name that is not defined
+ * or not a range is only left out of the returned map; the lookups still share
+ * their syncs.
+ */
+async function resolveNames(context, addresses) {
+    const names = new Map();
+    await Promise.all(Array.from(new Set(addresses)).map(async (address) => {
+        try {
+            const resolved = await CoverageAddresses.resolveAddresses(context, [address]);
+            names.set(address, resolved[address]);
+        } catch (error) {
+            // Formulas that use the name are reported as untraced
+        }
+    }));
+    return names;
+}
+
+/**
+ * Read the formulas of every worksheet and link them into a reference graph:
+ *   { sheets, cells, precedents, dependents }
+ * `cells` maps the key of each formula cell to { key, address, worksheetName,
+ * row, column, formula, references }; references is null for a formula the
+ * parser cannot read or that uses a name which is not a single range, which is
+ * reported as untraced. Defined names count as references to their range. `precedents` and
+ * `dependents` map each formula cell to the formula cells it reads and that
+ * read it.
+ */
+async function readFormulaGraph(context) {
+    const worksheets = context.workbook.worksheets;
+    worksheets.load("items/name");
+    await context.sync();
+    const sheets = worksheets.items.map(worksheet => worksheet.name);
+
+    // Step 1: Load the formulas of each sheet's used range
+    const ranges = sheets.map(name => {
+        const range = context.workbook.worksheets.getItem(name).getUsedRangeOrNullObject();
+        range.load("address, formulas");
+        return range;
+    });
+
+    // Step 2: Sync to populate properties
+    await context.sync();
+
+    // Step 3: Collect the formula cells with the references they make
+    const cells = new Map();
+    const bySheet = new Map();
+    ranges.forEach((range, index) => {
+        if (range.isNullObject) {
+            return;
+        }
+        const worksheetName = sheets[index];
+        const bounds = CoverageAddresses.parseA1Range(CoverageAddresses.stripSheetName(range.address));
+        const sheetCells = [];
+        range.formulas.forEach((row, rowIndex) => row.forEach((formula, columnIndex) => {
+            if (typeof formula !== 'string' || !formula.startsWith('=')) {
+                return;
+            }
+            const cellRow = bounds.startRow + rowIndex;
+            const cellColumn = bounds.startColumn + columnIndex;
+            const cell = {
+                key: coverageKey(worksheetName, cellRow, cellColumn),
+                address: CoverageAddresses.formatAddress(worksheetName, `${CoverageAddresses.numberToColumn(cellColumn)}${cellRow}`),
+                worksheetName,
+                row: cellRow,
+                column: cellColumn,
+                formula,
+                references: null
+            };
+            cells.set(cell.key, cell);
+            sheetCells.push(cell);
+        }));
+        bySheet.set(worksheetName.toLowerCase(), sheetCells);
+    });
+
+    // Resolve the defined names the formulas use, then parse their references
+    const names = await resolveNames(context, Array.from(cells.values()).flatMap(cell => CoverageLint.formulaNames(cell.formula, cell.worksheetName)));
+    for (const cell of cells.values()) {
+        cell.references = CoverageLint.formulaReferences(cell.formula, cell.worksheetName, names);
+    }
+
+    // Link each formula to the formula cells inside the cells and ranges it refers to
+    const precedents = new Map();
+    const dependents = new Map(Array.from(cells.keys()).map(key => [key, []]));
+    for (const cell of cells.values()) {
+        const targets = new Set();
+        for (const { worksheetName, bounds } of cell.references || []) {
+            const candidates = bySheet.get(worksheetName.toLowerCase()) || [];
+            if (bounds.rowCount * bounds.columnCount <= candidates.length) {
+                for (let row = bounds.startRow; row <= bounds.endRow; row++) {
+                    for (let column = bounds.startColumn; column <= bounds.endColumn; column++) {
+                        const key = coverageKey(worksheetName, row, column);
+                        if (cells.has(key)) {
+                            targets.add(key);
+                        }
+                    }
+                }
+            } else {
+                candidates.filter(candidate => containsCell(bounds, candidate.row, candidate.column)).forEach(candidate => targets.add(candidate.key));
+            }
+        }
+        precedents.set(cell.key, Array.from(targets));
+        targets.forEach(target => dependents.get(target).push(cell.key));
+    }
+
+    return { sheets, cells, precedents, dependents };
+}
+
+/**
+ * The cells of concrete addresses ("Sheet!B2:C4", "Sheet!E12#") as
+ * { worksheetName, row, column }; a spill reference gives its anchor cell
+ */
+function addressCells(addresses) {
+    const positions = [];
+    for (const address of addresses) {
+        const parsed = CoverageAddresses.parseCellAddress(address);
+        const cellAddress = CoverageAddresses.isSpillReference(parsed.cellAddress) ? parsed.cellAddress.slice(0, -1) : parsed.cellAddress;
+        const bounds = CoverageAddresses.parseA1Range(cellAddress);
+        for (let row = bounds.startRow; row <= bounds.endRow; row++) {
+            for (let column = bounds.startColumn; column <= bounds.endColumn; column++) {
+                positions.push({ worksheetName: parsed.worksheetName, row, column });
+            }
+        }
+    }
+    return positions;
+}
+
+/**
+ * Read the reference graph and resolve the input and asserted cells of the
+ * runnable tests, before any inputs are written. Returns { graph, tests,
+ * omitted }, where `tests` maps each test case to { inputs, outputs } cell
+ * positions. The inputs are the cells the runner writes before reading the
+ * outputs: the suite's beforeEach inputs and the test's own, which include
+ * the suite defaults and case values. Formula-structure assertions check
+ * formulas, not values, so they are not ends of a path. Tests whose cells
+ * cannot be resolved are left out and listed in `omitted` as { testName,
+ * reason }; they fail when they run.
+ */
+async function prepareCoverage(context, preparedTests) {
+    const graph = await readFormulaGraph(context);
+    const tests = new Map();
+    const omitted = [];
+    const runnable = preparedTests.filter(prepared => !prepared.error && prepared.skipReason === undefined && !prepared.testCase.lint);
+    for (const { testCase } of runnable) {
+        const inputs = Object.keys(Object.assign({}, testCase.beforeEach, testCase.inputs));
+        const outputs = testCase.assertions.filter(assertion => !CoverageFormulaStructure.isStructureAssertion(assertion)).map(assertion => assertion.cell);
+        try {
+            const resolved = await CoverageAddresses.resolveAddresses(context, inputs.concat(outputs));
+            tests.set(testCase, {
+                inputs: addressCells(inputs.map(address => resolved[address])),
+                outputs: addressCells(outputs.map(address => resolved[address]))
+            });
+        } catch (error) {
+            omitted.push({ testName: testCase.name || 'Unnamed Test', reason: error.message });
+        }
+    }
+    return { graph, tests, omitted };
+}
+
+// Every formula cell reachable from the start keys along the given edges, including the start
+function reachable(startKeys, edges) {
+    const reached = new Set(startKeys);
+    const queue = Array.from(reached);
+    while (queue.length > 0) {
+        for (const next of edges.get(queue.pop()) || []) {
+            if (!reached.has(next)) {
+                reached.add(next);
+                queue.push(next);
+            }
+        }
+    }
+    return reached;
+}
+
+/**
+ * The formula cells one test covers: those that read an input, directly or
+ * through other formulas, and that an asserted cell reads (or that are
+ * asserted on themselves). Input cells are values during the test, so they
+ * are not covered.
+ */
+function coveredByTest(graph, cells) {
+    const inputKeys = new Set(cells.inputs.map(position => coverageKey(position.worksheetName, position.row, position.column)));
+    const readsInput = Array.from(graph.cells.values())
+        .filter(cell => (cell.references || []).some(({ worksheetName, bounds }) =>
+            cells.inputs.some(input => input.worksheetName.toLowerCase() === worksheetName.toLowerCase() && containsCell(bounds, input.row, input.column))))
+        .map(cell => cell.key);
+    const outputKeys = cells.outputs
+        .map(position => coverageKey(position.worksheetName, position.row, position.column))
+        .filter(key => graph.cells.has(key));
+
+    const downstream = reachable(readsInput, graph.dependents);
+    const upstream = reachable(outputKeys, graph.precedents);
+    return Array.from(downstream).filter(key => upstream.has(key) && !inputKeys.has(key));
+}
+
+// Share of a count as a percentage with one decimal, or null when there is nothing to count
+function percentage(part, whole) {
+    return whole > 0 ? Math.round(part / whole * 1000) / 10 : null;
+}
+
+/**
+ * Measure the coverage of the tests that ran, given as { testCase, testName };
+ * lint tests have no inputs and are left out.
+ * Returns { formulaCount, coveredCount, percent, sheets, tests, untraced,
+ * omitted }: per sheet with formulas { worksheetName, formulaCount,
+ * coveredCount, percent, uncovered }, per test { testName, coveredCount },
+ * the formulas whose references could not be read, and the tests left out
+ * (see prepareCoverage).
+ */
+function measureCoverage(coverage, ranTests) {
+    const { graph } = coverage;
+    const covered = new Set();
+    const tests = [];
+    for (const { testCase, testName } of ranTests.filter(ran => !ran.testCase.lint)) {
+        const cells = coverage.tests.get(testCase);
+        const testCovered = cells ? coveredByTest(graph, cells) : [];
+        testCovered.forEach(key => covered.add(key));
+        tests.push({ testName, coveredCount: testCovered.length });
+    }
+
+    const formulaCells = Array.from(graph.cells.values());
+    const sheets = [];
+    for (const worksheetName of graph.sheets) {
+        const sheetCells = formulaCells.filter(cell => cell.worksheetName === worksheetName);
+        if (sheetCells.length === 0) {
+            continue;
+        }
+        const coveredCount = sheetCells.filter(cell => covered.has(cell.key)).length;
+        sheets.push({
+            worksheetName,
+            formulaCount: sheetCells.length,
+            coveredCount,
+            percent: percentage(coveredCount, sheetCells.length),
+            uncovered: sheetCells.filter(cell => !covered.has(cell.key)).map(cell => cell.address)
+        });
+    }
+
+    return {
+        formulaCount: formulaCells.length,
+        coveredCount: covered.size,
+        percent: percentage(covered.size, formulaCells.length),
+        sheets,
+        tests,
+        untraced: formulaCells.filter(cell => cell.references === null).map(cell => cell.address),
+        omitted: coverage.omitted
+    };
+}
+
+/**
+ * The uncovered formula cells of a coverage result, for shading in the workbook
+ */
+function uncoveredCells(coverage) {
+    return coverage.sheets.flatMap(sheet => sheet.uncovered);
+}
+
+// Export functions globally for Office.js add-in
+if (typeof window !== 'undefined') {
+    window.ExcelTestCoverage = {
+        prepareCoverage: prepareCoverage,
+        measureCoverage: measureCoverage,
+        uncoveredCells: uncoveredCells
+    };
+}
+
+// Also support Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        readFormulaGraph: readFormulaGraph,
+        prepareCoverage: prepareCoverage,
+        measureCoverage: measureCoverage,
+        uncoveredCells: uncoveredCells
+    };
+}
@@ -0,0 +1,179 @@
+/**
+ * Excel Unit Test Runner
+ * Protect sheets during a run and detect edits made by anyone other than the runner
+ */
+
+// Sibling modules are globals in the add-in and require()-able under Node
+const LockAddresses = typeof window !== 'undefined' ? window.ExcelTestAddresses : require('./addresses.js');
+
+/**
+ * Bounds of a changed range. Whole columns ("A:C") and rows ("3:5") are
+ * unbounded the other way; anything unparseable is treated as the whole sheet.
+ */
+function changedBounds(address) {
+    const unbounded = { startRow: 1, startColumn: 1, endRow: Infinity, endColumn: Infinity };
+    const columns = /^\$?([A-Za-z]{1,3}):\$?([A-Za-z]{1,3})$/.exec(address);
+    if (columns) {
+        const start = LockAddresses.columnToNumber(columns[1]);
+        const end = LockAddresses.columnToNumber(columns[2]);
+        return Object.assign(unbounded, { startColumn: Math.min(start, end), endColumn: Math.max(start, end) });
+    }
+    const rows = /^\$?(\d+):\$?(\d+)$/.exec(address);
+    if (rows) {
+        const start = parseInt(rows[1], 10);
+        const end = parseInt(rows[2], 10);
+        return Object.assign(unbounded, { startRow: Math.min(start, end), endRow: Math.max(start, end) });
+    }
+    try {
+        return LockAddresses.parseA1Range(address);
+    } catch (error) {
+        return unbounded;
+    }
+}
+
+/**
+ * Returns true if a cell ("B2") lies inside one of the edits made to its sheet
+ */
+function isCellEdited(edits, worksheetName, cellAddress) {
+    const cell = LockAddresses.parseA1Range(cellAddress);
+    return edits.some(edit => {
+        if (edit.worksheetName !== worksheetName) {
+            return false;
+        }
+        const bounds = changedBounds(edit.address);
+        return cell.startRow >= bounds.startRow && cell.startRow <= bounds.endRow
+            && cell.startColumn >= bounds.startColumn && cell.startColumn <= bounds.endColumn;
+    });
+}
+
+/**
+ * Returns true if every cell of a changed range ("B2:C4") lies inside one of
+ * the given ranges of its sheet. Whole rows and columns never do.
+ */
+function isRangeWithin(ranges, address) {
+    const changed = changedBounds(address);
+    if (changed.endRow === Infinity || changed.endColumn === Infinity) {
+        return false;
+    }
+    const bounds = ranges.map(changedBounds);
+    for (let row = changed.startRow; row <= changed.endRow; row++) {
+        for (let column = changed.startColumn; column <= changed.endColumn; column++) {
+            const inside = bounds.some(range => row >= range.startRow && row <= range.endRow && column >= range.startColumn && column <= range.endColumn);
+            if (!inside) {
+                return false;
+            }
+        }
+    }
+    return true;
+}
+
+/**
+ * Start listening for worksheet edits. Changes made by this add-in are ignored;
+ * on hosts that cannot tell who made a change (before ExcelApi 1.14), changes
+ * that lie entirely inside the cells in `ownCells` ({ worksheetName: ["A1:B2", ...] })
+ * are assumed to be the runner's. Returns a watcher whose `edits` lists { worksheetName, address }.
+ */
+async function watchExternalEdits(context, ownCells) {
+    const worksheets = context.workbook.worksheets;
+    worksheets.load("items/id, items/name");
+    await context.sync();
+    const worksheetNames = new Map(worksheets.items.map(worksheet => [worksheet.id, worksheet.name]));
+
+    const watcher = { edits: [], handler: null };
+    watcher.handler = worksheets.onChanged.add(async (event) => {
+        if (event.triggerSource === 'ThisLocalAddin') {
+            return;
+        }
+        const worksheetName = worksheetNames.get(event.worksheetId) || event.worksheetId;
+        if (event.triggerSource === undefined && isRangeWithin(ownCells[worksheetName] || [], event.address)) {
+            return;
+        }
+        watcher.edits.push({ worksheetName, address: event.address });
+    });
+    await context.sync();
+    return watcher;
+}
+
+/**
+ * Stop listening for edits
+ */
+async function stopWatchingEdits(context, watcher) {
+    watcher.handler.remove();
+    await context.sync();
+}
+
+/**
+ * Protect the named sheets so the user cannot edit them during the run.
+ * Sheets that are already protected are left alone. Returns the names of the
+ * sheets this call protected.
+ */
+async function lockWorksheets(context, worksheetNames) {
+    const worksheets = worksheetNames.map(name => context.workbook.worksheets.getItem(name));
+    for (const worksheet of worksheets) {
+        worksheet.protection.load("protected");
+    }
+    await context.sync();
+
+    const locked = [];
+    worksheets.forEach((worksheet, index) => {
+        if (!worksheet.protection.protected) {
+            worksheet.protection.protect();
+            locked.push(worksheetNames[index]);
+        }
+    });
+    await context.sync();
+    return locked;
+}
+
+/**
+ * Remove the protection added by lockWorksheets
+ */
+async function unlockWorksheets(context, lockedNames) {
+    for (const name of lockedNames) {
+        context.workbook.worksheets.getItem(name).protection.unprotect();
+    }
+    await context.sync();
+}
+
+/**
+ * Run `write` with the locked sheets briefly unprotected, since protection
+ * also blocks the add-in's own writes
+ */
+async function withSheetsUnlocked(context, lockedNames, write) {
+    if (lockedNames.length === 0) {
+        return write();
+    }
+    await unlockWorksheets(context, lockedNames);
+    try {
+        return await write();
+    } finally {
+        for (const name of lockedNames) {
+            context.workbook.worksheets.getItem(name).protection.protect();
+        }
+        await context.sync();
+    }
+}
+
+// Export functions globally for Office.js add-in
+if (typeof window !== 'undefined') {
+    window.ExcelTestEditLock = {
+        watchExternalEdits: watchExternalEdits,
+        stopWatchingEdits: stopWatchingEdits,
+        isCellEdited: isCellEdited,
+        lockWorksheets: lockWorksheets,
+        unlockWorksheets: unlockWorksheets,
+        withSheetsUnlocked: withSheetsUnlocked
+    };
+}
+
+// Also support Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        watchExternalEdits: watchExternalEdits,
+        stopWatchingEdits: stopWatchingEdits,
+        isCellEdited: isCellEdited,
+        lockWorksheets: lockWorksheets,
+        unlockWorksheets: unlockWorksheets,
+        withSheetsUnlocked: withSheetsUnlocked
+    };
+}
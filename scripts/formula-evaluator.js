@@ -0,0 +1,533 @@
+/**
+ * Excel Unit Test Runner
+ * A small evaluator for the formulas in an in-memory workbook: arithmetic,
+ * comparison and text operators, cell and range references (optionally on
+ * another sheet), defined names and a handful of common functions
+ */
+
+// Sibling modules are globals in the add-in and require()-able under Node
+const FormulaAddresses = typeof window !== 'undefined' ? window.ExcelTestAddresses : require('./addresses.js');
+
+// Error values a formula can produce or refer to
+const FORMULA_ERROR_PATTERN = /^#(NULL!|DIV\/0!|VALUE!|REF!|NAME\?|NUM!|N\/A|CALC!|SPILL!)$/;
+
+const FORMULA_TOKEN_PATTERNS = [
+    ['string', /^"((?:[^"]|"")*)"/],
+    ['error', /^#(?:NULL!|DIV\/0!|VALUE!|REF!|NAME\?|NUM!|N\/A)/],
+    // Sheet-qualified reference or name: Sheet1!A1, 'Q1 Model'!A1:B2, Sheet1!Rate
+    ['sheetReference', /^(?:'((?:[^']|'')+)'|([A-Za-z_][\w.]*))!(\$?[A-Za-z]{1,3}\$?\d+(?::\$?[A-Za-z]{1,3}\$?\d+)?|[A-Za-z_\\][\w.]*)(?![\w(])/],
+    ['reference', /^\$?[A-Za-z]{1,3}\$?\d+(?::\$?[A-Za-z]{1,3}\$?\d+)?(?![\w(])/],
+    ['number', /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/],
+    ['identifier', /^[A-Za-z_\\][\w.]*/],
+    ['operator', /^(?:<=|>=|<>|[-+*/^&=<>%(),])/]
+];
+
+function formulaError(code) {
+    return { error: code };
+}
+
+function isFormulaError(value) {
+    return value !== null && typeof value === 'object' && typeof value.error === 'string';
+}
+
+/**
+ * Split a formula (without its leading "=") into tokens. Whitespace is
+ * dropped unless `keepWhitespace` is set.
+ */
+function tokenizeFormula(text, keepWhitespace = false) {
+    const tokens = [];
+    let rest = text;
+    while (rest.length > 0) {
+        const whitespace = /^\s+/.exec(rest);
+        if (whitespace) {
+            if (keepWhitespace) {
+                tokens.push({ type: 'whitespace', text: whitespace[0], match: whitespace });
+            }
+            rest = rest.slice(whitespace[0].length);
+            continue;
+        }
+        let token = null;
+        for (const [type, pattern] of FORMULA_TOKEN_PATTERNS) {
+            const match = pattern.exec(rest);
+            if (match) {
+                token = { type, text: match[0], match };
+                break;
+            }
+        }
+        if (!token) {
+            throw new Error(`Unsupported syntax at "${rest}"`);
+        }
+        tokens.push(token);
+        rest = rest.slice(token.text.length);
+    }
+    return tokens;
+}
+
+/**
+ * Reduce a value to a single cell's value; multi-cell ranges are #VALUE!
+ * (dynamic arrays are not simulated)
+ */
+function toScalar(value) {
+    if (value && Array.isArray(value.rows)) {
+        if (value.rows.length === 1 && value.rows[0].length === 1) {
+            return value.rows[0][0];
+        }
+        return formulaError('#VALUE!');
+    }
+    return value;
+}
+
+function toNumber(value) {
+    const scalar = toScalar(value);
+    if (isFormulaError(scalar)) {
+        return scalar;
+    }
+    if (scalar === null) {
+        return 0;
+    }
+    if (typeof scalar === 'boolean') {
+        return scalar ? 1 : 0;
+    }
+    if (typeof scalar === 'number') {
+        return scalar;
+    }
+    const number = Number(scalar);
+    return scalar.trim() !== '' && !isNaN(number) ? number : formulaError('#VALUE!');
+}
+
+function toText(value) {
+    const scalar = toScalar(value);
+    if (isFormulaError(scalar)) {
+        return scalar;
+    }
+    if (scalar === null) {
+        return '';
+    }
+    if (typeof scalar === 'boolean') {
+        return scalar ? 'TRUE' : 'FALSE';
+    }
+    if (typeof scalar === 'number') {
+        return String(Number(scalar.toPrecision(15)));
+    }
+    return scalar;
+}
+
+function toBoolean(value) {
+    const scalar = toScalar(value);
+    if (isFormulaError(scalar) || typeof scalar === 'boolean') {
+        return scalar;
+    }
+    if (typeof scalar === 'string' && /^(true|false)$/i.test(scalar)) {
+        return scalar.toLowerCase() === 'true';
+    }
+    const number = toNumber(scalar);
+    return isFormulaError(number) ? number : number !== 0;
+}
+
+/**
+ * Numbers are finite in Excel; anything else is #NUM!
+ */
+function checkedNumber(number) {
+    return Number.isFinite(number) ? number : formulaError('#NUM!');
+}
+
+/**
+ * Compare two values the way Excel does: numbers sort before text, text
+ * before booleans, and text compares case-insensitively. Returns -1, 0 or 1.
+ */
+function compareValues(left, right) {
+    const typeRank = value => typeof value === 'number' ? 0 : typeof value === 'string' ? 1 : 2;
+    // A blank cell compares as 0, "" or FALSE depending on the other side
+    const blankAs = other => typeof other === 'string' ? '' : typeof other === 'boolean' ? false : 0;
+    const a = left === null ? blankAs(right) : left;
+    const b = right === null ? blankAs(left) : right;
+    if (typeRank(a) !== typeRank(b)) {
+        return typeRank(a) < typeRank(b) ? -1 : 1;
+    }
+    const x = typeof a === 'string' ? a.toLowerCase() : a;
+    const y = typeof b === 'string' ? b.toLowerCase() : b;
+    return x < y ? -1 : x > y ? 1 : 0;
+}
+
+/**
+ * All values passed to an aggregate function. Values inside ranges are
+ * returned as-is; values typed as arguments are marked `direct`.
+ */
+function aggregateValues(args) {
+    const values = [];
+    for (const arg of args) {
+        if (arg && Array.isArray(arg.rows)) {
+            arg.rows.forEach(row => row.forEach(value => values.push({ value, direct: false })));
+        } else {
+            values.push({ value: arg, direct: true });
+        }
+    }
+    return values;
+}
+
+/**
+ * The numbers among the arguments: text, booleans and blanks inside ranges
+ * are skipped, direct arguments are converted. Returns an error value if any
+ * argument is an error.
+ */
+function aggregateNumbers(args) {
+    const numbers = [];
+    for (const { value, direct } of aggregateValues(args)) {
+        if (isFormulaError(value)) {
+            return value;
+        }
+        if (direct) {
+            const number = toNumber(value);
+            if (isFormulaError(number)) {
+                return number;
+            }
+            numbers.push(number);
+        } else if (typeof value === 'number') {
+            numbers.push(value);
+        }
+    }
+    return numbers;
+}
+
+function numericFunction(compute) {
+    return (...args) => {
+        const numbers = args.map(toNumber);
+        const error = numbers.find(isFormulaError);
+        return error || checkedNumber(compute(...numbers));
+    };
+}
+
+function aggregateFunction(compute) {
+    return (...args) => {
+        const numbers = aggregateNumbers(args);
+        return isFormulaError(numbers) ? numbers : compute(numbers);
+    };
+}
+
+function logicalFunction(combine) {
+    return (...args) => {
+        const flags = [];
+        for (const { value, direct } of aggregateValues(args)) {
+            if (value === null || (!direct && typeof value === 'string')) {
+                continue;
+            }
+            const flag = toBoolean(value);
+            if (isFormulaError(flag)) {
+                return flag;
+            }
+            flags.push(flag);
+        }
+        return flags.length === 0 ? formulaError('#VALUE!') : combine(flags);
+    };
+}
+
+// Excel rounds halves away from zero
+function roundHalfAway(number, digits) {
+    const factor = Math.pow(10, digits);
+    return Math.sign(number) * Math.round(Math.abs(number) * factor * (1 + Number.EPSILON)) / factor;
+}
+
+// Built-in functions. Arguments are values, or { rows } for ranges.
+const FORMULA_FUNCTIONS = {
+    SUM: aggregateFunction(numbers => numbers.reduce((sum, number) => sum + number, 0)),
+    PRODUCT: aggregateFunction(numbers => numbers.reduce((product, number) => product * number, 1)),
+    AVERAGE: aggregateFunction(numbers => numbers.length === 0
+        ? formulaError('#DIV/0!')
+        : numbers.reduce((sum, number) => sum + number, 0) / numbers.length),
+    MIN: aggregateFunction(numbers => numbers.length === 0 ? 0 : Math.min(...numbers)),
+    MAX: aggregateFunction(numbers => numbers.length === 0 ? 0 : Math.max(...numbers)),
+    COUNT: (...args) => aggregateValues(args).filter(({ value, direct }) => typeof value === 'number'
+        || (direct && !isFormulaError(toNumber(value)))).length,
+    COUNTA: (...args) => aggregateValues(args).filter(({ value }) => value !== null).length,
+    ABS: numericFunction(Math.abs),
+    INT: numericFunction(Math.floor),
+    ROUND: numericFunction((number, digits) => roundHalfAway(number, Math.trunc(digits || 0))),
+    MOD: (number, divisor) => {
+        const a = toNumber(number);
+        const b = toNumber(divisor);
+        if (isFormulaError(a) || isFormulaError(b)) {
+            return isFormulaError(a) ? a : b;
+        }
+        return b === 0 ? formulaError('#DIV/0!') : a - b * Math.floor(a / b);
+    },
+    IF: (condition, whenTrue = true, whenFalse = false) => {
+        const flag = toBoolean(condition);
+        if (isFormulaError(flag)) {
+            return flag;
+        }
+        return flag ? whenTrue : whenFalse;
+    },
+    IFERROR: (value, fallback) => isFormulaError(toScalar(value)) ? fallback : value,
+    AND: logicalFunction(flags => flags.every(Boolean)),
+    OR: logicalFunction(flags => flags.some(Boolean)),
+    NOT: value => {
+        const flag = toBoolean(value);
+        return isFormulaError(flag) ? flag : !flag;
+    }
+};
+
+/**
+ * Evaluate a formula ("=A1*2") on a sheet. `workbook` supplies the data:
+ *   getCellValue(worksheetName, row, column) - the value of a cell (1-based)
+ *                                              or undefined if the sheet does not exist
+ *   resolveName(name, worksheetName)         - { worksheetName, address } for a name
+ *                                              that refers to a range, { value } for a
+ *                                              constant, or null if it is not defined
+ *   functions                                - extra functions by upper-case name
+ * Returns a number, text, a boolean or an error value such as "#DIV/0!".
+ */
+function evaluateFormula(formula, worksheetName, workbook) {
+    let tokens;
+    try {
+        tokens = tokenizeFormula(String(formula).replace(/^=/, ''));
+    } catch (error) {
+        return '#NAME?';
+    }
+    let position = 0;
+    const functions = Object.assign({}, FORMULA_FUNCTIONS, workbook.functions || {});
+
+    const peek = () => tokens[position];
+    const isOperator = (...texts) => peek() && peek().type === 'operator' && texts.includes(peek().text);
+    function expect(text) {
+        if (!isOperator(text)) {
+            throw new Error(`Expected "${text}"`);
+        }
+        position++;
+    }
+
+    function readRange(sheetName, address) {
+        const bounds = FormulaAddresses.parseA1Range(address);
+        const rows = [];
+        for (let row = bounds.startRow; row <= bounds.endRow; row++) {
+            const values = [];
+            for (let column = bounds.startColumn; column <= bounds.endColumn; column++) {
+                const value = workbook.getCellValue(sheetName, row, column);
+                if (value === undefined) {
+                    return formulaError('#REF!');
+                }
+                values.push(value === '' ? null : typeof value === 'string' && FORMULA_ERROR_PATTERN.test(value) ? formulaError(value) : value);
+            }
+            rows.push(values);
+        }
+        return { rows };
+    }
+
+    function readName(name, sheetName) {
+        const target = workbook.resolveName(name, sheetName);
+        if (!target) {
+            return formulaError('#NAME?');
+        }
+        return target.address ? readRange(target.worksheetName, target.address) : target.value;
+    }
+
+    function parsePrimary() {
+        const token = peek();
+        if (!token) {
+            throw new Error('Unexpected end of formula');
+        }
+        position++;
+        switch (token.type) {
+            case 'number':
+                return Number(token.text);
+            case 'string':
+                return token.match[1].replace(/""/g, '"');
+            case 'error':
+                return formulaError(token.text);
+            case 'reference':
+                return readRange(worksheetName, token.text);
+            case 'sheetReference': {
+                const sheetName = token.match[1] !== undefined ? token.match[1].replace(/''/g, "'") : token.match[2];
+                const target = token.match[3];
+                return /^\$?[A-Za-z]{1,3}\$?\d+/.test(target) ? readRange(sheetName, target) : readName(target, sheetName);
+            }
+            case 'identifier': {
+                if (isOperator('(')) {
+                    return parseCall(token.text.toUpperCase());
+                }
+                if (/^(TRUE|FALSE)$/i.test(token.text)) {
+                    return token.text.toUpperCase() === 'TRUE';
+                }
+                return readName(token.text, worksheetName);
+            }
+            default:
+                if (token.text === '(') {
+                    const value = parseComparison();
+                    expect(')');
+                    return value;
+                }
+                throw new Error(`Unexpected "${token.text}"`);
+        }
+    }
+
+    function parseCall(name) {
+        expect('(');
+        const args = [];
+        while (!isOperator(')')) {
+            // An omitted argument ("ROUND(A1,)") is blank
+            args.push(isOperator(',', ')') ? null : parseComparison());
+            if (!isOperator(')')) {
+                expect(',');
+            }
+        }
+        expect(')');
+        const fn = functions[name];
+        if (!fn) {
+            return formulaError('#NAME?');
+        }
+        const result = fn(...args);
+        return result === undefined ? null : result;
+    }
+
+    function parseUnary() {
+        if (isOperator('-', '+')) {
+            const negate = peek().text === '-';
+            position++;
+            const operand = parseUnary();
+            if (!negate) {
+                return operand;
+            }
+            const number = toNumber(operand);
+            return isFormulaError(number) ? number : -number;
+        }
+        return parsePrimary();
+    }
+
+    function parsePercent() {
+        let value = parseUnary();
+        while (isOperator('%')) {
+            position++;
+            const number = toNumber(value);
+            value = isFormulaError(number) ? number : number / 100;
+        }
+        return value;
+    }
+
+    function parseBinary(parseOperand, operators, apply) {
+        return () => {
+            let left = parseOperand();
+            while (isOperator(...operators)) {
+                const operator = peek().text;
+                position++;
+                left = apply(operator, left, parseOperand());
+            }
+            return left;
+        };
+    }
+
+    function arithmetic(operator, left, right) {
+        const a = toNumber(left);
+        const b = toNumber(right);
+        if (isFormulaError(a) || isFormulaError(b)) {
+            return isFormulaError(a) ? a : b;
+        }
+        switch (operator) {
+            case '+': return checkedNumber(a + b);
+            case '-': return checkedNumber(a - b);
+            case '*': return checkedNumber(a * b);
+            case '/': return b === 0 ? formulaError('#DIV/0!') : checkedNumber(a / b);
+            default:
+                if (a === 0 && b < 0) {
+                    return formulaError('#DIV/0!');
+                }
+                return checkedNumber(Math.pow(a, b));
+        }
+    }
+
+    const parsePower = parseBinary(parsePercent, ['^'], arithmetic);
+    const parseProduct = parseBinary(parsePower, ['*', '/'], arithmetic);
+    const parseSum = parseBinary(parseProduct, ['+', '-'], arithmetic);
+    const parseConcatenation = parseBinary(parseSum, ['&'], (operator, left, right) => {
+        const a = toText(left);
+        const b = toText(right);
+        return isFormulaError(a) ? a : isFormulaError(b) ? b : a + b;
+    });
+    const parseComparison = parseBinary(parseConcatenation, ['=', '<>', '<', '>', '<=', '>='], (operator, left, right) => {
+        const a = toScalar(left);
+        const b = toScalar(right);
+        if (isFormulaError(a) || isFormulaError(b)) {
+            return isFormulaError(a) ? a : b;
+        }
+        const order = compareValues(a, b);
+        switch (operator) {
+            case '=': return order === 0;
+            case '<>': return order !== 0;
+            case '<': return order < 0;
+            case '>': return order > 0;
+            case '<=': return order <= 0;
+            default: return order >= 0;
+        }
+    });
+
+    let result;
+    try {
+        result = toScalar(parseComparison());
+        if (position < tokens.length) {
+            throw new Error(`Unexpected "${peek().text}"`);
+        }
+    } catch (error) {
+        return '#NAME?';
+    }
+    if (isFormulaError(result)) {
+        return result.error;
+    }
+    // A formula that refers to a blank cell shows 0
+    return result === null ? 0 : result;
+}
+
+/**
+ * A1 cell or range reference as R1C1 relative to the cell at (row, column):
+ * "B3" seen from C5 is "R[-2]C[-1]", "$B$3" is "R3C2"
+ */
+function referenceToR1C1(reference, row, column) {
+    return reference.split(':').map(part => {
+        const [, absoluteColumn, columnLetters, absoluteRow, rowDigits] = /^(\$?)([A-Za-z]{1,3})(\$?)(\d+)$/.exec(part);
+        const referencedColumn = FormulaAddresses.columnToNumber(columnLetters.toUpperCase());
+        const referencedRow = Number(rowDigits);
+        const relative = (letter, offset) => offset === 0 ? letter : `${letter}[${offset}]`;
+        return (absoluteRow ? `R${referencedRow}` : relative('R', referencedRow - row))
+            + (absoluteColumn ? `C${referencedColumn}` : relative('C', referencedColumn - column));
+    }).join(':');
+}
+
+/**
+ * The R1C1 form of a formula in the cell at (row, column), as Office.js
+ * reports it in formulasR1C1. Formulas the tokenizer cannot read are
+ * returned unchanged.
+ */
+function toR1C1Formula(formula, row, column) {
+    let tokens;
+    try {
+        tokens = tokenizeFormula(formula.slice(1), true);
+    } catch (error) {
+        return formula;
+    }
+    return '=' + tokens.map(token => {
+        if (token.type === 'reference') {
+            return referenceToR1C1(token.text, row, column);
+        }
+        if (token.type === 'sheetReference' && /^\$?[A-Za-z]{1,3}\$?\d+/.test(token.match[3])) {
+            return token.text.slice(0, token.text.length - token.match[3].length) + referenceToR1C1(token.match[3], row, column);
+        }
+        return token.text;
+    }).join('');
+}
+
+// Export functions globally for Office.js add-in
+if (typeof window !== 'undefined') {
+    window.ExcelTestFormulaEvaluator = {
+        evaluateFormula: evaluateFormula,
+        tokenizeFormula: tokenizeFormula,
+        toR1C1Formula: toR1C1Formula,
+        FORMULA_FUNCTIONS: FORMULA_FUNCTIONS
+    };
+}
+
+// Also support Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        evaluateFormula: evaluateFormula,
+        tokenizeFormula: tokenizeFormula,
+        toR1C1Formula: toR1C1Formula,
+        FORMULA_FUNCTIONS: FORMULA_FUNCTIONS
+    };
+}
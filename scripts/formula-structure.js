@@ -0,0 +1,222 @@
+/**
+ * Excel Unit Test Runner
+ * Formula-structure assertions: check that cells hold formulas (or constants)
+ * of the expected shape, so a hard-coded number pasted over a formula is
+ * caught even when its value still matches
+ *
+ *   { "cell": "Model!E12", "hasFormula": true }
+ *   { "cell": "Model!E12", "formulaMatches": "^=SUM\\(" }
+ *   { "cell": "Model!E12", "formulaMatches": { "r1c1": "=SUM(R[-4]C:R[-1]C)" } }
+ *   { "cell": "Inputs!B2:B9", "isConstant": true }
+ *   { "cell": "Model!E12", "formulaConsistentAcross": "E12:J12" }
+ */
+
+// Sibling modules are globals in the add-in and require()-able under Node
+const StructureAddresses = typeof window !== 'undefined' ? window.ExcelTestAddresses : require('./addresses.js');
+const StructureAssertions = typeof window !== 'undefined' ? window.ExcelTestAssertions : require('./assertions.js');
+
+const STRUCTURE_OPERATORS = ['hasFormula', 'formulaMatches', 'isConstant', 'formulaConsistentAcross'];
+
+function getStructureOperator(assertion) {
+    return STRUCTURE_OPERATORS.find(operator => operator in assertion) || null;
+}
+
+/**
+ * True for assertions on the formulas of cells rather than their values
+ */
+function isStructureAssertion(assertion) {
+    return getStructureOperator(assertion) !== null;
+}
+
+function isFormulaContent(content) {
+    return typeof content === 'string' && content.startsWith('=');
+}
+
+function describeContent(content) {
+    if (content === '' || content === null || content === undefined) {
+        return 'nothing (the cell is blank)';
+    }
+    if (isFormulaContent(content)) {
+        return `the formula ${content}`;
+    }
+    return `the constant ${typeof content === 'string' ? JSON.stringify(content) : content}`;
+}
+
+/**
+ * Formula text for comparison: whitespace outside text literals removed,
+ * letters upper-cased and R[0]/C[0] written as R/C, as Excel itself does
+ */
+function normalizeFormula(formula) {
+    return String(formula)
+        .split(/("(?:[^"]|"")*")/)
+        .map((part, index) => index % 2 === 1 ? part : part.replace(/\s+/g, '').toUpperCase().replace(/([RC])\[0\]/g, '$1'))
+        .join('');
+}
+
+/**
+ * The range a formulaConsistentAcross assertion compares, on the sheet of
+ * the assertion's cell unless it names its own
+ */
+function consistencyRangeAddress(assertion, worksheetName) {
+    const range = assertion.formulaConsistentAcross;
+    if (/^\$?[A-Za-z]{1,3}\$?\d+(:\$?[A-Za-z]{1,3}\$?\d+)?$/.test(range.trim())) {
+        return StructureAddresses.formatAddress(worksheetName, range.trim());
+    }
+    return range;
+}
+
+/**
+ * Check one cell's { formula, formulaR1C1 } against an assertion; `reference`
+ * is the R1C1 formula every cell must share for formulaConsistentAcross.
+ * Returns { passed, message }.
+ */
+function checkFormulaCell(assertion, operator, content, reference) {
+    const expected = assertion[operator];
+    switch (operator) {
+        case 'hasFormula': {
+            const hasFormula = isFormulaContent(content.formula);
+            return {
+                passed: hasFormula === expected,
+                message: expected ? `Expected a formula but the cell holds ${describeContent(content.formula)}` : `Expected no formula but the cell holds ${content.formula}`
+            };
+        }
+        case 'isConstant': {
+            const isConstant = !isFormulaContent(content.formula) && content.formula !== '';
+            return {
+                passed: isConstant === expected,
+                message: expected ? `Expected a constant but the cell holds ${describeContent(content.formula)}` : `Expected no constant but the cell holds ${describeContent(content.formula)}`
+            };
+        }
+        case 'formulaMatches': {
+            if (!isFormulaContent(content.formula)) {
+                return { passed: false, message: `Expected a formula but the cell holds ${describeContent(content.formula)}` };
+            }
+            if (typeof expected === 'string') {
+                const regex = new RegExp(expected, assertion.flags || (assertion.ignoreCase ? 'i' : ''));
+                return { passed: regex.test(content.formula), message: `Expected a formula matching /${expected}/ but got ${content.formula}` };
+            }
+            return {
+                passed: normalizeFormula(content.formulaR1C1) === normalizeFormula(expected.r1c1),
+                message: `Expected the formula ${expected.r1c1} (R1C1) but got ${content.formulaR1C1}`
+            };
+        }
+        case 'formulaConsistentAcross':
+            if (!isFormulaContent(content.formula)) {
+                return { passed: false, message: `Expected the formula ${reference} (R1C1) but the cell holds ${describeContent(content.formula)}` };
+            }
+            return {
+                passed: normalizeFormula(content.formulaR1C1) === normalizeFormula(reference),
+                message: `Expected the formula ${reference} (R1C1) but got ${content.formulaR1C1}`
+            };
+        default:
+            return { passed: false, message: `Unknown formula assertion ${operator}` };
+    }
+}
+
+function describePassedCell(assertion, operator, cell) {
+    if (operator === 'formulaConsistentAcross') {
+        return `Cell ${cell} has the same formula as ${assertion.cell}`;
+    }
+    return `Cell ${cell} ${StructureAssertions.describeAssertion(assertion)}`;
+}
+
+/**
+ * Evaluate a formula-structure assertion. `formulas` maps addresses to the
+ * { worksheetName, address, formulas, formulasR1C1 } read before any inputs
+ * were written (see readFormulas in test-runner.js). A range is checked cell
+ * by cell, like value assertions on ranges.
+ */
+function evaluateStructureAssertion(assertion, formulas) {
+    const operator = getStructureOperator(assertion);
+    const source = formulas[assertion.cell];
+    const result = {
+        cell: assertion.cell,
+        operator: operator,
+        expected: assertion[operator],
+        actual: source.formulas,
+        passed: false,
+        message: null,
+        difference: null,
+        tolerance: null
+    };
+
+    // Consistency compares every cell of the range with the assertion's cell
+    let checked = source;
+    let reference = null;
+    if (operator === 'formulaConsistentAcross') {
+        reference = source.formulasR1C1[0][0];
+        checked = formulas[consistencyRangeAddress(assertion, source.worksheetName)];
+        result.actual = checked.formulas;
+        if (!isFormulaContent(source.formulas[0][0])) {
+            result.message = `${assertion.cell} holds ${describeContent(source.formulas[0][0])}, so there is no formula to compare with`;
+            result.cellResults = [];
+            return result;
+        }
+    }
+
+    const cellResults = [];
+    checked.formulas.forEach((row, rowIndex) => row.forEach((formula, columnIndex) => {
+        const cell = StructureAddresses.formatAddress(checked.worksheetName, StructureAddresses.cellAddressAt(checked.address, rowIndex, columnIndex));
+        let outcome;
+        try {
+            outcome = checkFormulaCell(assertion, operator, { formula, formulaR1C1: checked.formulasR1C1[rowIndex][columnIndex] }, reference);
+        } catch (error) {
+            outcome = { passed: false, message: `Invalid ${operator} assertion: ${error.message}` };
+        }
+        cellResults.push({
+            cell: cell,
+            operator: operator,
+            expected: reference !== null ? reference : assertion[operator],
+            actual: formula,
+            passed: outcome.passed,
+            message: outcome.passed ? describePassedCell(assertion, operator, cell) : outcome.message,
+            difference: null,
+            tolerance: null
+        });
+    }));
+
+    const failedCells = cellResults.filter(cellResult => !cellResult.passed);
+    result.passed = failedCells.length === 0;
+
+    // A single cell is reported like a single-cell value assertion
+    if (cellResults.length === 1 && operator !== 'formulaConsistentAcross') {
+        result.actual = cellResults[0].actual;
+        result.message = result.passed
+            ? assertion.message || cellResults[0].message
+            : assertion.message ? `${assertion.message}: ${cellResults[0].message}` : cellResults[0].message;
+        return result;
+    }
+
+    const problem = `${failedCells.length} of ${cellResults.length} cells failed`;
+    if (result.passed) {
+        result.message = assertion.message || (operator === 'formulaConsistentAcross'
+            ? `All ${cellResults.length} cells in ${consistencyRangeAddress(assertion, source.worksheetName)} have the same formula as ${assertion.cell}`
+            : `All ${cellResults.length} cells in ${assertion.cell} ${StructureAssertions.describeAssertion(assertion)}`);
+    } else {
+        result.message = assertion.message ? `${assertion.message}: ${problem}` : problem;
+    }
+    result.cellResults = cellResults;
+    return result;
+}
+
+// Export functions globally for Office.js add-in
+if (typeof window !== 'undefined') {
+    window.ExcelTestFormulaStructure = {
+        STRUCTURE_OPERATORS: STRUCTURE_OPERATORS,
+        isStructureAssertion: isStructureAssertion,
+        normalizeFormula: normalizeFormula,
+        consistencyRangeAddress: consistencyRangeAddress,
+        evaluateStructureAssertion: evaluateStructureAssertion
+    };
+}
+
+// Also support Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        STRUCTURE_OPERATORS: STRUCTURE_OPERATORS,
+        isStructureAssertion: isStructureAssertion,
+        normalizeFormula: normalizeFormula,
+        consistencyRangeAddress: consistencyRangeAddress,
+        evaluateStructureAssertion: evaluateStructureAssertion
+    };
+}
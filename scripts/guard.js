@@ -0,0 +1,165 @@
+/**
+ * Excel Unit Test Runner
+ * Guard mode: re-run the suite automatically when the workbook changes
+ */
+
+// Wait for edits to settle before re-running
+const GUARD_DEBOUNCE_MS = 1500;
+
+// Events that arrive this long after a run finished are still treated as the
+// runner's own (restoring state triggers change and calculation events)
+const GUARD_SETTLE_MS = 1000;
+
+/**
+ * Compare two runs by test name. Returns the names of tests that passed
+ * before and fail now (regressions) and that failed before and pass now (fixed).
+ * Tests skipped in either run are left out.
+ */
+function compareRuns(previousResults, currentResults) {
+    const previous = new Map(previousResults.filter(result => !result.skipped).map(result => [result.testName, result.passed]));
+    const regressions = [];
+    const fixed = [];
+    for (const result of currentResults) {
+        if (result.skipped || !previous.has(result.testName)) {
+            continue;
+        }
+        if (previous.get(result.testName) && !result.passed) {
+            regressions.push(result.testName);
+        } else if (!previous.get(result.testName) && result.passed) {
+            fixed.push(result.testName);
+        }
+    }
+    return { regressions, fixed };
+}
+
+/**
+ * Create a guard that calls `onTrigger()` (debounced) when a worksheet changes.
+ * Call runStarted()/runFinished() around every test run, so the writes made by
+ * applyInputs/restoreState do not trigger another run. Calculation events carry
+ * no source, so a recalculation only counts once the user has changed the
+ * workbook since the last run started; it then postpones the run until a long
+ * recalculation is over. Saving is not a trigger: the Excel JavaScript API has
+ * no save event.
+ */
+function createGuard(onTrigger, options = {}) {
+    const debounceMs = options.debounceMs !== undefined ? options.debounceMs : GUARD_DEBOUNCE_MS;
+    const settleMs = options.settleMs !== undefined ? options.settleMs : GUARD_SETTLE_MS;
+
+    let eventHandlers = [];
+    let timer = null;
+    let running = false;
+    let changedDuringRun = false;
+    let changedSinceRun = false;
+    let ignoreUntil = 0;
+
+    function schedule() {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timer = null;
+            if (running) {
+                changedDuringRun = true;
+                return;
+            }
+            onTrigger();
+        }, debounceMs);
+    }
+
+    function isRunnerActivity() {
+        return running || Date.now() < ignoreUntil;
+    }
+
+    async function handleChanged(event) {
+        // Newer hosts tag changes made by this add-in; older ones rely on the run window
+        if (event.triggerSource === 'ThisLocalAddin') {
+            return;
+        }
+        if (event.triggerSource === undefined && isRunnerActivity()) {
+            return;
+        }
+        if (running) {
+            // A user edit while tests run: re-run once the current run is over
+            changedDuringRun = true;
+            return;
+        }
+        changedSinceRun = true;
+        schedule();
+    }
+
+    async function handleCalculated() {
+        // The runner's own recalculations can end well after the settle window
+        if (changedSinceRun && !isRunnerActivity()) {
+            schedule();
+        }
+    }
+
+    return {
+        async start() {
+            if (eventHandlers.length > 0) {
+                return;
+            }
+            await Excel.run(async (context) => {
+                const worksheets = context.workbook.worksheets;
+                eventHandlers = [
+                    worksheets.onChanged.add(handleChanged),
+                    worksheets.onCalculated.add(handleCalculated)
+                ];
+                await context.sync();
+            });
+        },
+
+        async stop() {
+            clearTimeout(timer);
+            timer = null;
+            if (eventHandlers.length === 0) {
+                return;
+            }
+            // Handlers must be removed using the context they were added with
+            const handlers = eventHandlers;
+            eventHandlers = [];
+            await Excel.run(handlers[0].context, async (context) => {
+                for (const handler of handlers) {
+                    handler.remove();
+                }
+                await context.sync();
+            });
+        },
+
+        isActive() {
+            return eventHandlers.length > 0;
+        },
+
+        runStarted() {
+            running = true;
+            changedSinceRun = false;
+            clearTimeout(timer);
+            timer = null;
+        },
+
+        runFinished() {
+            running = false;
+            ignoreUntil = Date.now() + settleMs;
+            if (changedDuringRun && eventHandlers.length > 0) {
+                changedDuringRun = false;
+                changedSinceRun = true;
+                schedule();
+            }
+            changedDuringRun = false;
+        }
+    };
+}
+
+// Export functions globally for Office.js add-in
+if (typeof window !== 'undefined') {
+    window.ExcelTestGuard = {
+        createGuard: createGuard,
+        compareRuns: compareRuns
+    };
+}
+
+// Also support Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createGuard: createGuard,
+        compareRuns: compareRuns
+    };
+}
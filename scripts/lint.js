@@ -0,0 +1,597 @@
+/**
+ * Excel Unit Test Runner
+ * Workbook lint: static checks of the model itself, run as built-in tests
+ * next to the scenario tests. A suite object turns them on with "lint":
+ *
+ *   "lint": {
+ *     "sheets": ["Model"],
+ *     "ranges": ["Calc!B5:K40"],
+ *     "exclude": ["Model!A1:A4"],
+ *     "rules": { "errorValues": { "allow": ["#N/A"] }, "emptyReferences": false }
+ *   }
+ *
+ * Without sheets or ranges every worksheet is scanned, and rules not listed
+ * are on. Each finding is reported as a failed assertion on its cell.
+ */
+
+// Sibling modules are globals in the add-in and require()-able under Node
+const LintAddresses = typeof window !== 'undefined' ? window.ExcelTestAddresses : require('./addresses.js');
+const LintAssertions = typeof window !== 'undefined' ? window.ExcelTestAssertions : require('./assertions.js');
+const LintFormulaStructure = typeof window !== 'undefined' ? window.ExcelTestFormulaStructure : require('./formula-structure.js');
+const LintFormulaEvaluator = typeof window !== 'undefined' ? window.ExcelTestFormulaEvaluator : require('./formula-evaluator.js');
+
+// The rules, in the order their tests are listed: the test name and the
+// message for an area without findings
+const LINT_RULES = {
+    errorValues: { name: 'Error values', clean: 'No error values' },
+    hardcodedConstants: { name: 'Hard-coded constants', clean: 'No constants between formulas' },
+    inconsistentFormulas: { name: 'Inconsistent formulas', clean: 'No formulas that break their row or column pattern' },
+    emptyReferences: { name: 'References to empty cells', clean: 'No formulas that refer to empty cells' },
+    circularReferences: { name: 'Circular references', clean: 'No circular references' }
+};
+
+// Every lint test has this tag, so `--tag lint` runs the lint checks alone
+const LINT_TAG = 'lint';
+
+/**
+ * The tests for a suite's "lint" block, one per rule that is on. Each has a
+ * `lint` entry of { rule, sheets, ranges, exclude, allow }; a rule with its
+ * own sheets or ranges scans those instead of the block's, and null sheets
+ * with no ranges means every worksheet.
+ */
+function createLintTests(lint) {
+    if (lint === null || typeof lint !== 'object' || Array.isArray(lint)) {
+        return [];
+    }
+    const rules = lint.rules || {};
+    return Object.keys(LINT_RULES).filter(rule => rules[rule] !== false).map(rule => {
+        const options = rules[rule] !== null && typeof rules[rule] === 'object' ? rules[rule] : {};
+        const scope = options.sheets !== undefined || options.ranges !== undefined ? options : lint;
+        const ranges = scope.ranges || [];
+        return {
+            name: `Lint: ${LINT_RULES[rule].name}`,
+            tags: [LINT_TAG],
+            inputs: {},
+            assertions: [],
+            lint: {
+                rule,
+                sheets: scope.sheets || (ranges.length > 0 ? [] : null),
+                ranges,
+                exclude: (lint.exclude || []).concat(options.exclude || []),
+                allow: options.allow || []
+            }
+        };
+    });
+}
+
+// Cells are keyed by lower-case sheet name and position, as sheet names are not case-sensitive
+function positionKey(worksheetName, row, column) {
+    return `${worksheetName.toLowerCase()}!${row},${column}`;
+}
+
+function isFormula(content) {
+    return typeof content === 'string' && content.startsWith('=');
+}
+
+/**
+ * A cell of an area read by readAreas(), or null outside it:
+ * { key, address, worksheetName, row, column, value, formula, formulaR1C1 }
+ */
+function areaCell(area, rowIndex, columnIndex) {
+    if (rowIndex < 0 || columnIndex < 0 || rowIndex >= area.values.length || columnIndex >= area.values[0].length) {
+        return null;
+    }
+    const row = area.bounds.startRow + rowIndex;
+    const column = area.bounds.startColumn + columnIndex;
+    return {
+        key: positionKey(area.worksheetName, row, column),
+        address: LintAddresses.formatAddress(area.worksheetName, `${LintAddresses.numberToColumn(column)}${row}`),
+        worksheetName: area.worksheetName,
+        row,
+        column,
+        value: area.values[rowIndex][columnIndex],
+        formula: area.formulas[rowIndex][columnIndex],
+        formulaR1C1: area.formulasR1C1[rowIndex][columnIndex]
+    };
+}
+
+// Every cell of an area, row by row
+function areaCells(area) {
+    const cells = [];
+    area.values.forEach((row, rowIndex) => row.forEach((value, columnIndex) => cells.push(areaCell(area, rowIndex, columnIndex))));
+    return cells;
+}
+
+/**
+ * The areas a lint test scans, as keys into the areas read by readAreas():
+ * "sheet:<name>" for a worksheet's used range and "range:<address>" for a range
+ */
+function areaKeys(lint, worksheetNames) {
+    const sheets = lint.sheets === null ? worksheetNames : lint.sheets;
+    return sheets.map(name => `sheet:${name}`).concat(lint.ranges.map(address => `range:${address}`));
+}
+
+/**
+ * Read the values and formulas of areas (see areaKeys). Returns a map of key
+ * -> { worksheetName, address, bounds, values, formulas, formulasR1C1 }, or
+ * null for a worksheet with nothing on it.
+ */
+async function readAreas(context, keys) {
+    const ranges = keys.filter(key => key.startsWith('range:')).map(key => key.slice('range:'.length));
+    const resolved = await LintAddresses.resolveAddresses(context, ranges);
+
+    // Step 1: Get the used range of each sheet and each range, and load their contents
+    const entries = [];
+    for (const key of new Set(keys)) {
+        let range;
+        if (key.startsWith('sheet:')) {
+            range = context.workbook.worksheets.getItem(key.slice('sheet:'.length)).getUsedRangeOrNullObject();
+        } else {
+            const parsed = LintAddresses.parseCellAddress(resolved[key.slice('range:'.length)]);
+            range = context.workbook.worksheets.getItem(parsed.worksheetName).getRange(parsed.cellAddress);
+        }
+        range.load("address, values, formulas, formulasR1C1");
+        entries.push({ key, range });
+    }
+
+    // Step 2: Sync to populate properties
+    await context.sync();
+
+    // Step 3: Keep what was loaded, with the position of the area on its sheet
+    const areas = {};
+    for (const { key, range } of entries) {
+        if (range.isNullObject) {
+            areas[key] = null;
+            continue;
+        }
+        const parsed = LintAddresses.parseCellAddress(range.address);
+        areas[key] = {
+            worksheetName: parsed.worksheetName,
+            address: LintAddresses.formatAddress(parsed.worksheetName, parsed.cellAddress),
+            bounds: LintAddresses.parseA1Range(parsed.cellAddress),
+            values: range.values,
+            formulas: range.formulas,
+            formulasR1C1: range.formulasR1C1
+        };
+    }
+    return areas;
+}
+
+/**
+ * The addresses a defined name in a formula may resolve under, in the form
+ * resolveAddresses takes, or null for a token that is not a name. A name on
+ * the formula's own sheet hides a workbook name, so an unqualified name lists
+ * both, the sheet's first.
+ */
+function nameAddresses(tokens, index, worksheetName) {
+    const token = tokens[index];
+    if (token.type === 'sheetReference' && !/^\$?[A-Za-z]{1,3}\$?\d+/.test(token.match[3])) {
+        const sheet = token.match[1] !== undefined ? token.match[1].replace(/''/g, "'") : token.match[2];
+        return [LintAddresses.formatAddress(sheet, token.match[3])];
+    }
+    const next = tokens[index + 1];
+    if (token.type !== 'identifier' || (next && next.text === '(') || /^(TRUE|FALSE)$/i.test(token.text)) {
+        return null;
+    }
+    return [LintAddresses.formatAddress(worksheetName, token.text), token.text];
+}
+
+/**
+ * The defined names a formula uses, as addresses to resolve (see nameAddresses);
+ * none for a formula the parser cannot read
+ */
+function formulaNames(formula, worksheetName) {
+    let tokens;
+    try {
+        tokens = LintFormulaEvaluator.tokenizeFormula(formula.slice(1));
+    } catch (error) {
+        return [];
+    }
+    return tokens.flatMap((token, index) => nameAddresses(tokens, index, worksheetName) || []);
+}
+
+/**
+ * The cells and ranges a formula refers to, as { worksheetName, bounds }, or
+ * null for a formula the parser cannot read (array constants, whole columns, ...).
+ * Defined names are looked up in `names`, which maps the addresses from
+ * formulaNames to the concrete address they resolve to; a name missing from
+ * it makes the formula unreadable. Without `names`, defined names are skipped.
+ */
+function formulaReferences(formula, worksheetName, names = null) {
+    let tokens;
+    try {
+        tokens = LintFormulaEvaluator.tokenizeFormula(formula.slice(1));
+    } catch (error) {
+        return null;
+    }
+    const references = [];
+    for (let index = 0; index < tokens.length; index++) {
+        const token = tokens[index];
+        const candidates = nameAddresses(tokens, index, worksheetName);
+        if (candidates) {
+            if (names === null) {
+                continue;
+            }
+            const resolved = candidates.map(candidate => names.get(candidate)).find(address => address);
+            let parsed;
+            try {
+                parsed = LintAddresses.parseCellAddress(resolved);
+            } catch (error) {
+                // Not resolved, or a name over several areas
+                return null;
+            }
+            references.push({ worksheetName: parsed.worksheetName, bounds: LintAddresses.parseA1Range(parsed.cellAddress) });
+        } else if (token.type === 'reference') {
+            references.push({ worksheetName, bounds: LintAddresses.parseA1Range(token.text) });
+        } else if (token.type === 'sheetReference') {
+            const sheet = token.match[1] !== undefined ? token.match[1].replace(/''/g, "'") : token.match[2];
+            references.push({ worksheetName: sheet, bounds: LintAddresses.parseA1Range(token.match[3]) });
+        }
+    }
+    return references;
+}
+
+function isSingleCell(bounds) {
+    return bounds.rowCount === 1 && bounds.columnCount === 1;
+}
+
+// A failed assertion for one finding
+function finding(rule, cell, expected, actual, message) {
+    return { cell, operator: rule, expected, actual, passed: false, message, difference: null, tolerance: null };
+}
+
+function findErrorValues(area, lint) {
+    const allowed = lint.allow.map(value => String(value).toUpperCase());
+    return areaCells(area)
+        .filter(cell => LintAssertions.isErrorValue(cell.value) && !allowed.includes(cell.value.toUpperCase()))
+        .map(cell => finding('errorValues', cell.address, 'no error value', cell.value,
+            `Shows ${cell.value}${isFormula(cell.formula) ? ` (${cell.formula})` : ''}`));
+}
+
+/**
+ * Numbers typed between formulas: both neighbours in the row, or both in the
+ * column, hold formulas
+ */
+function findHardcodedConstants(area) {
+    const findings = [];
+    area.values.forEach((row, rowIndex) => row.forEach((value, columnIndex) => {
+        const cell = areaCell(area, rowIndex, columnIndex);
+        if (typeof value !== 'number' || isFormula(cell.formula)) {
+            return;
+        }
+        const holdsFormula = (rowOffset, columnOffset) => {
+            const neighbour = areaCell(area, rowIndex + rowOffset, columnIndex + columnOffset);
+            return neighbour !== null && isFormula(neighbour.formula);
+        };
+        const axis = holdsFormula(0, -1) && holdsFormula(0, 1) ? 'row' : holdsFormula(-1, 0) && holdsFormula(1, 0) ? 'column' : null;
+        if (axis) {
+            findings.push(finding('hardcodedConstants', cell.address, 'a formula', value,
+                `Holds the constant ${value} in a ${axis} of formulas`));
+        }
+    }));
+    return findings;
+}
+
+/**
+ * Formulas that differ (in R1C1 form) from the formula both their neighbours
+ * in the row, or in the column, share. The first and last cells of a block
+ * are left alone, as opening and closing formulas often differ on purpose.
+ */
+function findInconsistentFormulas(area) {
+    const findings = [];
+    const formulaAt = (rowIndex, columnIndex) => {
+        const cell = areaCell(area, rowIndex, columnIndex);
+        return cell !== null && isFormula(cell.formula) ? cell : null;
+    };
+    const sameFormula = (a, b) => LintFormulaStructure.normalizeFormula(a.formulaR1C1) === LintFormulaStructure.normalizeFormula(b.formulaR1C1);
+    area.values.forEach((row, rowIndex) => row.forEach((value, columnIndex) => {
+        const cell = formulaAt(rowIndex, columnIndex);
+        if (cell === null) {
+            return;
+        }
+        for (const [axis, rowStep, columnStep] of [['row', 0, 1], ['column', 1, 0]]) {
+            const before = formulaAt(rowIndex - rowStep, columnIndex - columnStep);
+            const after = formulaAt(rowIndex + rowStep, columnIndex + columnStep);
+            if (before !== null && after !== null && sameFormula(before, after) && !sameFormula(before, cell)) {
+                findings.push(finding('inconsistentFormulas', cell.address, before.formulaR1C1, cell.formulaR1C1,
+                    `Breaks the ${axis} pattern: ${cell.formulaR1C1} instead of ${before.formulaR1C1} (R1C1)`));
+                break;
+            }
+        }
+    }));
+    return findings;
+}
+
+/**
+ * Formulas that refer to a single cell that is empty. `contents` maps the
+ * position keys of the referenced cells to their formulas (see lintTests).
+ */
+function findEmptyReferences(area, contents) {
+    const findings = [];
+    for (const cell of areaCells(area).filter(cell => isFormula(cell.formula))) {
+        const reported = new Set();
+        for (const reference of (formulaReferences(cell.formula, cell.worksheetName) || []).filter(reference => isSingleCell(reference.bounds))) {
+            const key = positionKey(reference.worksheetName, reference.bounds.startRow, reference.bounds.startColumn);
+            if (contents.get(key) !== '' || reported.has(key)) {
+                continue;
+            }
+            reported.add(key);
+            const target = LintAddresses.formatAddress(reference.worksheetName,
+                `${LintAddresses.numberToColumn(reference.bounds.startColumn)}${reference.bounds.startRow}`);
+            findings.push(finding('emptyReferences', cell.address, 'a value', '',
+                `Refers to ${target}, which is empty (${cell.formula})`));
+        }
+    }
+    return findings;
+}
+
+/**
+ * Strongly connected groups of a dependency graph (Tarjan's algorithm, with an
+ * explicit stack so long chains of formulas do not overflow the call stack)
+ */
+function findDependencyLoops(nodes, edges) {
+    let nextIndex = 0;
+    const indices = new Map();
+    const lowLinks = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const groups = [];
+    const visit = node => {
+        indices.set(node, nextIndex);
+        lowLinks.set(node, nextIndex);
+        nextIndex++;
+        stack.push(node);
+        onStack.add(node);
+    };
+
+    for (const start of nodes) {
+        if (indices.has(start)) {
+            continue;
+        }
+        visit(start);
+        const work = [{ node: start, next: 0 }];
+        while (work.length > 0) {
+            const frame = work[work.length - 1];
+            const targets = edges.get(frame.node) || [];
+            if (frame.next < targets.length) {
+                const target = targets[frame.next++];
+                if (!indices.has(target)) {
+                    visit(target);
+                    work.push({ node: target, next: 0 });
+                } else if (onStack.has(target)) {
+                    lowLinks.set(frame.node, Math.min(lowLinks.get(frame.node), indices.get(target)));
+                }
+                continue;
+            }
+            work.pop();
+            if (work.length > 0) {
+                const parent = work[work.length - 1].node;
+                lowLinks.set(parent, Math.min(lowLinks.get(parent), lowLinks.get(frame.node)));
+            }
+            if (lowLinks.get(frame.node) === indices.get(frame.node)) {
+                const group = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    group.push(member);
+                } while (member !== frame.node);
+                groups.push(group);
+            }
+        }
+    }
+    return groups;
+}
+
+/**
+ * Formulas in the scanned areas that depend on themselves, directly or
+ * through each other. Only references between scanned cells are followed.
+ */
+function findCircularReferences(areas) {
+    const cells = new Map();
+    const bySheet = new Map();
+    for (const cell of areas.flatMap(areaCells).filter(cell => isFormula(cell.formula))) {
+        if (!cells.has(cell.key)) {
+            cells.set(cell.key, cell);
+            const sheet = cell.worksheetName.toLowerCase();
+            bySheet.set(sheet, (bySheet.get(sheet) || []).concat(cell));
+        }
+    }
+
+    const edges = new Map();
+    for (const cell of cells.values()) {
+        const targets = new Set();
+        for (const { worksheetName, bounds } of formulaReferences(cell.formula, cell.worksheetName) || []) {
+            const candidates = bySheet.get(worksheetName.toLowerCase()) || [];
+            for (const candidate of candidates) {
+                if (candidate.row >= bounds.startRow && candidate.row <= bounds.endRow
+                    && candidate.column >= bounds.startColumn && candidate.column <= bounds.endColumn) {
+                    targets.add(candidate.key);
+                }
+            }
+        }
+        edges.set(cell.key, Array.from(targets));
+    }
+
+    return findDependencyLoops(Array.from(cells.keys()), edges)
+        .filter(group => group.length > 1 || edges.get(group[0]).includes(group[0]))
+        .map(group => {
+            const members = group.map(key => cells.get(key)).sort((a, b) => a.row - b.row || a.column - b.column);
+            const message = members.length === 1
+                ? `Refers to itself (${members[0].formula})`
+                : `Part of a circular reference through ${members.slice(1).map(member => member.address).join(', ')}`;
+            return finding('circularReferences', members[0].address, 'no circular reference', members[0].formula, message);
+        });
+}
+
+/**
+ * Parse the "exclude" addresses of a lint test into { worksheetName, bounds }
+ */
+function parseExclusions(exclude) {
+    return exclude.map(address => {
+        const parsed = LintAddresses.parseCellAddress(address);
+        return { worksheetName: parsed.worksheetName.toLowerCase(), bounds: LintAddresses.parseA1Range(parsed.cellAddress) };
+    });
+}
+
+function isExcluded(address, exclusions) {
+    const parsed = LintAddresses.parseCellAddress(address);
+    const { startRow: row, startColumn: column } = LintAddresses.parseA1Range(parsed.cellAddress);
+    return exclusions.some(({ worksheetName, bounds }) => worksheetName === parsed.worksheetName.toLowerCase()
+        && row >= bounds.startRow && row <= bounds.endRow && column >= bounds.startColumn && column <= bounds.endColumn);
+}
+
+/**
+ * The assertion results of one lint test: a failed assertion per finding, and
+ * a passed one for each scanned area without findings
+ */
+function evaluateLintTest(lint, areas, contents) {
+    const exclusions = parseExclusions(lint.exclude);
+    const findingsByArea = areas.map(area => {
+        switch (lint.rule) {
+            case 'errorValues':
+                return findErrorValues(area, lint);
+            case 'hardcodedConstants':
+                return findHardcodedConstants(area);
+            case 'inconsistentFormulas':
+                return findInconsistentFormulas(area);
+            case 'emptyReferences':
+                return findEmptyReferences(area, contents);
+            default:
+                return [];
+        }
+    });
+    if (lint.rule === 'circularReferences') {
+        // A loop can run across areas, so they are checked together
+        const loops = findCircularReferences(areas);
+        areas.forEach((area, index) => {
+            const addresses = new Set(areaCells(area).map(cell => cell.address));
+            findingsByArea[index] = loops.filter(loop => addresses.has(loop.cell));
+        });
+    }
+
+    const results = [];
+    const reported = new Set();
+    areas.forEach((area, index) => {
+        const findings = findingsByArea[index].filter(result => !isExcluded(result.cell, exclusions));
+        if (findings.length > 0) {
+            // Areas can overlap; a finding in both is reported once
+            for (const result of findings.filter(result => !reported.has(`${result.cell} ${result.message}`))) {
+                reported.add(`${result.cell} ${result.message}`);
+                results.push(result);
+            }
+        } else {
+            results.push({
+                cell: area.address,
+                operator: lint.rule,
+                expected: null,
+                actual: null,
+                passed: true,
+                message: `${LINT_RULES[lint.rule].clean} in ${area.address}`,
+                difference: null,
+                tolerance: null,
+                // Shown like a range assertion, by its message
+                cellResults: []
+            });
+        }
+    });
+    return results;
+}
+
+/**
+ * The formulas of the single cells that emptyReferences tests refer to, as a
+ * map of position key -> formula. Cells in the scanned areas are taken from
+ * them; the rest are read, if their sheet exists.
+ */
+async function readReferencedCells(context, areas, worksheetNames) {
+    const contents = new Map();
+    for (const cell of areas.flatMap(areaCells)) {
+        contents.set(cell.key, cell.formula);
+    }
+
+    const sheets = new Map(worksheetNames.map(name => [name.toLowerCase(), name]));
+    const pending = new Map();
+    for (const cell of areas.flatMap(areaCells).filter(cell => isFormula(cell.formula))) {
+        for (const { worksheetName, bounds } of formulaReferences(cell.formula, cell.worksheetName) || []) {
+            const key = positionKey(worksheetName, bounds.startRow, bounds.startColumn);
+            if (isSingleCell(bounds) && !contents.has(key) && !pending.has(key) && sheets.has(worksheetName.toLowerCase())) {
+                const range = context.workbook.worksheets.getItem(sheets.get(worksheetName.toLowerCase()))
+                    .getRange(`${LintAddresses.numberToColumn(bounds.startColumn)}${bounds.startRow}`);
+                range.load("formulas");
+                pending.set(key, range);
+            }
+        }
+    }
+    if (pending.size > 0) {
+        await context.sync();
+        for (const [key, range] of pending) {
+            contents.set(key, range.formulas[0][0]);
+        }
+    }
+    return contents;
+}
+
+/**
+ * Run lint tests (see createLintTests) against the workbook as it is. Returns
+ * one entry per test, in order: { assertionResults } or, when its areas could
+ * not be read, { error }.
+ */
+async function runLintTests(context, lintTests) {
+    if (lintTests.length === 0) {
+        return [];
+    }
+    const worksheets = context.workbook.worksheets;
+    worksheets.load("items/name");
+    await context.sync();
+    const worksheetNames = worksheets.items.map(worksheet => worksheet.name);
+
+    const lintOne = async (lint, areas) => {
+        const scanned = areaKeys(lint, worksheetNames).map(key => areas[key]).filter(area => area);
+        const contents = lint.rule === 'emptyReferences' ? await readReferencedCells(context, scanned, worksheetNames) : new Map();
+        return { assertionResults: evaluateLintTest(lint, scanned, contents) };
+    };
+
+    try {
+        const areas = await readAreas(context, lintTests.flatMap(test => areaKeys(test.lint, worksheetNames)));
+        const results = [];
+        for (const test of lintTests) {
+            results.push(await lintOne(test.lint, areas));
+        }
+        return results;
+    } catch (error) {
+        // Read each test's areas on its own, so one missing sheet or range only fails its test
+        const results = [];
+        for (const test of lintTests) {
+            try {
+                results.push(await lintOne(test.lint, await readAreas(context, areaKeys(test.lint, worksheetNames))));
+            } catch (testError) {
+                results.push({ error: `Could not lint the workbook: ${testError.message}` });
+            }
+        }
+        return results;
+    }
+}
+
+// Export functions globally for Office.js add-in
+if (typeof window !== 'undefined') {
+    window.ExcelTestLint = {
+        LINT_RULES: LINT_RULES,
+        LINT_TAG: LINT_TAG,
+        createLintTests: createLintTests,
+        formulaNames: formulaNames,
+        formulaReferences: formulaReferences,
+        runLintTests: runLintTests
+    };
+}
+
+// Also support Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LINT_RULES: LINT_RULES,
+        LINT_TAG: LINT_TAG,
+        createLintTests: createLintTests,
+        formulaNames: formulaNames,
+        formulaReferences: formulaReferences,
+        runLintTests: runLintTests
+    };
+}
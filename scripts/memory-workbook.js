@@ -0,0 +1,588 @@
+/**
+ * Excel Unit Test Runner
+ * An in-memory workbook backend: implements the part of the Excel request
+ * context the runner uses, so suites can run under Node without Excel
+ */
+
+// Sibling modules are globals in the add-in and require()-able under Node
+const MemoryAddresses = typeof window !== 'undefined' ? window.ExcelTestAddresses : require('./addresses.js');
+const FormulaEvaluator = typeof window !== 'undefined' ? window.ExcelTestFormulaEvaluator : require('./formula-evaluator.js');
+
+/**
+ * Formula text for a written value: text starting with "=" is a formula,
+ * like typing it into a cell
+ */
+function isFormulaText(value) {
+    return typeof value === 'string' && value.length > 1 && value.startsWith('=');
+}
+
+function nullObject(properties = {}) {
+    return Object.assign({ isNullObject: true, load() { return this; } }, properties);
+}
+
+/**
+ * Create an in-memory workbook from a fixture:
+ *   {
+ *     "name": "Budget.xlsx",
+ *     "sheets": { "Inputs": { "B2": 100, "B3:C3": [[1, 2]] }, "Model": { "B5": "=Inputs!B2*2" } },
+ *     "names": { "GrowthRate": "Inputs!B2", "Model!Local": "Model!B5", "Vat": 0.2 },
+ *     "tables": { "Sales": { "range": "Data!A1:C10", "showTotals": true } }
+ *   }
+ * A cell can also be { "formula": "...", "value": ... } to fix the value of a
+ * formula the evaluator does not support. `hooks` may hold:
+ *   functions   - extra formula functions by upper-case name
+ *   onCalculate - called with the workbook after every recalculation; it can
+ *                 setCalculatedValue() on cells whose results are computed elsewhere
+ * The returned workbook is a runner backend (run(callback)) and can also be
+ * read (getValue, getFormula, getFill, getSelection) and edited as a user
+ * would (edit).
+ */
+function createMemoryWorkbook(fixture = {}, hooks = {}) {
+    const worksheets = [];
+    const namedItems = new Map();
+    const tableSpecs = new Map();
+    const changeHandlers = [];
+    const xmlParts = [];
+    let nextXmlPartId = 1;
+    let calculationMode = 'Automatic';
+    let needsCalculation = true;
+    let activeWorksheet = null;
+    let selection = null;
+
+    // Sheets, names and tables are looked up case-insensitively, like Excel does
+    function findWorksheet(name) {
+        return worksheets.find(sheet => sheet.name.toLowerCase() === String(name).toLowerCase());
+    }
+
+    function requireWorksheet(name) {
+        const sheet = findWorksheet(name);
+        if (!sheet) {
+            throw new Error(`Worksheet "${name}" does not exist`);
+        }
+        return sheet;
+    }
+
+    function cellKey(row, column) {
+        return `${row},${column}`;
+    }
+
+    /**
+     * Write one cell. `null` leaves the cell unchanged and "" clears it, as in Office.js.
+     */
+    function writeCell(sheet, row, column, value) {
+        if (value === null || value === undefined) {
+            return;
+        }
+        const key = cellKey(row, column);
+        if (value === '') {
+            sheet.cells.delete(key);
+        } else if (isFormulaText(value)) {
+            sheet.cells.set(key, { formula: value, value: 0, fixed: false });
+        } else {
+            sheet.cells.set(key, { formula: null, value });
+        }
+        needsCalculation = true;
+    }
+
+    function writeRange(sheet, bounds, rows) {
+        if (sheet.protected) {
+            throw new Error(`Worksheet "${sheet.name}" is protected`);
+        }
+        if (!Array.isArray(rows) || rows.length !== bounds.rowCount || rows.some(row => !Array.isArray(row) || row.length !== bounds.columnCount)) {
+            throw new Error("The number of rows or columns in the input array doesn't match the size or dimensions of the range.");
+        }
+        rows.forEach((row, rowIndex) => row.forEach((value, columnIndex) => {
+            writeCell(sheet, bounds.startRow + rowIndex, bounds.startColumn + columnIndex, value);
+        }));
+    }
+
+    /**
+     * Recalculate every formula, following references so each cell is
+     * evaluated after the cells it depends on
+     */
+    function recalculate() {
+        const calculated = new Set();
+        const calculating = new Set();
+
+        function cellValue(sheet, row, column) {
+            const cell = sheet.cells.get(cellKey(row, column));
+            if (!cell) {
+                return '';
+            }
+            if (cell.formula === null || cell.fixed || calculated.has(cell)) {
+                return cell.value;
+            }
+            if (calculating.has(cell)) {
+                // Excel shows 0 for a circular reference
+                return 0;
+            }
+            calculating.add(cell);
+            cell.value = FormulaEvaluator.evaluateFormula(cell.formula, sheet.name, {
+                getCellValue: (worksheetName, cellRow, cellColumn) => {
+                    const target = findWorksheet(worksheetName);
+                    return target ? cellValue(target, cellRow, cellColumn) : undefined;
+                },
+                resolveName: resolveName,
+                functions: hooks.functions
+            });
+            calculating.delete(cell);
+            calculated.add(cell);
+            return cell.value;
+        }
+
+        for (const sheet of worksheets) {
+            for (const key of Array.from(sheet.cells.keys())) {
+                const [row, column] = key.split(',').map(Number);
+                cellValue(sheet, row, column);
+            }
+        }
+        needsCalculation = false;
+        if (hooks.onCalculate) {
+            hooks.onCalculate(memoryWorkbook);
+        }
+    }
+
+    // Automatic mode recalculates before anything is read after a change
+    function calculateIfAutomatic() {
+        if (needsCalculation && calculationMode === 'Automatic') {
+            recalculate();
+        }
+    }
+
+    function resolveName(name, worksheetName) {
+        const lookup = name.toLowerCase();
+        const scoped = worksheetName ? namedItems.get(`${worksheetName.toLowerCase()}!${lookup}`) : undefined;
+        const item = scoped || namedItems.get(lookup);
+        if (!item) {
+            return null;
+        }
+        return item.target ? { worksheetName: item.target.worksheetName, address: item.target.cellAddress } : { value: item.value };
+    }
+
+    /**
+     * The fill of a range: setting a color or pattern applies it to every cell,
+     * clear() removes it. Cells without a fill have the pattern 'None'.
+     */
+    function createFill(sheet, bounds) {
+        const keys = [];
+        for (let row = bounds.startRow; row <= bounds.endRow; row++) {
+            for (let column = bounds.startColumn; column <= bounds.endColumn; column++) {
+                keys.push(cellKey(row, column));
+            }
+        }
+        const requireUnprotected = () => {
+            if (sheet.protected) {
+                throw new Error(`Worksheet "${sheet.name}" is protected`);
+            }
+        };
+        const update = change => {
+            requireUnprotected();
+            keys.forEach(key => sheet.fills.set(key, Object.assign({ color: '#FFFFFF', pattern: 'Solid' }, sheet.fills.get(key), change)));
+        };
+        return {
+            get color() {
+                return (sheet.fills.get(keys[0]) || { color: '#FFFFFF' }).color;
+            },
+            set color(color) {
+                update({ color });
+            },
+            get pattern() {
+                return (sheet.fills.get(keys[0]) || { pattern: 'None' }).pattern;
+            },
+            set pattern(pattern) {
+                update({ pattern });
+            },
+            clear() {
+                requireUnprotected();
+                keys.forEach(key => sheet.fills.delete(key));
+            }
+        };
+    }
+
+    function createRange(sheet, address) {
+        const bounds = MemoryAddresses.parseA1Range(address);
+        const cellAt = (rowIndex, columnIndex) => sheet.cells.get(cellKey(bounds.startRow + rowIndex, bounds.startColumn + columnIndex));
+        const mapCells = read => Array.from({ length: bounds.rowCount }, (unused, rowIndex) =>
+            Array.from({ length: bounds.columnCount }, (unusedCell, columnIndex) => {
+                const cell = cellAt(rowIndex, columnIndex);
+                return cell ? read(cell) : '';
+            }));
+        const fillAt = (rowIndex, columnIndex) => sheet.fills.get(cellKey(bounds.startRow + rowIndex, bounds.startColumn + columnIndex))
+            || { color: '#FFFFFF', pattern: 'None' };
+        const firstCell = `${MemoryAddresses.numberToColumn(bounds.startColumn)}${bounds.startRow}`;
+        const lastCell = `${MemoryAddresses.numberToColumn(bounds.endColumn)}${bounds.endRow}`;
+
+        return {
+            address: MemoryAddresses.formatAddress(sheet.name, firstCell === lastCell ? firstCell : `${firstCell}:${lastCell}`),
+            rowCount: bounds.rowCount,
+            columnCount: bounds.columnCount,
+            cellCount: bounds.rowCount * bounds.columnCount,
+            load() {
+                return this;
+            },
+            get values() {
+                calculateIfAutomatic();
+                return mapCells(cell => cell.value);
+            },
+            set values(rows) {
+                writeRange(sheet, bounds, rows);
+            },
+            get formulas() {
+                return mapCells(cell => cell.formula === null ? cell.value : cell.formula);
+            },
+            set formulas(rows) {
+                writeRange(sheet, bounds, rows);
+            },
+            get formulasR1C1() {
+                return Array.from({ length: bounds.rowCount }, (unused, rowIndex) =>
+                    Array.from({ length: bounds.columnCount }, (unusedCell, columnIndex) => {
+                        const cell = cellAt(rowIndex, columnIndex);
+                        if (!cell) {
+                            return '';
+                        }
+                        return cell.formula === null
+                            ? cell.value
+                            : FormulaEvaluator.toR1C1Formula(cell.formula, bounds.startRow + rowIndex, bounds.startColumn + columnIndex);
+                    }));
+            },
+            format: {
+                fill: createFill(sheet, bounds)
+            },
+            getCell(rowIndex, columnIndex) {
+                return createRange(sheet, MemoryAddresses.cellAddressAt(address, rowIndex, columnIndex));
+            },
+            getCellProperties() {
+                // Only cell fills are tracked
+                return {
+                    value: Array.from({ length: bounds.rowCount }, (unused, rowIndex) =>
+                        Array.from({ length: bounds.columnCount }, (unusedCell, columnIndex) => ({ format: { fill: Object.assign({}, fillAt(rowIndex, columnIndex)) } })))
+                };
+            },
+            getSpillingToRangeOrNullObject() {
+                // Formulas never spill in the in-memory workbook
+                return nullObject();
+            },
+            select() {
+                activeWorksheet = sheet.name;
+                selection = this.address;
+            }
+        };
+    }
+
+    function getUsedRange(sheet, valuesOnly, nullIfEmpty = false) {
+        let bounds = null;
+        for (const [key, cell] of sheet.cells) {
+            if (valuesOnly && cell.value === '') {
+                continue;
+            }
+            const [row, column] = key.split(',').map(Number);
+            bounds = bounds
+                ? {
+                    startRow: Math.min(bounds.startRow, row), startColumn: Math.min(bounds.startColumn, column),
+                    endRow: Math.max(bounds.endRow, row), endColumn: Math.max(bounds.endColumn, column)
+                }
+                : { startRow: row, startColumn: column, endRow: row, endColumn: column };
+        }
+        // Like Excel, a sheet without values has no used range; without valuesOnly it is A1
+        if (!bounds) {
+            if (nullIfEmpty) {
+                return nullObject();
+            }
+            if (valuesOnly) {
+                throw new Error(`Worksheet "${sheet.name}" has no used range`);
+            }
+            return createRange(sheet, 'A1');
+        }
+        return createRange(sheet, `${MemoryAddresses.numberToColumn(bounds.startColumn)}${bounds.startRow}:${MemoryAddresses.numberToColumn(bounds.endColumn)}${bounds.endRow}`);
+    }
+
+    function createNamedItem(key) {
+        const item = namedItems.get(key.toLowerCase());
+        if (!item) {
+            return nullObject();
+        }
+        return {
+            isNullObject: false,
+            name: item.name,
+            type: item.target ? 'Range' : typeof item.value === 'number' ? 'Double' : typeof item.value === 'boolean' ? 'Boolean' : 'String',
+            value: item.target ? `=${MemoryAddresses.formatAddress(item.target.worksheetName, item.target.cellAddress)}` : item.value,
+            load() {
+                return this;
+            },
+            getRange() {
+                return createRange(requireWorksheet(item.target.worksheetName), item.target.cellAddress);
+            }
+        };
+    }
+
+    /**
+     * Tables have a header row and, when showTotals is set, a totals row;
+     * column names come from the header cells
+     */
+    function createTable(name) {
+        const spec = tableSpecs.get(name.toLowerCase());
+        if (!spec) {
+            return nullObject({ columns: { load() {} } });
+        }
+        const parsed = MemoryAddresses.parseCellAddress(spec.range);
+        const sheet = requireWorksheet(parsed.worksheetName);
+        const bounds = MemoryAddresses.parseA1Range(parsed.cellAddress);
+        const rangeOf = (startRow, endRow, startColumn, endColumn) => createRange(sheet,
+            `${MemoryAddresses.numberToColumn(startColumn)}${startRow}:${MemoryAddresses.numberToColumn(endColumn)}${endRow}`);
+        const lastDataRow = spec.showTotals ? bounds.endRow - 1 : bounds.endRow;
+        const parts = (startColumn, endColumn) => ({
+            getRange: () => rangeOf(bounds.startRow, bounds.endRow, startColumn, endColumn),
+            getHeaderRowRange: () => rangeOf(bounds.startRow, bounds.startRow, startColumn, endColumn),
+            getDataBodyRange: () => rangeOf(bounds.startRow + 1, lastDataRow, startColumn, endColumn),
+            getTotalRowRange: () => rangeOf(bounds.endRow, bounds.endRow, startColumn, endColumn)
+        });
+        const headers = rangeOf(bounds.startRow, bounds.startRow, bounds.startColumn, bounds.endColumn).values[0];
+
+        return Object.assign({
+            isNullObject: false,
+            name: spec.name,
+            showTotals: Boolean(spec.showTotals),
+            columns: {
+                items: headers.map((header, index) => Object.assign({ name: String(header) },
+                    parts(bounds.startColumn + index, bounds.startColumn + index))),
+                load() {}
+            },
+            load() {
+                return this;
+            }
+        }, parts(bounds.startColumn, bounds.endColumn));
+    }
+
+    function createWorksheet(sheet) {
+        return {
+            isNullObject: false,
+            id: sheet.id,
+            name: sheet.name,
+            protection: {
+                get protected() {
+                    return sheet.protected;
+                },
+                load() {},
+                protect() {
+                    sheet.protected = true;
+                },
+                unprotect() {
+                    sheet.protected = false;
+                }
+            },
+            names: {
+                getItemOrNullObject: name => createNamedItem(`${sheet.name}!${name}`)
+            },
+            load() {
+                return this;
+            },
+            activate() {
+                activeWorksheet = sheet.name;
+            },
+            getRange: address => createRange(sheet, address),
+            getUsedRange: valuesOnly => getUsedRange(sheet, valuesOnly),
+            getUsedRangeOrNullObject: valuesOnly => getUsedRange(sheet, valuesOnly, true)
+        };
+    }
+
+    function createXmlPart(part) {
+        return {
+            id: part.id,
+            getXml: () => ({ value: part.xml }),
+            setXml(xml) {
+                part.xml = xml;
+            },
+            delete() {
+                xmlParts.splice(xmlParts.indexOf(part), 1);
+            }
+        };
+    }
+
+    const context = {
+        workbook: {
+            name: fixture.name || 'Workbook.xlsx',
+            load() {},
+            worksheets: {
+                get items() {
+                    return worksheets.map(createWorksheet);
+                },
+                load() {},
+                getItem: name => createWorksheet(requireWorksheet(name)),
+                getItemOrNullObject: name => {
+                    const sheet = findWorksheet(name);
+                    return sheet ? createWorksheet(sheet) : nullObject();
+                },
+                onChanged: {
+                    add(handler) {
+                        changeHandlers.push(handler);
+                        return {
+                            context,
+                            remove() {
+                                changeHandlers.splice(changeHandlers.indexOf(handler), 1);
+                            }
+                        };
+                    }
+                }
+            },
+            names: {
+                getItemOrNullObject: name => createNamedItem(name)
+            },
+            tables: {
+                getItemOrNullObject: name => createTable(name)
+            },
+            customXmlParts: {
+                getByNamespace: namespace => ({
+                    get items() {
+                        return xmlParts.filter(part => part.xml.includes(`="${namespace}"`)).map(createXmlPart);
+                    },
+                    load() {}
+                }),
+                add(xml) {
+                    xmlParts.push({ id: `{memory-part-${nextXmlPartId++}}`, xml });
+                }
+            },
+            application: {
+                // Calculation is synchronous, so it is always done by the time it is checked
+                calculationState: 'Done',
+                get calculationMode() {
+                    return calculationMode;
+                },
+                set calculationMode(mode) {
+                    calculationMode = mode;
+                },
+                load() {},
+                calculate() {
+                    recalculate();
+                }
+            }
+        },
+        async sync() {
+            // Changes apply immediately; sync only yields, like a round trip to Excel
+            await Promise.resolve();
+        }
+    };
+
+    // Load the fixture
+    for (const [name, cells] of Object.entries(fixture.sheets || {})) {
+        const sheet = { id: `{memory-sheet-${worksheets.length + 1}}`, name, cells: new Map(), fills: new Map(), protected: false };
+        worksheets.push(sheet);
+        for (const [address, content] of Object.entries(cells)) {
+            const bounds = MemoryAddresses.parseA1Range(address);
+            const rows = MemoryAddresses.shapeValues(content, bounds.rowCount, bounds.columnCount, `Fixture cell ${name}!${address}`);
+            rows.forEach((row, rowIndex) => row.forEach((value, columnIndex) => {
+                const cellRow = bounds.startRow + rowIndex;
+                const cellColumn = bounds.startColumn + columnIndex;
+                if (value !== null && typeof value === 'object' && value.formula !== undefined) {
+                    // A fixed result for a formula the evaluator cannot calculate
+                    sheet.cells.set(cellKey(cellRow, cellColumn), { formula: value.formula, value: value.value !== undefined ? value.value : 0, fixed: true });
+                } else {
+                    writeCell(sheet, cellRow, cellColumn, value === null ? '' : value);
+                }
+            }));
+        }
+    }
+    for (const [key, definition] of Object.entries(fixture.names || {})) {
+        let target = null;
+        if (typeof definition === 'string') {
+            try {
+                target = MemoryAddresses.parseCellAddress(definition.replace(/^=/, ''));
+            } catch (error) {
+                target = null;
+            }
+        }
+        namedItems.set(key.toLowerCase(), { name: key.split('!').pop(), target, value: definition });
+    }
+    for (const [name, spec] of Object.entries(fixture.tables || {})) {
+        tableSpecs.set(name.toLowerCase(), Object.assign({ name }, typeof spec === 'string' ? { range: spec } : spec));
+    }
+
+    function cellOf(address) {
+        const parsed = MemoryAddresses.parseCellAddress(address);
+        const bounds = MemoryAddresses.parseA1Range(parsed.cellAddress);
+        return { sheet: requireWorksheet(parsed.worksheetName), row: bounds.startRow, column: bounds.startColumn, cellAddress: parsed.cellAddress };
+    }
+
+    const memoryWorkbook = {
+        /**
+         * Run a batch against the workbook, like Excel.run
+         */
+        async run(callback) {
+            return callback(context);
+        },
+
+        /**
+         * The current value of a cell ("Sheet1!B5"), recalculating first in automatic mode
+         */
+        getValue(address) {
+            const { sheet, row, column } = cellOf(address);
+            calculateIfAutomatic();
+            const cell = sheet.cells.get(cellKey(row, column));
+            return cell ? cell.value : '';
+        },
+
+        /**
+         * The formula of a cell, or its value if it holds a constant
+         */
+        getFormula(address) {
+            const { sheet, row, column } = cellOf(address);
+            const cell = sheet.cells.get(cellKey(row, column));
+            return cell ? (cell.formula === null ? cell.value : cell.formula) : '';
+        },
+
+        /**
+         * Set the result of a formula cell without changing its formula, for
+         * onCalculate hooks that compute results the evaluator cannot
+         */
+        setCalculatedValue(address, value) {
+            const { sheet, row, column } = cellOf(address);
+            const cell = sheet.cells.get(cellKey(row, column));
+            if (!cell || cell.formula === null) {
+                throw new Error(`${address} does not hold a formula`);
+            }
+            cell.value = value;
+        },
+
+        /**
+         * The fill color of a cell, or null if it has no fill
+         */
+        getFill(address) {
+            const { sheet, row, column } = cellOf(address);
+            const fill = sheet.fills.get(cellKey(row, column));
+            return fill && fill.pattern !== 'None' ? fill.color : null;
+        },
+
+        /**
+         * The active worksheet and the address last selected on it
+         */
+        getSelection() {
+            return { worksheetName: activeWorksheet, address: selection };
+        },
+
+        /**
+         * Change a cell as a user would: protected sheets refuse the edit, and
+         * worksheet change handlers are notified
+         */
+        edit(address, value) {
+            const { sheet, cellAddress } = cellOf(address);
+            writeRange(sheet, MemoryAddresses.parseA1Range(cellAddress), [[value]]);
+            for (const handler of changeHandlers.slice()) {
+                handler({ worksheetId: sheet.id, address: cellAddress, triggerSource: 'Unknown' });
+            }
+        }
+    };
+    return memoryWorkbook;
+}
+
+// Export functions globally for Office.js add-in
+if (typeof window !== 'undefined') {
+    window.ExcelTestMemoryWorkbook = {
+        createMemoryWorkbook: createMemoryWorkbook
+    };
+}
+
+// Also support Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createMemoryWorkbook: createMemoryWorkbook
+    };
+}
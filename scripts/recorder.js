@@ -0,0 +1,211 @@
+/**
+ * Excel Unit Test Runner
+ * Record mode: capture input and output cells from the live workbook and
+ * build a test from them
+ */
+
+// Sibling modules are globals in the add-in and require()-able under Node
+const RecordAddresses = typeof window !== 'undefined' ? window.ExcelTestAddresses : require('./addresses.js');
+const RecordAssertions = typeof window !== 'undefined' ? window.ExcelTestAssertions : require('./assertions.js');
+const RecordSuiteFormat = typeof window !== 'undefined' ? window.ExcelTestSuiteFormat : require('./suite-format.js');
+
+// Operators whose expected value is implied (the assertion is written as `true`)
+const FLAG_OPERATORS = ['isBlank', 'isError', 'hasFormula', 'isConstant'];
+
+// Operators that take a tolerance
+const TOLERANCE_OPERATORS = ['equals', 'notEquals', 'baseline'];
+
+/**
+ * Read the current selection. A single cell holding a spilled array is
+ * captured as the whole spill ("Sheet1!E2#").
+ * Returns { cell, values, formulas }.
+ */
+async function captureSelection() {
+    return Excel.run(async (context) => {
+        const range = context.workbook.getSelectedRange();
+        range.load("address, values, formulas, cellCount");
+        const spill = range.getSpillingToRangeOrNullObject();
+        spill.load("address, values, formulas");
+        await context.sync();
+
+        const parsed = RecordAddresses.parseCellAddress(range.address);
+        if (range.cellCount === 1 && !spill.isNullObject && spill.values.length * spill.values[0].length > 1) {
+            return {
+                cell: RecordAddresses.formatAddress(parsed.worksheetName, `${parsed.cellAddress}#`),
+                values: spill.values,
+                formulas: spill.formulas
+            };
+        }
+        return {
+            cell: RecordAddresses.formatAddress(parsed.worksheetName, parsed.cellAddress),
+            values: range.values,
+            formulas: range.formulas
+        };
+    });
+}
+
+/**
+ * Single cells are recorded as a value, ranges as a 2D array
+ */
+function capturedValue(capture) {
+    return capture.values.length === 1 && capture.values[0].length === 1 ? capture.values[0][0] : capture.values;
+}
+
+/**
+ * Build an input entry { cell, value, warning } from a captured selection
+ */
+function createInputEntry(capture) {
+    if (RecordAddresses.isSpillReference(RecordAddresses.stripSheetName(capture.cell))) {
+        throw new Error(`${capture.cell} is a spilled array and cannot be used as an input. Select the cells it depends on instead`);
+    }
+    const hasFormula = capture.formulas.some(row => row.some(formula => typeof formula === 'string' && formula.startsWith('=')));
+    return {
+        cell: capture.cell,
+        value: capturedValue(capture),
+        warning: hasFormula ? 'Contains formulas; the test will overwrite them with these values' : null
+    };
+}
+
+/**
+ * Build an output entry { cell, operator, expected, tolerance } from a captured
+ * selection, picking the operator that matches the current value
+ */
+function createOutputEntry(capture) {
+    const value = capturedValue(capture);
+    const values = capture.values.flat();
+
+    let operator = 'equals';
+    let expected = value;
+    if (values.every(RecordAssertions.isBlankValue)) {
+        operator = 'isBlank';
+        expected = true;
+    } else if (!Array.isArray(value) && RecordAssertions.isErrorValue(value)) {
+        operator = 'errorType';
+    }
+    return { cell: capture.cell, operator, expected, tolerance: null };
+}
+
+/**
+ * Build an output entry that records the whole selection as a baseline
+ */
+function createBaselineEntry(capture) {
+    return { cell: capture.cell, operator: 'baseline', expected: capture.values, tolerance: null };
+}
+
+/**
+ * Show a value in a form field: arrays as JSON, everything else as text
+ */
+function formatFieldValue(value) {
+    if (Array.isArray(value)) {
+        return JSON.stringify(value);
+    }
+    return value === null || value === undefined ? '' : String(value);
+}
+
+/**
+ * Read a value typed into a form field. Numbers and TRUE/FALSE are converted;
+ * text starting with "[" is read as a JSON array.
+ */
+function parseFieldValue(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('[')) {
+        try {
+            return JSON.parse(trimmed);
+        } catch (error) {
+            throw new Error(`"${trimmed}" is not a valid array: ${error.message}`);
+        }
+    }
+    if (trimmed !== '' && !isNaN(Number(trimmed))) {
+        return Number(trimmed);
+    }
+    if (/^(true|false)$/i.test(trimmed)) {
+        return trimmed.toLowerCase() === 'true';
+    }
+    return text;
+}
+
+/**
+ * Turn a recorded draft { name, inputs, outputs } into a test object
+ */
+function buildRecordedTest(draft) {
+    if (draft.outputs.length === 0) {
+        throw new Error('Add at least one output cell to assert on');
+    }
+
+    const test = { name: draft.name.trim() || 'Recorded test' };
+    if (draft.inputs.length > 0) {
+        test.inputs = {};
+        for (const input of draft.inputs) {
+            if (test.inputs[input.cell] !== undefined) {
+                throw new Error(`${input.cell} is recorded as an input twice`);
+            }
+            test.inputs[input.cell] = input.value;
+        }
+    }
+
+    test.assertions = draft.outputs.map(output => {
+        const assertion = { cell: output.cell };
+        assertion[output.operator] = FLAG_OPERATORS.includes(output.operator) ? true : output.expected;
+        if (output.operator === 'baseline' && typeof output.expected !== 'string' && !(Array.isArray(output.expected) && output.expected.every(Array.isArray))) {
+            // Embedded baselines are kept as rows, even for a single cell or row
+            assertion.baseline = [[].concat(output.expected)];
+        }
+        if (TOLERANCE_OPERATORS.includes(output.operator) && typeof output.tolerance === 'number' && output.tolerance > 0) {
+            assertion.tolerance = output.tolerance;
+        }
+        return assertion;
+    });
+    return test;
+}
+
+/**
+ * Append a test to the suite text (an array, a suite object, a single test, or
+ * empty) and return the new suite text
+ */
+function addTestToSuite(suiteText, test) {
+    let suite = [];
+    if (suiteText.trim()) {
+        let parsed;
+        try {
+            parsed = JSON.parse(suiteText);
+        } catch (error) {
+            throw new Error(`The current suite is not valid JSON (${error.message}). Fix it before adding a recorded test`);
+        }
+        if (RecordSuiteFormat.isSuiteObject(parsed) && Array.isArray(parsed.tests)) {
+            parsed.tests.push(test);
+            return JSON.stringify(parsed, null, 2);
+        }
+        suite = Array.isArray(parsed) ? parsed : [parsed];
+    }
+    suite.push(test);
+    return JSON.stringify(suite, null, 2);
+}
+
+// Export functions globally for Office.js add-in
+if (typeof window !== 'undefined') {
+    window.ExcelTestRecorder = {
+        captureSelection: captureSelection,
+        createInputEntry: createInputEntry,
+        createOutputEntry: createOutputEntry,
+        createBaselineEntry: createBaselineEntry,
+        formatFieldValue: formatFieldValue,
+        parseFieldValue: parseFieldValue,
+        buildRecordedTest: buildRecordedTest,
+        addTestToSuite: addTestToSuite,
+        FLAG_OPERATORS: FLAG_OPERATORS,
+        TOLERANCE_OPERATORS: TOLERANCE_OPERATORS
+    };
+}
+
+// Also support Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createInputEntry: createInputEntry,
+        createOutputEntry: createOutputEntry,
+        createBaselineEntry: createBaselineEntry,
+        formatFieldValue: formatFieldValue,
+        parseFieldValue: parseFieldValue,
+        buildRecordedTest: buildRecordedTest,
+        addTestToSuite: addTestToSuite
+    };
+}
@@ -0,0 +1,297 @@
+/**
+ * Excel Unit Test Runner
+ * Export a suite result as JUnit XML, TAP, a JSON report or CSV, so a run can
+ * be attached to a review or read by a CI server
+ */
+
+/**
+ * Build the report every format is written from:
+ *   { workbook, suite, timestamp, durationMs, passed, failed, errors, notRun, skipped, total,
+ *     interrupted, shuffleSeed, coverage, tests: [{ name, status, durationMs, error, skipReason, case, assertions }] }
+ * A test's status is 'passed', 'failed' (an assertion failed), 'error' (the test
+ * could not run to the end), 'notRun' or 'skipped' ("skip" or "only" in the
+ * suite). Skipped tests are not part of the total. `coverage` is the formula
+ * coverage of a run that measured it (see coverage.js), else null.
+ */
+function createRunReport(suiteResult, suiteName) {
+    const tests = suiteResult.results.map(result => {
+        let status = result.passed ? 'passed' : 'failed';
+        if (result.skipped) {
+            status = 'skipped';
+        } else if (result.notRun) {
+            status = 'notRun';
+        } else if (result.error) {
+            status = 'error';
+        }
+        return {
+            name: result.testName,
+            status: status,
+            durationMs: result.durationMs !== undefined ? result.durationMs : null,
+            error: result.error || null,
+            skipReason: result.skipped ? result.skipReason : null,
+            case: result.case || null,
+            assertions: result.assertionResults.map(assertion => ({
+                cell: assertion.cell,
+                operator: assertion.operator,
+                expected: assertion.expected,
+                actual: assertion.actual,
+                difference: assertion.difference,
+                tolerance: assertion.tolerance,
+                passed: assertion.passed,
+                message: assertion.message
+            }))
+        };
+    });
+    const count = status => tests.filter(test => test.status === status).length;
+
+    return {
+        workbook: suiteResult.workbookName || null,
+        suite: suiteName || null,
+        timestamp: suiteResult.startedAt || new Date().toISOString(),
+        durationMs: suiteResult.durationMs !== undefined ? suiteResult.durationMs : null,
+        passed: count('passed'),
+        failed: count('failed'),
+        errors: count('error'),
+        notRun: count('notRun'),
+        skipped: count('skipped'),
+        total: tests.length - count('skipped'),
+        // Edits that arrived after the last checkpoint still make the results invalid
+        interrupted: suiteResult.interrupted || (suiteResult.externalEdits && suiteResult.externalEdits.length > 0 ? 'externalEdit' : null),
+        shuffleSeed: suiteResult.shuffleSeed !== undefined ? suiteResult.shuffleSeed : null,
+        coverage: suiteResult.coverage || null,
+        tests: tests
+    };
+}
+
+/**
+ * Show a cell value in a report: ranges as JSON, everything else as is. Each
+ * format escapes the text for itself (see csvField and escapeReportXml).
+ */
+function reportValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function describeReportAssertion(assertion) {
+    let text = `${assertion.passed ? 'PASS' : 'FAIL'} ${assertion.cell}: expected ${reportValue(assertion.expected)}, actual ${reportValue(assertion.actual)}`;
+    if (assertion.difference !== null && assertion.difference !== undefined) {
+        text += `, difference ${assertion.difference}`;
+    }
+    if (!assertion.passed && assertion.message) {
+        text += ` (${assertion.message})`;
+    }
+    return text;
+}
+
+function escapeReportXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters other than tab and newlines are not allowed in XML
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function secondsOf(durationMs) {
+    return durationMs === null ? '0' : (durationMs / 1000).toFixed(3);
+}
+
+/**
+ * JUnit XML, as read by Jenkins, GitLab, Azure DevOps and most CI servers.
+ * Every assertion is listed in each test case's <system-out>.
+ */
+function formatJUnitXml(report) {
+    const suiteName = escapeReportXml(report.suite || report.workbook || 'Excel tests');
+    const className = escapeReportXml(report.workbook || 'Workbook');
+    const counts = `tests="${report.tests.length}" failures="${report.failed}" errors="${report.errors}" skipped="${report.notRun + report.skipped}"`;
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="${suiteName}" ${counts} time="${secondsOf(report.durationMs)}">`,
+        `  <testsuite name="${suiteName}" ${counts} time="${secondsOf(report.durationMs)}" timestamp="${escapeReportXml(report.timestamp)}">`,
+        '    <properties>',
+        `      <property name="workbook" value="${escapeReportXml(report.workbook || '')}"/>`
+    ];
+    if (report.interrupted) {
+        lines.push(`      <property name="interrupted" value="${report.interrupted}"/>`);
+    }
+    if (report.shuffleSeed !== null) {
+        lines.push(`      <property name="shuffleSeed" value="${report.shuffleSeed}"/>`);
+    }
+    lines.push('    </properties>');
+
+    for (const test of report.tests) {
+        lines.push(`    <testcase name="${escapeReportXml(test.name)}" classname="${className}" time="${secondsOf(test.durationMs)}">`);
+        const failedAssertions = test.assertions.filter(assertion => !assertion.passed);
+        if (test.status === 'notRun') {
+            lines.push(`      <skipped message="${escapeReportXml(test.error || 'Not run')}"/>`);
+        } else if (test.status === 'skipped') {
+            lines.push(`      <skipped message="${escapeReportXml(test.skipReason || 'Skipped')}"/>`);
+        } else if (test.status === 'error') {
+            lines.push(`      <error message="${escapeReportXml(test.error)}" type="Error">${escapeReportXml(test.error)}</error>`);
+        } else if (test.status === 'failed') {
+            const message = `${failedAssertions.length} of ${test.assertions.length} assertions failed`;
+            const body = failedAssertions.map(describeReportAssertion).join('\n');
+            lines.push(`      <failure message="${message}" type="AssertionFailure">${escapeReportXml(body)}</failure>`);
+        }
+        if (test.assertions.length > 0) {
+            lines.push(`      <system-out>${escapeReportXml(test.assertions.map(describeReportAssertion).join('\n'))}</system-out>`);
+        }
+        lines.push('    </testcase>');
+    }
+
+    lines.push('  </testsuite>', '</testsuites>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * TAP version 13, with the details of each test in a YAML block
+ */
+function formatTap(report) {
+    // JSON strings and arrays are valid YAML flow values
+    const yamlValue = value => value === null || value === undefined ? 'null' : JSON.stringify(value);
+    const lines = [
+        'TAP version 13',
+        `1..${report.tests.length}`,
+        `# Workbook: ${report.workbook || 'unknown'}`,
+        `# Started: ${report.timestamp}`
+    ];
+
+    report.tests.forEach((test, index) => {
+        // "#" starts a directive in TAP, so it is escaped in test names
+        const name = test.name.replace(/\\/g, '\\\\').replace(/#/g, '\\#');
+        if (test.status === 'notRun') {
+            lines.push(`ok ${index + 1} - ${name} # SKIP ${test.error || 'not run'}`);
+            return;
+        }
+        if (test.status === 'skipped') {
+            lines.push(`ok ${index + 1} - ${name} # SKIP ${test.skipReason || 'skipped'}`);
+            return;
+        }
+        lines.push(`${test.status === 'passed' ? 'ok' : 'not ok'} ${index + 1} - ${name}`);
+        lines.push('  ---');
+        lines.push(`  duration_ms: ${yamlValue(test.durationMs)}`);
+        if (test.error) {
+            lines.push(`  error: ${yamlValue(test.error)}`);
+        }
+        if (test.case) {
+            lines.push(`  case: ${yamlValue(test.case.values)}`);
+        }
+        if (test.assertions.length > 0) {
+            lines.push('  assertions:');
+            for (const assertion of test.assertions) {
+                lines.push(`    - cell: ${yamlValue(assertion.cell)}`);
+                lines.push(`      passed: ${assertion.passed}`);
+                lines.push(`      operator: ${yamlValue(assertion.operator)}`);
+                lines.push(`      expected: ${yamlValue(assertion.expected)}`);
+                lines.push(`      actual: ${yamlValue(assertion.actual)}`);
+                if (assertion.difference !== null && assertion.difference !== undefined) {
+                    lines.push(`      difference: ${yamlValue(assertion.difference)}`);
+                }
+                if (!assertion.passed) {
+                    lines.push(`      message: ${yamlValue(assertion.message)}`);
+                }
+            }
+        }
+        lines.push('  ...');
+    });
+
+    lines.push(`# ${report.passed} of ${report.total} tests passed`);
+    if (report.skipped > 0) {
+        lines.push(`# ${report.skipped} skipped`);
+    }
+    if (report.interrupted) {
+        lines.push(`# Run interrupted: ${report.interrupted}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+function formatJsonReport(report) {
+    return JSON.stringify(report, null, 2) + '\n';
+}
+
+// Columns of the CSV export, one row per assertion
+const CSV_COLUMNS = ['workbook', 'timestamp', 'test', 'status', 'duration_ms', 'cell', 'operator', 'expected', 'actual',
+    'difference', 'tolerance', 'assertion_passed', 'message', 'error'];
+
+function csvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    // Spreadsheet apps run text starting with these as a formula when the CSV is opened
+    if (/^[=+\-@]/.test(text) && isNaN(Number(text))) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV with one row per assertion; tests without assertions (errors, not run)
+ * get a single row
+ */
+function formatCsv(report) {
+    const rows = [CSV_COLUMNS];
+    for (const test of report.tests) {
+        const testColumns = [report.workbook, report.timestamp, test.name, test.status, test.durationMs];
+        const assertions = test.assertions.length > 0 ? test.assertions : [null];
+        for (const assertion of assertions) {
+            rows.push(testColumns.concat(assertion
+                ? [assertion.cell, assertion.operator, reportValue(assertion.expected), reportValue(assertion.actual),
+                    assertion.difference, assertion.tolerance, assertion.passed, assertion.passed ? '' : assertion.message]
+                : ['', '', '', '', '', '', '', ''], [test.error]));
+        }
+    }
+    return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Export formats: label for the menu, file extension, MIME type and serializer
+const REPORT_FORMATS = {
+    junit: { label: 'JUnit XML', extension: 'xml', mimeType: 'application/xml', format: formatJUnitXml },
+    tap: { label: 'TAP', extension: 'tap', mimeType: 'text/plain', format: formatTap },
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json', format: formatJsonReport },
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', format: formatCsv }
+};
+
+/**
+ * Serialize a suite result in one of REPORT_FORMATS
+ */
+function exportRunReport(suiteResult, formatName, suiteName) {
+    const reportFormat = REPORT_FORMATS[formatName];
+    if (!reportFormat) {
+        throw new Error(`Unknown report format "${formatName}". Use one of: ${Object.keys(REPORT_FORMATS).join(', ')}`);
+    }
+    return reportFormat.format(createRunReport(suiteResult, suiteName));
+}
+
+/**
+ * A file name for an exported report, e.g. "Budget-test-results-2024-05-17T09-30-00.xml"
+ */
+function reportFileName(suiteResult, formatName) {
+    const workbook = (suiteResult.workbookName || 'workbook').replace(/\.[^.]+$/, '').replace(/[\\/:*?"<>|]/g, '_');
+    const timestamp = (suiteResult.startedAt || new Date().toISOString()).replace(/\.\d+Z$/, '').replace(/:/g, '-');
+    return `${workbook}-test-results-${timestamp}.${REPORT_FORMATS[formatName].extension}`;
+}
+
+// Export functions globally for Office.js add-in
+if (typeof window !== 'undefined') {
+    window.ExcelTestReport = {
+        createRunReport: createRunReport,
+        exportRunReport: exportRunReport,
+        reportFileName: reportFileName,
+        REPORT_FORMATS: REPORT_FORMATS
+    };
+}
+
+// Also support Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createRunReport: createRunReport,
+        exportRunReport: exportRunReport,
+        reportFileName: reportFileName,
+        formatJUnitXml: formatJUnitXml,
+        formatTap: formatTap,
+        formatJsonReport: formatJsonReport,
+        formatCsv: formatCsv,
+        REPORT_FORMATS: REPORT_FORMATS
+    };
+}
@@ -0,0 +1,204 @@
+/**
+ * Excel Unit Test Runner
+ * Write the latest run into a "Test Results" worksheet, so people who never
+ * open the task pane can see the test status
+ */
+
+// Sibling modules are globals in the add-in and require()-able under Node
+const SheetAddresses = typeof window !== 'undefined' ? window.ExcelTestAddresses : require('./addresses.js');
+const SheetReport = typeof window !== 'undefined' ? window.ExcelTestReport : require('./report.js');
+
+const RESULTS_SHEET_NAME = 'Test Results';
+const RESULTS_TABLE_NAME = 'TestResults';
+
+// The run header takes the first rows; the table starts below it
+const RESULTS_TABLE_START_ROW = 5;
+const RESULTS_COLUMNS = ['Test', 'Cell', 'Expected', 'Actual', 'Difference', 'Tolerance', 'Result', 'Message'];
+
+// Result column text for tests without assertions, by report status
+const RESULT_LABELS = { passed: 'PASS', failed: 'FAIL', error: 'ERROR', notRun: 'NOT RUN', skipped: 'SKIPPED' };
+
+// Conditional formats of the Result column (Excel's Good / Bad / Neutral colors)
+const RESULT_STYLES = [
+    { text: 'PASS', fill: '#C6EFCE', font: '#006100' },
+    { text: 'FAIL', fill: '#FFC7CE', font: '#9C0006' },
+    { text: 'ERROR', fill: '#FFC7CE', font: '#9C0006' },
+    { text: 'NOT RUN', fill: '#FFEB9C', font: '#9C5700' },
+    { text: 'SKIPPED', fill: '#F2F2F2', font: '#595959' }
+];
+
+/**
+ * A value as written to a results cell: ranges as JSON, and text that Excel
+ * would read as a formula kept as text
+ */
+function sheetValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+    if (typeof value === 'string' && /^[=+\-@]/.test(value)) {
+        return `'${value}`;
+    }
+    return value;
+}
+
+/**
+ * Where the hyperlink of an assertion's cell points, or null for addresses a
+ * hyperlink cannot reach (table references)
+ */
+function cellLink(cell) {
+    try {
+        const parsed = SheetAddresses.parseAddress(cell);
+        if (parsed.kind === 'cell') {
+            return SheetAddresses.formatAddress(parsed.worksheetName, parsed.cellAddress);
+        }
+        if (parsed.kind === 'name') {
+            return parsed.worksheetName === null ? parsed.name : SheetAddresses.formatAddress(parsed.worksheetName, parsed.name);
+        }
+    } catch (error) {
+        // Not an address we can link to
+    }
+    return null;
+}
+
+/**
+ * Rows of the results table, one per assertion (or one per test that has
+ * none), with the hyperlink target of each row's cell
+ */
+function resultsSheetRows(report) {
+    const rows = [];
+    for (const test of report.tests) {
+        if (test.assertions.length === 0) {
+            rows.push({ values: [sheetValue(test.name), '', '', '', '', '', RESULT_LABELS[test.status], sheetValue(test.error || test.skipReason)], link: null });
+            continue;
+        }
+        for (const assertion of test.assertions) {
+            const cell = typeof assertion.cell === 'string' ? assertion.cell : JSON.stringify(assertion.cell);
+            rows.push({
+                values: [
+                    sheetValue(test.name),
+                    sheetValue(cell),
+                    sheetValue(assertion.expected),
+                    sheetValue(assertion.actual),
+                    sheetValue(assertion.difference),
+                    sheetValue(assertion.tolerance),
+                    assertion.passed ? 'PASS' : 'FAIL',
+                    assertion.passed ? '' : sheetValue(assertion.message)
+                ],
+                link: cellLink(cell)
+            });
+        }
+    }
+    return rows;
+}
+
+/**
+ * Excel's serial number for a date, in local time
+ */
+function excelDateSerial(date) {
+    return (date.getTime() - date.getTimezoneOffset() * 60000) / 86400000 + 25569;
+}
+
+/**
+ * Write a suite result into the "Test Results" sheet, creating it if needed.
+ * The sheet is cleared first, so re-running replaces the previous results.
+ */
+async function writeResultsSheet(suiteResult, suiteName) {
+    const report = SheetReport.createRunReport(suiteResult, suiteName);
+    const rows = resultsSheetRows(report);
+
+    return Excel.run(async (context) => {
+        const worksheets = context.workbook.worksheets;
+        let sheet = worksheets.getItemOrNullObject(RESULTS_SHEET_NAME);
+        await context.sync();
+        if (sheet.isNullObject) {
+            sheet = worksheets.add(RESULTS_SHEET_NAME);
+        }
+
+        // Step 1: Remove the previous results
+        sheet.tables.load("items/name");
+        await context.sync();
+        for (const table of sheet.tables.items) {
+            table.delete();
+        }
+        const wholeSheet = sheet.getRange();
+        wholeSheet.conditionalFormats.clearAll();
+        wholeSheet.clear();
+        const existingTable = context.workbook.tables.getItemOrNullObject(RESULTS_TABLE_NAME);
+        await context.sync();
+
+        // Step 2: Run header
+        let status = `${report.passed} of ${report.total} tests passed`;
+        if (report.skipped > 0) {
+            status += `, ${report.skipped} skipped`;
+        }
+        if (report.interrupted) {
+            status += { cancelled: ' (cancelled)', timedOut: ' (timed out)', externalEdit: ' (invalid: the workbook was edited during the run)' }[report.interrupted];
+        }
+        const header = sheet.getRange('A1:B3');
+        header.values = [
+            [`Test Results${report.suite ? `: ${report.suite}` : ''}`, ''],
+            ['Run at', excelDateSerial(new Date(report.timestamp))],
+            ['Passed', status]
+        ];
+        sheet.getRange('A1').format.font.bold = true;
+        sheet.getRange('A1').format.font.size = 14;
+        sheet.getRange('A2:A3').format.font.bold = true;
+        sheet.getRange('B2').numberFormat = [['yyyy-mm-dd hh:mm:ss']];
+        sheet.getRange('B2').format.horizontalAlignment = 'Left';
+        sheet.getRange('B3').format.font.color = report.passed === report.total && !report.interrupted ? '#006100' : '#9C0006';
+        sheet.getRange('B3').format.font.bold = true;
+
+        // Step 3: One table row per assertion
+        const lastRow = RESULTS_TABLE_START_ROW + Math.max(rows.length, 1);
+        const tableAddress = `A${RESULTS_TABLE_START_ROW}:H${lastRow}`;
+        const body = rows.length > 0 ? rows.map(row => row.values) : [['No tests were run', '', '', '', '', '', '', '']];
+        sheet.getRange(tableAddress).values = [RESULTS_COLUMNS].concat(body);
+        const table = sheet.tables.add(tableAddress, true);
+        if (existingTable.isNullObject) {
+            // Table names are unique in a workbook; leave others' tables alone
+            table.name = RESULTS_TABLE_NAME;
+        }
+        table.style = 'TableStyleMedium2';
+
+        rows.forEach((row, index) => {
+            if (row.link) {
+                const cell = sheet.getRange(`B${RESULTS_TABLE_START_ROW + 1 + index}`);
+                cell.hyperlink = { documentReference: row.link, textToDisplay: row.values[1] };
+            }
+        });
+
+        // Step 4: Color the Result column by outcome
+        const resultColumn = sheet.getRange(`G${RESULTS_TABLE_START_ROW + 1}:G${lastRow}`);
+        for (const style of RESULT_STYLES) {
+            const conditionalFormat = resultColumn.conditionalFormats.add('ContainsText');
+            conditionalFormat.textComparison.format.fill.color = style.fill;
+            conditionalFormat.textComparison.format.font.color = style.font;
+            conditionalFormat.textComparison.rule = { operator: 'BeginsWith', text: style.text };
+        }
+
+        sheet.getRange(`A1:H${lastRow}`).format.autofitColumns();
+        await context.sync();
+        return { sheetName: RESULTS_SHEET_NAME, rowCount: rows.length };
+    });
+}
+
+// Export functions globally for Office.js add-in
+if (typeof window !== 'undefined') {
+    window.ExcelTestResultsSheet = {
+        writeResultsSheet: writeResultsSheet,
+        RESULTS_SHEET_NAME: RESULTS_SHEET_NAME
+    };
+}
+
+// Also support Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        writeResultsSheet: writeResultsSheet,
+        resultsSheetRows: resultsSheetRows,
+        excelDateSerial: excelDateSerial,
+        RESULTS_SHEET_NAME: RESULTS_SHEET_NAME
+    };
+}
@@ -0,0 +1,120 @@
+/**
+ * Excel Unit Test Runner
+ * Run history: a compact record of each run, and the differences between two
+ * runs of the same suite
+ */
+
+// Sibling modules are globals in the add-in and require()-able under Node
+const HistoryReport = typeof window !== 'undefined' ? window.ExcelTestReport : require('./report.js');
+
+/**
+ * The record of a run kept in the history:
+ *   { timestamp, passed, total, skipped, interrupted, durationMs,
+ *     tests: [{ name, status, assertions: [{ cell, actual, passed }] }] }
+ * Test statuses are those of createRunReport().
+ */
+function createHistoryEntry(suiteResult) {
+    const report = HistoryReport.createRunReport(suiteResult);
+    return {
+        timestamp: report.timestamp,
+        passed: report.passed,
+        total: report.total,
+        skipped: report.skipped,
+        interrupted: report.interrupted,
+        durationMs: report.durationMs,
+        tests: report.tests.map(test => ({
+            name: test.name,
+            status: test.status,
+            assertions: test.assertions.map(assertion => ({
+                cell: assertion.cell,
+                actual: assertion.actual,
+                passed: assertion.passed
+            }))
+        }))
+    };
+}
+
+/**
+ * Key the assertions of a test by cell, numbering repeats of the same cell so
+ * two assertions on one cell are told apart
+ */
+function assertionsByCell(test) {
+    const keyed = new Map();
+    const seen = {};
+    for (const assertion of test.assertions) {
+        const cell = typeof assertion.cell === 'string' ? assertion.cell : JSON.stringify(assertion.cell);
+        seen[cell] = (seen[cell] || 0) + 1;
+        keyed.set(`${cell}#${seen[cell]}`, Object.assign({}, assertion, { cell }));
+    }
+    return keyed;
+}
+
+function wasRun(test) {
+    return test.status !== 'notRun' && test.status !== 'skipped';
+}
+
+/**
+ * Compare two history entries of a suite, matching tests by name:
+ *   newlyFailing   - tests that passed in the earlier run and fail or error in the later one
+ *   newlyPassing   - tests that failed or errored before and pass now
+ *   changedOutputs - [{ test, cell, before, after }] for assertions that passed in
+ *                    both runs although the value changed (e.g. within tolerance)
+ *   added, removed - tests found in only one of the runs
+ * Tests that were not run or were skipped in either run are left out.
+ */
+function compareHistoryRuns(earlier, later) {
+    const earlierTests = new Map(earlier.tests.map(test => [test.name, test]));
+    const laterNames = new Set(later.tests.map(test => test.name));
+    const diff = {
+        newlyFailing: [],
+        newlyPassing: [],
+        changedOutputs: [],
+        added: [],
+        removed: earlier.tests.filter(test => !laterNames.has(test.name)).map(test => test.name)
+    };
+
+    for (const test of later.tests) {
+        const previous = earlierTests.get(test.name);
+        if (!previous) {
+            diff.added.push(test.name);
+            continue;
+        }
+        if (!wasRun(previous) || !wasRun(test)) {
+            continue;
+        }
+        if (previous.status === 'passed' && test.status !== 'passed') {
+            diff.newlyFailing.push(test.name);
+        } else if (previous.status !== 'passed' && test.status === 'passed') {
+            diff.newlyPassing.push(test.name);
+        }
+
+        // A cell checked by several assertions is listed once
+        const previousAssertions = assertionsByCell(previous);
+        const changedCells = new Set();
+        for (const [key, assertion] of assertionsByCell(test)) {
+            const before = previousAssertions.get(key);
+            if (before && before.passed && assertion.passed && !changedCells.has(assertion.cell)
+                && JSON.stringify(before.actual) !== JSON.stringify(assertion.actual)) {
+                changedCells.add(assertion.cell);
+                diff.changedOutputs.push({ test: test.name, cell: assertion.cell, before: before.actual, after: assertion.actual });
+            }
+        }
+    }
+    return diff;
+}
+
+// Export functions globally for Office.js add-in
+if (typeof window !== 'undefined') {
+    window.ExcelTestRunHistory = {
+        createHistoryEntry: createHistoryEntry,
+        compareHistoryRuns: compareHistoryRuns
+    };
+}
+
+// Also support Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createHistoryEntry: createHistoryEntry,
+        compareHistoryRuns: compareHistoryRuns
+    };
+}
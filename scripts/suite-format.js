@@ -0,0 +1,201 @@
+/**
+ * Excel Unit Test Runner
+ * Suite formats: a list of tests, a single test, or a suite object with shared
+ * defaults, beforeEach/afterEach inputs and tests that extend each other
+ *
+ *   {
+ *     "name": "Revenue model",
+ *     "defaults": { "inputs": { "Assumptions!B2": 0.05 } },
+ *     "beforeEach": { "inputs": { "Control!B1": "Reset" } },
+ *     "afterEach": { "inputs": { "Control!B1": "Live" } },
+ *     "tests": [
+ *       { "name": "Base case", "inputs": { ... }, "assertions": [ ... ] },
+ *       { "name": "High growth", "extends": "Base case", "inputs": { "Assumptions!B2": 0.1 } }
+ *     ],
+ *     "lint": { "sheets": ["Model"] }
+ *   }
+ */
+
+// Sibling modules are globals in the add-in and require()-able under Node
+const SuiteFormatLint = typeof window !== 'undefined' ? window.ExcelTestLint : require('./lint.js');
+
+/**
+ * True for the suite object format ({ "tests": [...] }), as opposed to a list
+ * of tests or a single test
+ */
+function isSuiteObject(data) {
+    return data !== null && typeof data === 'object' && !Array.isArray(data) && 'tests' in data;
+}
+
+/**
+ * The tests of suite data in any format, as written (not resolved)
+ */
+function getSuiteTests(data) {
+    if (isSuiteObject(data)) {
+        return Array.isArray(data.tests) ? data.tests : [];
+    }
+    return Array.isArray(data) ? data : [data];
+}
+
+// Inputs and assertions are matched by their cell; reference objects by their JSON
+function cellKey(cell) {
+    return typeof cell === 'string' ? cell : JSON.stringify(cell);
+}
+
+/**
+ * Inputs as [cell, value] pairs, from either an address -> value map or a list
+ * of { cell, value } entries
+ */
+function inputPairs(inputs) {
+    if (Array.isArray(inputs)) {
+        return inputs.map(input => [input.cell, input.value]);
+    }
+    return Object.entries(inputs || {});
+}
+
+/**
+ * Merge input sets; later sets override earlier ones cell by cell. The result
+ * is an address map, or a { cell, value } list if any cell is a reference object.
+ */
+function mergeInputs(...inputSets) {
+    const merged = new Map();
+    for (const inputs of inputSets) {
+        for (const [cell, value] of inputPairs(inputs)) {
+            merged.set(cellKey(cell), { cell, value });
+        }
+    }
+    const entries = Array.from(merged.values());
+    if (entries.every(entry => typeof entry.cell === 'string')) {
+        return Object.fromEntries(entries.map(entry => [entry.cell, entry.value]));
+    }
+    return entries;
+}
+
+/**
+ * Inherited assertions followed by the test's own; an assertion of its own on
+ * a cell replaces every inherited assertion on that cell
+ */
+function mergeAssertions(inherited, own) {
+    const ownCells = new Set(own.map(assertion => cellKey(assertion.cell)));
+    return inherited.filter(assertion => !ownCells.has(cellKey(assertion.cell))).concat(own);
+}
+
+/**
+ * Resolve suite data in any format into the tests to run:
+ *   { name, tests, inputSources }
+ * Each test has the suite defaults and the inputs and assertions of the test it
+ * extends merged in (all but its name, `skip` and `only`), plus the suite's
+ * `beforeEach`/`afterEach` inputs. For every test, `inputSources` maps each
+ * input cell to where it came from: 'defaults', the name of the test it was
+ * inherited from, or null for its own. The lint checks of a suite object
+ * (see lint.js) follow as tests of their own.
+ */
+function resolveSuite(data) {
+    const suite = isSuiteObject(data) ? data : { tests: getSuiteTests(data) };
+    const tests = getSuiteTests(suite);
+    const defaults = suite.defaults && suite.defaults.inputs ? suite.defaults.inputs : {};
+    const beforeEach = suite.beforeEach && suite.beforeEach.inputs ? suite.beforeEach.inputs : null;
+    const afterEach = suite.afterEach && suite.afterEach.inputs ? suite.afterEach.inputs : null;
+
+    // The first test with a name is the one "extends" refers to
+    const byName = new Map();
+    for (const test of tests) {
+        if (test && typeof test.name === 'string' && !byName.has(test.name)) {
+            byName.set(test.name, test);
+        }
+    }
+
+    // Resolve "extends" chains, without the suite defaults
+    const resolved = new Map();
+    const resolving = new Set();
+    const resolveTest = (test) => {
+        if (resolved.has(test)) {
+            return resolved.get(test);
+        }
+        let inherited = { test: {}, sources: {} };
+        if (test.extends !== undefined) {
+            const parent = byName.get(test.extends);
+            if (!parent) {
+                throw new Error(`"${test.name || 'Unnamed Test'}" extends "${test.extends}", but no test has that name`);
+            }
+            if (resolving.has(parent) || parent === test) {
+                throw new Error(`"${test.name || 'Unnamed Test'}" extends itself through "${test.extends}"`);
+            }
+            resolving.add(test);
+            inherited = resolveTest(parent);
+            resolving.delete(test);
+        }
+
+        const merged = Object.assign({}, inherited.test, test);
+        delete merged.extends;
+        // A test skipped or singled out is not skipped or singled out with it
+        for (const key of ['name', 'skip', 'only']) {
+            if (test[key] === undefined) {
+                delete merged[key];
+            }
+        }
+        merged.inputs = mergeInputs(inherited.test.inputs, test.inputs);
+        merged.assertions = mergeAssertions(inherited.test.assertions || [], test.assertions || []);
+
+        const sources = {};
+        for (const [cell] of inputPairs(inherited.test.inputs)) {
+            sources[cellKey(cell)] = inherited.sources[cellKey(cell)] || test.extends;
+        }
+        for (const [cell] of inputPairs(test.inputs)) {
+            sources[cellKey(cell)] = null;
+        }
+
+        const entry = { test: merged, sources };
+        resolved.set(test, entry);
+        return entry;
+    };
+
+    const resolvedTests = [];
+    const inputSources = [];
+    for (const test of tests) {
+        const { test: merged, sources } = resolveTest(test);
+        const withDefaults = Object.assign({}, merged, { inputs: mergeInputs(defaults, merged.inputs) });
+        if (beforeEach) {
+            withDefaults.beforeEach = beforeEach;
+        }
+        if (afterEach) {
+            withDefaults.afterEach = afterEach;
+        }
+        const testSources = {};
+        for (const [cell] of inputPairs(withDefaults.inputs)) {
+            const key = cellKey(cell);
+            testSources[key] = key in sources ? sources[key] : 'defaults';
+        }
+        resolvedTests.push(withDefaults);
+        inputSources.push(testSources);
+    }
+    for (const lintTest of SuiteFormatLint.createLintTests(isSuiteObject(data) ? suite.lint : null)) {
+        resolvedTests.push(lintTest);
+        inputSources.push({});
+    }
+
+    return {
+        name: isSuiteObject(data) && typeof suite.name === 'string' ? suite.name : null,
+        tests: resolvedTests,
+        inputSources
+    };
+}
+
+// Export functions globally for Office.js add-in
+if (typeof window !== 'undefined') {
+    window.ExcelTestSuiteFormat = {
+        isSuiteObject: isSuiteObject,
+        getSuiteTests: getSuiteTests,
+        resolveSuite: resolveSuite
+    };
+}
+
+// Also support Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        isSuiteObject: isSuiteObject,
+        getSuiteTests: getSuiteTests,
+        mergeInputs: mergeInputs,
+        resolveSuite: resolveSuite
+    };
+}
@@ -0,0 +1,837 @@
+/**
+ * Excel Unit Test Runner
+ * Validation of test suite files before execution. Mirrors schema/test-suite.schema.json
+ * (keep the two in sync) and reports problems by JSON path and line/column.
+ */
+
+// Sibling modules are globals in the add-in and require()-able under Node
+const SuiteAddresses = typeof window !== 'undefined' ? window.ExcelTestAddresses : require('./addresses.js');
+const SuiteAssertions = typeof window !== 'undefined' ? window.ExcelTestAssertions : require('./assertions.js');
+const SuiteFormulaStructure = typeof window !== 'undefined' ? window.ExcelTestFormulaStructure : require('./formula-structure.js');
+const SuiteLint = typeof window !== 'undefined' ? window.ExcelTestLint : require('./lint.js');
+
+const KNOWN_SUITE_KEYS = ['name', 'description', 'defaults', 'beforeEach', 'afterEach', 'tests', 'lint'];
+const KNOWN_INPUT_BLOCK_KEYS = ['inputs'];
+const KNOWN_TEST_KEYS = ['name', 'description', 'extends', 'inputs', 'assertions', 'cases', 'casesFrom', 'timeoutMs', 'tags', 'skip', 'only'];
+const KNOWN_INPUT_KEYS = ['cell', 'value'];
+const KNOWN_ASSERTION_KEYS = ['cell', 'message', 'tolerance', 'relativeTolerance', 'type', 'ignoreCase', 'flags', 'spillSize', 'baseline'];
+const KNOWN_REFERENCE_KEYS = ['sheet', 'find', 'row', 'column', 'offset', 'size', 'within'];
+const KNOWN_LINT_KEYS = ['sheets', 'ranges', 'exclude', 'rules'];
+const KNOWN_LINT_RULE_KEYS = ['sheets', 'ranges', 'exclude', 'allow'];
+
+/**
+ * Parse JSON text, recording the line/column where every value (and object key) starts.
+ * Locations are keyed by JSON pointer, e.g. "/0/assertions/1"; those of values also hold
+ * the `start` and `end` index of the value in the text. Syntax errors carry line/column.
+ */
+function parseJsonWithLocations(text) {
+    const locations = {};
+    const keyLocations = {};
+    let index = 0;
+    let line = 1;
+    let column = 1;
+
+    function fail(message) {
+        const error = new SyntaxError(`${message} at line ${line}, column ${column}`);
+        error.line = line;
+        error.column = column;
+        throw error;
+    }
+
+    function advance(count) {
+        for (let i = 0; i < count; i++) {
+            if (text[index] === '\n') {
+                line++;
+                column = 1;
+            } else {
+                column++;
+            }
+            index++;
+        }
+    }
+
+    function skipWhitespace() {
+        while (index < text.length && /\s/.test(text[index])) {
+            advance(1);
+        }
+    }
+
+    function expect(char) {
+        skipWhitespace();
+        if (text[index] !== char) {
+            fail(text[index] === undefined ? `Expected "${char}" but the text ended` : `Expected "${char}" but found ${JSON.stringify(text[index])}`);
+        }
+        advance(1);
+    }
+
+    function readToken(pattern, description) {
+        pattern.lastIndex = index;
+        const match = pattern.exec(text);
+        if (!match) {
+            fail(`Invalid ${description}`);
+        }
+        advance(match[0].length);
+        return match[0];
+    }
+
+    function parseString() {
+        return JSON.parse(readToken(/"(?:[^"\\\u0000-\u001f]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/y, 'string (strings need closing quotes and escaped special characters)'));
+    }
+
+    function parseValue(pointer) {
+        skipWhitespace();
+        const location = { line, column, start: index };
+        locations[pointer] = location;
+        const value = readValue(pointer);
+        location.end = index;
+        return value;
+    }
+
+    function readValue(pointer) {
+        const char = text[index];
+        if (char === '{') {
+            return parseObject(pointer);
+        }
+        if (char === '[') {
+            return parseArray(pointer);
+        }
+        if (char === '"') {
+            return parseString();
+        }
+        if (char === '-' || (char >= '0' && char <= '9')) {
+            return Number(readToken(/-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y, 'number'));
+        }
+        for (const [literal, value] of [['true', true], ['false', false], ['null', null]]) {
+            if (text.startsWith(literal, index)) {
+                advance(literal.length);
+                return value;
+            }
+        }
+        fail(char === undefined ? 'Unexpected end of text' : `Unexpected character ${JSON.stringify(char)}`);
+    }
+
+    function parseObject(pointer) {
+        const object = {};
+        advance(1);
+        skipWhitespace();
+        if (text[index] === '}') {
+            advance(1);
+            return object;
+        }
+        for (;;) {
+            skipWhitespace();
+            if (text[index] !== '"') {
+                fail(text[index] === '}' ? 'Trailing comma before "}"' : 'Expected a property name in double quotes');
+            }
+            const keyLocation = { line, column };
+            const key = parseString();
+            const childPointer = `${pointer}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+            keyLocations[childPointer] = keyLocation;
+            expect(':');
+            Object.defineProperty(object, key, { value: parseValue(childPointer), enumerable: true, writable: true, configurable: true });
+            skipWhitespace();
+            if (text[index] === ',') {
+                advance(1);
+                continue;
+            }
+            expect('}');
+            return object;
+        }
+    }
+
+    function parseArray(pointer) {
+        const array = [];
+        advance(1);
+        skipWhitespace();
+        if (text[index] === ']') {
+            advance(1);
+            return array;
+        }
+        for (;;) {
+            skipWhitespace();
+            if (text[index] === ']') {
+                fail('Trailing comma before "]"');
+            }
+            array.push(parseValue(`${pointer}/${array.length}`));
+            skipWhitespace();
+            if (text[index] === ',') {
+                advance(1);
+                continue;
+            }
+            expect(']');
+            return array;
+        }
+    }
+
+    const value = parseValue('');
+    skipWhitespace();
+    if (index < text.length) {
+        fail('Unexpected text after the end of the JSON');
+    }
+    return { value, locations, keyLocations };
+}
+
+/**
+ * Format path segments for display, e.g. [3, 'assertions', 1] -> "test[3].assertions[1]"
+ */
+function formatPath(segments, rootKind) {
+    if (segments.length === 0) {
+        return 'suite';
+    }
+    // Tests are named test[n] whether the suite is a list or a suite object
+    let path;
+    let rest;
+    if (rootKind === 'array') {
+        [path, rest] = [`test[${segments[0]}]`, segments.slice(1)];
+    } else if (rootKind === 'suite' && segments[0] === 'tests' && segments.length > 1) {
+        [path, rest] = [`test[${segments[1]}]`, segments.slice(2)];
+    } else if (rootKind === 'suite') {
+        [path, rest] = [String(segments[0]), segments.slice(1)];
+    } else {
+        [path, rest] = ['test', segments];
+    }
+    for (const segment of rest) {
+        if (typeof segment === 'number') {
+            path += `[${segment}]`;
+        } else if (/^[A-Za-z_$][\w$]*$/.test(segment)) {
+            path += `.${segment}`;
+        } else {
+            path += `[${JSON.stringify(segment)}]`;
+        }
+    }
+    return path;
+}
+
+/**
+ * Collects errors and warnings while walking a suite. `rootKind` is 'array',
+ * 'suite' (suite object) or 'test' (a single test).
+ */
+function createReport(rootKind) {
+    const report = { errors: [], warnings: [], allowPlaceholders: false };
+    const add = (list, segments, message, onKey) => list.push({
+        pointer: segments.map(segment => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`).join(''),
+        path: formatPath(segments, rootKind),
+        message,
+        onKey: Boolean(onKey)
+    });
+    report.error = (segments, message, onKey) => add(report.errors, segments, message, onKey);
+    report.warning = (segments, message, onKey) => add(report.warnings, segments, message, onKey);
+    return report;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isScalar(value) {
+    return value === null || ['number', 'string', 'boolean'].includes(typeof value);
+}
+
+/**
+ * Returns true for a "${column}" case placeholder, which is only checked once expanded
+ */
+function isPlaceholder(value, report) {
+    return report.allowPlaceholders && typeof value === 'string' && value.includes('${');
+}
+
+/**
+ * Collect the column names used by "${column}" placeholders anywhere in a value
+ */
+function collectPlaceholders(value, names) {
+    if (typeof value === 'string') {
+        for (const match of value.matchAll(/\$\{([^}]+)\}/g)) {
+            names.add(match[1]);
+        }
+    } else if (value !== null && typeof value === 'object') {
+        for (const [key, item] of Object.entries(value)) {
+            collectPlaceholders(key, names);
+            collectPlaceholders(item, names);
+        }
+    }
+    return names;
+}
+
+function isIntegerPair(value) {
+    return Array.isArray(value) && value.length === 2 && value.every(Number.isInteger);
+}
+
+/**
+ * Warn about keys that are not part of the format (usually typos)
+ */
+function checkUnknownKeys(object, knownKeys, segments, report) {
+    for (const key of Object.keys(object)) {
+        if (!knownKeys.includes(key) && !key.startsWith('$')) {
+            report.warning([...segments, key], `unknown key "${key}" will be ignored (expected one of ${knownKeys.join(', ')})`, true);
+        }
+    }
+}
+
+/**
+ * Validate a cell address: an address string or a label-anchored reference object.
+ * Set onKey when the address is an object key so errors point at the key.
+ */
+function validateCell(cell, segments, report, onKey) {
+    if (isPlaceholder(cell, report)) {
+        return;
+    }
+    if (typeof cell === 'string') {
+        try {
+            SuiteAddresses.parseAddress(cell);
+        } catch (error) {
+            report.error(segments, error.message, onKey);
+        }
+        return;
+    }
+    if (!isPlainObject(cell)) {
+        report.error(segments, 'must be an address string such as "Sheet1!A1" or a reference object such as { "sheet": "P&L", "find": "Total income" }');
+        return;
+    }
+    if (typeof cell.sheet !== 'string') {
+        report.error(segments, 'reference is missing "sheet"');
+    }
+    if (cell.find === undefined && (cell.row === undefined || cell.column === undefined)) {
+        report.error(segments, 'reference needs "find", or both "row" and "column"');
+    }
+    if (cell.offset !== undefined && !isIntegerPair(cell.offset)) {
+        report.error([...segments, 'offset'], 'must be [rows, columns], e.g. [0, 2]');
+    }
+    if (cell.size !== undefined && !(isIntegerPair(cell.size) && cell.size.every(count => count >= 1))) {
+        report.error([...segments, 'size'], 'must be [rows, columns] of at least 1, e.g. [1, 6]');
+    }
+    if (cell.within !== undefined) {
+        try {
+            SuiteAddresses.parseA1Range(String(cell.within));
+        } catch (error) {
+            report.error([...segments, 'within'], error.message);
+        }
+    }
+    checkUnknownKeys(cell, KNOWN_REFERENCE_KEYS, segments, report);
+}
+
+/**
+ * Validate an input value: a single value, a list for one row/column, or a 2D array
+ */
+function validateInputValue(value, segments, report) {
+    const valid = isScalar(value)
+        || (Array.isArray(value) && value.every(isScalar))
+        || (Array.isArray(value) && value.every(row => Array.isArray(row) && row.every(isScalar)));
+    if (!valid) {
+        report.error(segments, 'input value must be a number, text, boolean or a (2D) array of them');
+    }
+}
+
+function validateInputs(inputs, segments, report) {
+    if (Array.isArray(inputs)) {
+        inputs.forEach((input, index) => {
+            const inputSegments = [...segments, index];
+            if (!isPlainObject(input)) {
+                report.error(inputSegments, 'must be an object like { "cell": "Sheet1!A1", "value": 100 }');
+                return;
+            }
+            if (input.cell === undefined) {
+                report.error(inputSegments, 'missing "cell"');
+            } else {
+                validateCell(input.cell, [...inputSegments, 'cell'], report);
+            }
+            if (!('value' in input)) {
+                report.error(inputSegments, 'missing "value"');
+            } else {
+                validateInputValue(input.value, [...inputSegments, 'value'], report);
+            }
+            checkUnknownKeys(input, KNOWN_INPUT_KEYS, inputSegments, report);
+        });
+    } else if (isPlainObject(inputs)) {
+        for (const [address, value] of Object.entries(inputs)) {
+            validateCell(address, [...segments, address], report, true);
+            validateInputValue(value, [...segments, address], report);
+        }
+    } else {
+        report.error(segments, 'must be an object mapping addresses to values, or a list of { "cell", "value" } entries');
+    }
+}
+
+/**
+ * Check the value given to an assertion operator
+ */
+function validateOperatorValue(operator, value) {
+    switch (operator) {
+        case 'greaterThan':
+        case 'lessThan':
+            return typeof value === 'number' ? null : 'must be a number';
+        case 'between':
+            return Array.isArray(value) && value.length === 2 && value.every(bound => typeof bound === 'number') && value[0] <= value[1]
+                ? null : 'must be [min, max] with min <= max';
+        case 'oneOf':
+            return Array.isArray(value) && value.length > 0 ? null : 'must be a non-empty list of values';
+        case 'matches':
+            if (typeof value !== 'string') {
+                return 'must be a regular expression string';
+            }
+            try {
+                new RegExp(value);
+                return null;
+            } catch (error) {
+                return `is not a valid regular expression: ${error.message}`;
+            }
+        case 'isBlank':
+        case 'isError':
+            return typeof value === 'boolean' ? null : 'must be true or false';
+        case 'errorType':
+            return SuiteAssertions.isErrorValue(value) ? null : 'must be an Excel error such as "#DIV/0!", "#REF!" or "#N/A"';
+        case 'hasFormula':
+        case 'isConstant':
+            return typeof value === 'boolean' ? null : 'must be true or false';
+        case 'formulaMatches':
+            if (isPlainObject(value)) {
+                return typeof value.r1c1 === 'string' && value.r1c1.startsWith('=') && Object.keys(value).length === 1
+                    ? null : 'must be a regular expression string or { "r1c1": "=SUM(R[-3]C:R[-1]C)" }';
+            }
+            return validateOperatorValue('matches', value);
+        case 'formulaConsistentAcross':
+            if (typeof value !== 'string') {
+                return 'must be a range such as "E12:J12"';
+            }
+            try {
+                const parsed = /^\$?[A-Za-z]{1,3}\$?\d+(:\$?[A-Za-z]{1,3}\$?\d+)?$/.test(value.trim()) ? null : SuiteAddresses.parseAddress(value);
+                return parsed && parsed.isSpill ? 'must be a range, not a spill reference' : null;
+            } catch (error) {
+                return error.message;
+            }
+        case 'baseline':
+            if (typeof value === 'string') {
+                return /\.baseline\.json$/i.test(value) ? null : 'must be a ".baseline.json" file name or the approved values of the range';
+            }
+            return Array.isArray(value) && value.every(row => Array.isArray(row) && row.every(isScalar))
+                ? null : 'must be a ".baseline.json" file name or the approved values of the range, e.g. [[1, 2], [3, 4]]';
+        default:
+            return value === undefined ? 'needs a value' : null;
+    }
+}
+
+function validateAssertion(assertion, segments, report) {
+    if (!isPlainObject(assertion)) {
+        report.error(segments, 'must be an object like { "cell": "Sheet1!B1", "equals": 200 }');
+        return;
+    }
+
+    if (assertion.cell === undefined) {
+        report.error(segments, 'missing "cell"');
+    } else {
+        validateCell(assertion.cell, [...segments, 'cell'], report);
+    }
+
+    // A baseline stands in for an operator: it compares the whole range with recorded values
+    const operators = Object.keys(SuiteAssertions.ASSERTION_OPERATORS).concat('baseline', SuiteFormulaStructure.STRUCTURE_OPERATORS)
+        .filter(operator => operator in assertion);
+    if (operators.length === 0 && assertion.spillSize === undefined) {
+        report.error(segments, `missing an operator (one of ${Object.keys(SuiteAssertions.ASSERTION_OPERATORS).concat(SuiteFormulaStructure.STRUCTURE_OPERATORS).join(', ')}, or a baseline)`);
+    } else if (operators.length > 1) {
+        report.error(segments, `has more than one operator (${operators.join(', ')}); use a separate assertion for each`);
+    }
+    for (const operator of operators) {
+        if (isPlaceholder(assertion[operator], report)) {
+            continue;
+        }
+        const problem = validateOperatorValue(operator, assertion[operator]);
+        if (problem) {
+            report.error([...segments, operator], problem);
+        }
+    }
+
+    for (const key of ['tolerance', 'relativeTolerance']) {
+        if (assertion[key] !== undefined && !(typeof assertion[key] === 'number' && assertion[key] >= 0)) {
+            report.error([...segments, key], 'must be a number of at least 0');
+        }
+    }
+    if (assertion.type !== undefined && !['number', 'string', 'boolean'].includes(assertion.type)) {
+        report.error([...segments, 'type'], 'must be "number", "string" or "boolean"');
+    }
+    if (assertion.spillSize !== undefined) {
+        if (!(isIntegerPair(assertion.spillSize) && assertion.spillSize.every(count => count >= 1))) {
+            report.error([...segments, 'spillSize'], 'must be [rows, columns], e.g. [5, 1]');
+        }
+        if (typeof assertion.cell === 'string' && !assertion.cell.trim().endsWith('#')) {
+            report.error([...segments, 'spillSize'], `requires a spill reference such as "${assertion.cell}#"`);
+        }
+    }
+
+    // Formula assertions read the cells themselves, not a spilled array
+    if (SuiteFormulaStructure.isStructureAssertion(assertion)) {
+        if (assertion.spillSize !== undefined || (typeof assertion.cell === 'string' && assertion.cell.trim().endsWith('#'))) {
+            report.error([...segments, 'cell'], 'formula assertions check cells and ranges, not spilled arrays; use the anchor cell without "#"');
+        }
+        if (assertion.formulaConsistentAcross !== undefined && typeof assertion.cell === 'string' && assertion.cell.includes(':')) {
+            report.error([...segments, 'cell'], 'must be the single cell whose formula the range is compared with');
+        }
+    }
+
+    checkUnknownKeys(assertion, KNOWN_ASSERTION_KEYS.concat(Object.keys(SuiteAssertions.ASSERTION_OPERATORS), SuiteFormulaStructure.STRUCTURE_OPERATORS), segments, report);
+}
+
+function validateTest(test, segments, report, inheritsCases = false) {
+    if (!isPlainObject(test)) {
+        report.error(segments, 'must be a test object with "name", "inputs" and "assertions"');
+        return;
+    }
+
+    if (test.name !== undefined && typeof test.name !== 'string') {
+        report.error([...segments, 'name'], 'must be text');
+    }
+    if (test.timeoutMs !== undefined && (typeof test.timeoutMs !== 'number' || !(test.timeoutMs > 0))) {
+        report.error([...segments, 'timeoutMs'], 'must be a positive number of milliseconds');
+    }
+    if (test.tags !== undefined && !(Array.isArray(test.tags) && test.tags.every(tag => typeof tag === 'string' && tag.trim() !== ''))) {
+        report.error([...segments, 'tags'], 'must be a list of tag names, e.g. ["smoke", "tax"]');
+    }
+    if (test.skip !== undefined && typeof test.skip !== 'boolean' && typeof test.skip !== 'string') {
+        report.error([...segments, 'skip'], 'must be true, false or the reason for skipping the test');
+    }
+    if (test.only !== undefined) {
+        if (typeof test.only !== 'boolean') {
+            report.error([...segments, 'only'], 'must be true or false');
+        } else if (test.only) {
+            report.warning([...segments, 'only'], 'only the tests marked "only" will run; remove it to run the whole suite');
+        }
+    }
+    
+    const hasCases = test.cases !== undefined || test.casesFrom !== undefined;
+    if (hasCases) {
+        validateCases(test, segments, report);
+    }
+    report.allowPlaceholders = hasCases || inheritsCases;
+    if (test.inputs !== undefined) {
+        validateInputs(test.inputs, [...segments, 'inputs'], report);
+    }
+    if (test.assertions === undefined) {
+        // A test that extends another inherits its assertions
+        if (test.extends === undefined) {
+            report.error(segments, 'missing "assertions"');
+        }
+    } else if (!Array.isArray(test.assertions)) {
+        report.error([...segments, 'assertions'], 'must be a list of assertions');
+    } else if (test.assertions.length === 0) {
+        report.warning([...segments, 'assertions'], 'test has no assertions and will always pass');
+    } else {
+        test.assertions.forEach((assertion, index) => validateAssertion(assertion, [...segments, 'assertions', index], report));
+    }
+
+    checkUnknownKeys(test, KNOWN_TEST_KEYS, segments, report);
+    report.allowPlaceholders = false;
+}
+
+/**
+ * Validate the case table of a data-driven test. Inline rows must provide
+ * every column used by a "${column}" placeholder.
+ */
+function validateCases(test, segments, report) {
+    if (test.cases !== undefined && test.casesFrom !== undefined) {
+        report.error(segments, 'use either "cases" or "casesFrom", not both');
+        return;
+    }
+    if (test.casesFrom !== undefined) {
+        if (typeof test.casesFrom !== 'string' || test.casesFrom.trim() === '') {
+            report.error([...segments, 'casesFrom'], 'must be a CSV file name ("cases.csv") or a workbook range ("TestCases!A1:F50")');
+        } else if (!/\.csv$/i.test(test.casesFrom)) {
+            validateCell(test.casesFrom, [...segments, 'casesFrom'], report);
+        }
+        return;
+    }
+    if (!Array.isArray(test.cases) || test.cases.length === 0) {
+        report.error([...segments, 'cases'], 'must be a non-empty list of rows');
+        return;
+    }
+    
+    const columns = collectPlaceholders({ name: test.name, inputs: test.inputs, assertions: test.assertions }, new Set());
+    if (test.cases.every(Array.isArray)) {
+        const headers = test.cases[0].map(String);
+        for (const column of columns) {
+            if (!headers.includes(column)) {
+                report.error([...segments, 'cases', 0], `header row has no column "${column}" used by a placeholder`);
+            }
+        }
+        return;
+    }
+    test.cases.forEach((row, index) => {
+        if (!isPlainObject(row)) {
+            report.error([...segments, 'cases', index], 'must be an object mapping column names to values');
+            return;
+        }
+        for (const column of columns) {
+            if (!(column in row)) {
+                report.error([...segments, 'cases', index], `missing column "${column}" used by a placeholder`);
+            }
+        }
+    });
+}
+
+/**
+ * Validate the "extends" of every test in a list: it must name another test of
+ * the suite, unambiguously and without a cycle. Returns, per test, whether it
+ * inherits a case table (so its placeholders are filled in).
+ */
+function validateExtends(tests, prefix, report) {
+    const indexesByName = {};
+    tests.forEach((test, index) => {
+        if (isPlainObject(test) && typeof test.name === 'string') {
+            (indexesByName[test.name] = indexesByName[test.name] || []).push(index);
+        }
+    });
+    const parentOf = index => {
+        const test = tests[index];
+        const indexes = isPlainObject(test) && typeof test.extends === 'string' ? indexesByName[test.extends] : undefined;
+        return indexes ? indexes[0] : null;
+    };
+
+    return tests.map((test, index) => {
+        if (!isPlainObject(test) || test.extends === undefined) {
+            return false;
+        }
+        const segments = [...prefix, index, 'extends'];
+        if (typeof test.extends !== 'string') {
+            report.error(segments, 'must be the name of another test in the suite');
+            return false;
+        }
+        const indexes = indexesByName[test.extends];
+        if (!indexes) {
+            report.error(segments, `no test is named "${test.extends}"`);
+            return false;
+        }
+        if (test.extends === test.name) {
+            report.error(segments, 'a test cannot extend itself');
+            return false;
+        }
+        if (indexes.length > 1) {
+            report.error(segments, `${indexes.length} tests are named "${test.extends}"; rename them so it is clear which one to extend`);
+            return false;
+        }
+
+        // Walk up the chain, looking for a cycle and a case table
+        const visited = new Set([index]);
+        let inheritsCases = false;
+        for (let parent = parentOf(index); parent !== null; parent = parentOf(parent)) {
+            if (visited.has(parent)) {
+                report.error(segments, `"${test.extends}" extends this test again; tests cannot extend each other in a cycle`);
+                return false;
+            }
+            visited.add(parent);
+            inheritsCases = inheritsCases || tests[parent].cases !== undefined || tests[parent].casesFrom !== undefined;
+        }
+        return inheritsCases;
+    });
+}
+
+/**
+ * Validate a list of tests; `prefix` is the path of the list
+ */
+function validateTests(tests, prefix, report, allowEmpty = false) {
+    if (tests.length === 0 && !allowEmpty) {
+        report.error(prefix, 'the suite contains no tests');
+    }
+    const inheritsCases = validateExtends(tests, prefix, report);
+    const namesSeen = {};
+    tests.forEach((test, index) => {
+        validateTest(test, [...prefix, index], report, inheritsCases[index]);
+        if (isPlainObject(test) && typeof test.name === 'string') {
+            if (namesSeen[test.name] !== undefined) {
+                report.warning([...prefix, index, 'name'], `duplicate test name "${test.name}" (also used by test[${namesSeen[test.name]}])`);
+            } else {
+                namesSeen[test.name] = index;
+            }
+        }
+    });
+}
+
+/**
+ * Validate the sheets, ranges and cells left out of a lint block or rule
+ */
+function validateLintScope(scope, segments, report) {
+    if (scope.sheets !== undefined) {
+        if (!Array.isArray(scope.sheets)) {
+            report.error([...segments, 'sheets'], 'must be a list of worksheet names');
+        } else {
+            scope.sheets.forEach((sheet, index) => {
+                if (typeof sheet !== 'string' || sheet === '') {
+                    report.error([...segments, 'sheets', index], 'must be a worksheet name');
+                }
+            });
+        }
+    }
+    for (const key of ['ranges', 'exclude']) {
+        if (scope[key] === undefined) {
+            continue;
+        }
+        if (!Array.isArray(scope[key])) {
+            report.error([...segments, key], 'must be a list of addresses such as "Model!B5:K40"');
+            continue;
+        }
+        scope[key].forEach((address, index) => {
+            let parsed;
+            try {
+                parsed = SuiteAddresses.parseAddress(String(address));
+            } catch (error) {
+                report.error([...segments, key, index], error.message);
+                return;
+            }
+            if (typeof address !== 'string' || parsed.isSpill) {
+                report.error([...segments, key, index], 'must be a range address, not a spill reference');
+            } else if (key === 'exclude' && parsed.kind !== 'cell') {
+                report.error([...segments, key, index], 'must be a cell or range address such as "Model!A1:A4"');
+            }
+        });
+    }
+}
+
+/**
+ * Validate a suite's "lint" block: what to scan and which rules to apply
+ */
+function validateLint(lint, report) {
+    if (!isPlainObject(lint)) {
+        report.error(['lint'], 'must be an object like { "sheets": ["Model"], "rules": { "emptyReferences": false } }');
+        return;
+    }
+    validateLintScope(lint, ['lint'], report);
+    if (lint.rules !== undefined) {
+        if (!isPlainObject(lint.rules)) {
+            report.error(['lint', 'rules'], 'must be an object of rule name -> true, false or options');
+        } else {
+            for (const [rule, options] of Object.entries(lint.rules)) {
+                const segments = ['lint', 'rules', rule];
+                if (!(rule in SuiteLint.LINT_RULES) || typeof options === 'boolean') {
+                    continue;
+                }
+                if (!isPlainObject(options)) {
+                    report.error(segments, 'must be true, false or an object of options');
+                    continue;
+                }
+                validateLintScope(options, segments, report);
+                if (options.allow !== undefined && (rule !== 'errorValues' || !Array.isArray(options.allow)
+                    || !options.allow.every(value => SuiteAssertions.isErrorValue(value)))) {
+                    report.error([...segments, 'allow'], rule === 'errorValues'
+                        ? 'must be a list of error values, e.g. ["#N/A"]'
+                        : 'only applies to errorValues');
+                }
+                checkUnknownKeys(options, KNOWN_LINT_RULE_KEYS, segments, report);
+            }
+            checkUnknownKeys(lint.rules, Object.keys(SuiteLint.LINT_RULES), ['lint', 'rules'], report);
+        }
+    }
+    checkUnknownKeys(lint, KNOWN_LINT_KEYS, ['lint'], report);
+}
+
+/**
+ * Validate the suite object format: shared defaults, beforeEach/afterEach
+ * inputs, the list of tests and the lint checks
+ */
+function validateSuiteObject(suite, report) {
+    if (suite.name !== undefined && typeof suite.name !== 'string') {
+        report.error(['name'], 'must be text');
+    }
+    for (const key of ['defaults', 'beforeEach', 'afterEach']) {
+        if (suite[key] === undefined) {
+            continue;
+        }
+        if (!isPlainObject(suite[key])) {
+            report.error([key], 'must be an object like { "inputs": { "Sheet1!A1": 100 } }');
+            continue;
+        }
+        if (suite[key].inputs !== undefined) {
+            validateInputs(suite[key].inputs, [key, 'inputs'], report);
+        }
+        checkUnknownKeys(suite[key], KNOWN_INPUT_BLOCK_KEYS, [key], report);
+    }
+    if (!Array.isArray(suite.tests)) {
+        report.error(['tests'], 'must be a list of tests');
+    } else {
+        // A suite can consist of lint checks alone
+        validateTests(suite.tests, ['tests'], report, suite.lint !== undefined);
+    }
+    if (suite.lint !== undefined) {
+        validateLint(suite.lint, report);
+    }
+    checkUnknownKeys(suite, KNOWN_SUITE_KEYS, [], report);
+}
+
+/**
+ * Validate already-parsed suite data. Returns { errors, warnings }, each issue
+ * holding a JSON pointer, a display path and a message.
+ */
+function validateSuite(data) {
+    const isSuiteObject = isPlainObject(data) && 'tests' in data;
+    const report = createReport(Array.isArray(data) ? 'array' : isSuiteObject ? 'suite' : 'test');
+
+    if (Array.isArray(data)) {
+        validateTests(data, [], report);
+    } else if (isSuiteObject) {
+        validateSuiteObject(data, report);
+    } else if (isPlainObject(data)) {
+        validateTest(data, [], report);
+        if (data.extends !== undefined) {
+            report.error(['extends'], 'a single test has no other test to extend; put the tests in a list');
+        }
+    } else {
+        report.error([], 'must be a list of tests, a suite object with "tests", or a single test object');
+    }
+
+    return { errors: report.errors, warnings: report.warnings };
+}
+
+/**
+ * Parse and validate suite JSON text. Returns { valid, data, errors, warnings };
+ * each issue has { path, message, line, column }.
+ */
+function validateSuiteText(text) {
+    const result = { valid: false, data: null, errors: [], warnings: [] };
+
+    let parsed;
+    try {
+        parsed = parseJsonWithLocations(text);
+    } catch (error) {
+        result.errors.push({
+            path: 'JSON',
+            message: error.message.replace(/ at line \d+, column \d+$/, ''),
+            line: error.line,
+            column: error.column
+        });
+        return result;
+    }
+
+    const { errors, warnings } = validateSuite(parsed.value);
+    const locate = issue => {
+        const location = (issue.onKey ? parsed.keyLocations[issue.pointer] : null) || parsed.locations[issue.pointer] || { line: 1, column: 1 };
+        return { path: issue.path, message: issue.message, line: location.line, column: location.column };
+    };
+
+    result.errors = errors.map(locate);
+    result.warnings = warnings.map(locate);
+    result.valid = result.errors.length === 0;
+    result.data = parsed.value;
+    return result;
+}
+
+/**
+ * Format an issue for display, e.g. 'test[3].assertions[1]: missing "cell" (line 12, column 9)'
+ */
+function formatIssue(issue) {
+    const location = issue.line ? ` (line ${issue.line}, column ${issue.column})` : '';
+    return `${issue.path}: ${issue.message}${location}`;
+}
+
+// Export functions globally for Office.js add-in
+if (typeof window !== 'undefined') {
+    window.ExcelTestSuiteValidator = {
+        parseJsonWithLocations: parseJsonWithLocations,
+        validateSuiteText: validateSuiteText,
+        validateSuite: validateSuite,
+        formatIssue: formatIssue
+    };
+}
+
+// Also support Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseJsonWithLocations: parseJsonWithLocations,
+        validateSuiteText: validateSuiteText,
+        validateSuite: validateSuite,
+        formatIssue: formatIssue
+    };
+}
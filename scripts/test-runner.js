@@ -3,36 +3,52 @@
  * Core logic for executing tests with state snapshot/restore
  */
 
+// Sibling modules are globals in the add-in and require()-able under Node
+const Assertions = typeof window !== 'undefined' ? window.ExcelTestAssertions : require('./assertions.js');
+const Addresses = typeof window !== 'undefined' ? window.ExcelTestAddresses : require('./addresses.js');
+const Cases = typeof window !== 'undefined' ? window.ExcelTestCases : require('./cases.js');
+const SuiteFormat = typeof window !== 'undefined' ? window.ExcelTestSuiteFormat : require('./suite-format.js');
+const EditLock = typeof window !== 'undefined' ? window.ExcelTestEditLock : require('./edit-lock.js');
+const WorkbookStorage = typeof window !== 'undefined' ? window.ExcelTestWorkbookStorage : require('./workbook-storage.js');
+const Baselines = typeof window !== 'undefined' ? window.ExcelTestBaselines : require('./baselines.js');
+const FormulaStructure = typeof window !== 'undefined' ? window.ExcelTestFormulaStructure : require('./formula-structure.js');
+const Lint = typeof window !== 'undefined' ? window.ExcelTestLint : require('./lint.js');
+const Coverage = typeof window !== 'undefined' ? window.ExcelTestCoverage : require('./coverage.js');
 
+// How often to check whether calculation has finished, and how long to wait by default
+const CALCULATION_POLL_MS = 50;
+const DEFAULT_CALCULATION_WAIT_MS = 30000;
+const CALCULATION_FALLBACK_WAIT_MS = 100;
 
 /**
- * Parses a cell address like "Assumptions!B2" into {worksheetName, cellAddress}
+ * The workbook the runner works on. A backend is an object whose run(callback)
+ * calls callback(context) with an Excel request context, as Excel.run does.
+ * The add-in uses the live workbook; Node uses memory-workbook.js instead.
  */
-function parseCellAddress(fullAddress) {
-    const parts = fullAddress.split('!');
-    if (parts.length !== 2) {
-        throw new Error(`Invalid cell address format: ${fullAddress}. Expected format: "SheetName!A1"`);
-    }
-    return {
-        worksheetName: parts[0],
-        cellAddress: parts[1]
-    };
-}
+const officeWorkbook = {
+    run: (callback) => Excel.run(callback)
+};
+
 /**
- * Snapshot the current state of all cells referenced in inputs and assertions
+ * Snapshot the current state of all cells referenced in inputs and assertions.
+ * Ranges are captured whole; spill references ("E12#") snapshot only the anchor cell.
  */
 async function snapshotWorksheetState(context, cellAddresses) {
     const snapshot = {};
     const workbook = context.workbook;
+    const resolved = await Addresses.resolveAddresses(context, cellAddresses);
     
     // Group cells by worksheet
     const cellsByWorksheet = {};
     for (const fullAddress of cellAddresses) {
-        const parsed = parseCellAddress(fullAddress);
+        const parsed = Addresses.parseCellAddress(resolved[fullAddress]);
         if (!cellsByWorksheet[parsed.worksheetName]) {
             cellsByWorksheet[parsed.worksheetName] = [];
         }
-        cellsByWorksheet[parsed.worksheetName].push(parsed.cellAddress);
+        const cellAddress = Addresses.isSpillReference(parsed.cellAddress) ? parsed.cellAddress.slice(0, -1) : parsed.cellAddress;
+        if (!cellsByWorksheet[parsed.worksheetName].includes(cellAddress)) {
+            cellsByWorksheet[parsed.worksheetName].push(cellAddress);
+        }
     }
     
     // Use parallel arrays to preserve proxy object references
@@ -46,7 +62,7 @@ async function snapshotWorksheetState(context, cellAddresses) {
             
             for (const cellAddress of cellAddresses) {
                 const range = worksheet.getRange(cellAddress);
-                const fullAddress = `${worksheetName}!${cellAddress}`;
+                const fullAddress = Addresses.formatAddress(worksheetName, cellAddress);
                 
                 // Store in parallel arrays - preserves proxy reference
                 fullAddresses.push(fullAddress);
@@ -71,8 +87,8 @@ async function snapshotWorksheetState(context, cellAddresses) {
         
         // Access properties on the exact range object that was loaded
         snapshot[fullAddress] = {
-            value: range.values[0][0],
-            formula: range.formulas[0][0] || null
+            values: range.values,
+            formulas: range.formulas
         };
     }
     
@@ -80,21 +96,27 @@ async function snapshotWorksheetState(context, cellAddresses) {
 }
 
 /**
- * Apply input values to the specified cells
+ * Apply input values to the specified cells. A range input takes a 2D array
+ * of values, or a single value that is written to every cell.
  */
 async function applyInputs(context, inputs) {
     const workbook = context.workbook;
+    const resolved = await Addresses.resolveAddresses(context, Object.keys(inputs));
     
     // Group inputs by worksheet for batch operations
     const inputsByWorksheet = {};
     for (const [fullAddress, value] of Object.entries(inputs)) {
-        const parsed = parseCellAddress(fullAddress);
+        const parsed = Addresses.parseCellAddress(resolved[fullAddress]);
+        if (Addresses.isSpillReference(parsed.cellAddress)) {
+            throw new Error(`Cannot set input ${fullAddress}: spill references can only be used in assertions`);
+        }
         if (!inputsByWorksheet[parsed.worksheetName]) {
             inputsByWorksheet[parsed.worksheetName] = [];
         }
+        const bounds = Addresses.parseA1Range(parsed.cellAddress);
         inputsByWorksheet[parsed.worksheetName].push({
             cellAddress: parsed.cellAddress,
-            value: value
+            values: Addresses.shapeValues(value, bounds.rowCount, bounds.columnCount, `Input ${fullAddress}`)
         });
     }
     
@@ -105,8 +127,8 @@ async function applyInputs(context, inputs) {
             
             for (const input of inputList) {
                 const range = worksheet.getRange(input.cellAddress);
-                // Set value (this will overwrite any existing formula)
-                range.values = [[input.value]];
+                // Set values (this will overwrite any existing formulas)
+                range.values = input.values;
             }
         } catch (error) {
             throw new Error(`Failed to apply input to worksheet "${worksheetName}": ${error.message}`, error);
@@ -117,44 +139,83 @@ async function applyInputs(context, inputs) {
 }
 
 /**
- * Force Excel to recalculate all formulas
+ * Whether the host can report its calculation state (ExcelApi 1.9). Older
+ * hosts fail the whole sync when calculationState is loaded, so it must not
+ * be asked for there. Backends outside Office (see memory-workbook.js) have it.
+ */
+function supportsCalculationState() {
+    return typeof Office === 'undefined' || Office.context.requirements.isSetSupported('ExcelApi', '1.9');
+}
+
+/**
+ * Force Excel to recalculate and wait until calculation has finished, for at
+ * most calculation.maxWaitMs. Returns { settled, waitedMs }; `settled` is false
+ * if Excel was still calculating when the wait ran out, and null if the host
+ * cannot report its calculation state.
  */
-async function forceRecalculate(context) {
+async function forceRecalculate(context, calculation, checkpoint) {
     const application = context.workbook.application;
-    application.calculate(Excel.CalculationType.full);
+    const started = Date.now();
+    // Office.js accepts enum values as strings, so backends need no Excel namespace
+    application.calculate(calculation.type === 'recalculate' ? 'Recalculate' : 'Full');
     await context.sync();
     
-    // Wait a bit to ensure calculation completes
-    // Note: There's no direct event for calculation completion in Office.js,
-    // so we use a small delay. For production, you might want to poll
-    // application.getCalculationState() if needed.
-    await new Promise(resolve => setTimeout(resolve, 100));
+    // Hosts without calculationState: fall back to a short wait
+    if (!supportsCalculationState()) {
+        await sleep(CALCULATION_FALLBACK_WAIT_MS);
+        return { settled: null, waitedMs: Date.now() - started };
+    }
+    
+    // Poll the calculation state until Excel reports it is done. Asynchronous
+    // functions and data types can keep calculating after the request returns.
+    while (true) {
+        application.load("calculationState");
+        await context.sync();
+        
+        if (application.calculationState === 'Done') {
+            return { settled: true, waitedMs: Date.now() - started };
+        }
+        if (Date.now() - started >= calculation.maxWaitMs) {
+            return { settled: false, waitedMs: Date.now() - started };
+        }
+        checkpoint();
+        await sleep(CALCULATION_POLL_MS);
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
 }
 
 /**
- * Read the actual values from assertion cells
+ * Read the actual values from assertion cells. Each output holds the 2D values
+ * of the cell or range; spill references ("E12#") read the whole spilled array.
  */
 async function readOutputs(context, assertionCells) {
     const workbook = context.workbook;
     const outputs = {};
+    const resolved = await Addresses.resolveAddresses(context, assertionCells);
     
     // Use parallel arrays to preserve proxy object references
-    const fullAddresses = [];
-    const ranges = [];
+    const entries = [];
     
     // Step 1: Get all ranges and load their properties
     for (const cellAddress of assertionCells) {
         try {
-            const parsed = parseCellAddress(cellAddress);
+            const parsed = Addresses.parseCellAddress(resolved[cellAddress]);
             const worksheet = workbook.worksheets.getItem(parsed.worksheetName);
-            const range = worksheet.getRange(parsed.cellAddress);
+            const isSpill = Addresses.isSpillReference(parsed.cellAddress);
+            const range = worksheet.getRange(isSpill ? parsed.cellAddress.slice(0, -1) : parsed.cellAddress);
+            const spillRange = isSpill ? range.getSpillingToRangeOrNullObject() : null;
             
             // Store in parallel arrays - preserves proxy reference
-            fullAddresses.push(cellAddress);
-            ranges.push(range);
+            entries.push({ fullAddress: cellAddress, worksheetName: parsed.worksheetName, range, spillRange });
             
-            // Load properties on the range object
-            range.load("values");
+            // Load properties on the range objects
+            range.load("values, address");
+            if (spillRange) {
+                spillRange.load("values, address");
+            }
         } catch (error) {
             throw new Error(`Failed to read output from cell "${cellAddress}": ${error.message}`, error);
         }
@@ -163,78 +224,268 @@ async function readOutputs(context, assertionCells) {
     // Step 2: Sync to populate properties
     await context.sync();
     
-    // Step 3: Extract values using same array indices - preserves reference
-    for (let i = 0; i < ranges.length; i++) {
-        const fullAddress = fullAddresses[i];
-        const range = ranges[i]; // Access range from parallel array
-        
-        // Access properties on the exact range object that was loaded
-        outputs[fullAddress] = range.values[0][0];
+    // Step 3: Extract values from the exact range objects that were loaded
+    for (const entry of entries) {
+        const spilling = entry.spillRange && !entry.spillRange.isNullObject;
+        const range = spilling ? entry.spillRange : entry.range;
+        outputs[entry.fullAddress] = {
+            worksheetName: entry.worksheetName,
+            address: Addresses.stripSheetName(range.address),
+            values: range.values,
+            isSpillReference: entry.spillRange !== null,
+            isSpilling: spilling
+        };
     }
     
     return outputs;
 }
 
 /**
- * Evaluate assertions against actual values
+ * Read the formulas of cells and ranges, in A1 and R1C1 form. Returns a map of
+ * address -> { worksheetName, address, formulas, formulasR1C1 }; spill
+ * references ("E12#") read their anchor cell.
  */
-function evaluateAssertions(outputs, assertions) {
-    const results = [];
-    let allPassed = true;
+async function readFormulas(context, addresses) {
+    const formulas = {};
+    if (addresses.length === 0) {
+        return formulas;
+    }
+    const resolved = await Addresses.resolveAddresses(context, addresses);
     
-    for (const assertion of assertions) {
-        const cellAddress = assertion.cell;
-        const expected = assertion.equals;
-        const tolerance = assertion.tolerance || 0;
-        const actual = outputs[cellAddress];
-        
-        let passed = false;
-        let difference = null;
-        
-        if (actual === undefined || actual === null) {
-            passed = false;
-            difference = null;
-        } else if (typeof actual === 'number' && typeof expected === 'number') {
-            difference = Math.abs(actual - expected);
-            passed = difference <= tolerance;
+    // Step 1: Get all ranges and load their formulas
+    const entries = [];
+    for (const address of new Set(addresses)) {
+        try {
+            const parsed = Addresses.parseCellAddress(resolved[address]);
+            const cellAddress = Addresses.isSpillReference(parsed.cellAddress) ? parsed.cellAddress.slice(0, -1) : parsed.cellAddress;
+            const range = context.workbook.worksheets.getItem(parsed.worksheetName).getRange(cellAddress);
+            range.load("formulas, formulasR1C1, address");
+            entries.push({ address, worksheetName: parsed.worksheetName, range });
+        } catch (error) {
+            throw new Error(`Failed to read the formulas of "${address}": ${error.message}`, error);
+        }
+    }
+    
+    // Step 2: Sync to populate properties
+    await context.sync();
+    
+    // Step 3: Extract formulas from the exact range objects that were loaded
+    for (const entry of entries) {
+        formulas[entry.address] = {
+            worksheetName: entry.worksheetName,
+            address: Addresses.stripSheetName(entry.range.address),
+            formulas: entry.range.formulas,
+            formulasR1C1: entry.range.formulasR1C1
+        };
+    }
+    return formulas;
+}
+
+/**
+ * Read the formulas every formula-structure assertion of the runnable tests
+ * checks. Called before any inputs are written, so the assertions see the
+ * model as it is. Tests whose cells cannot be read are marked with an error.
+ */
+async function readSuiteFormulas(context, preparedTests) {
+    const runnable = preparedTests.filter(prepared => !prepared.error && prepared.skipReason === undefined);
+    const readTests = async (tests) => {
+        const assertions = tests.flatMap(prepared => prepared.testCase.assertions.filter(FormulaStructure.isStructureAssertion));
+        const formulas = await readFormulas(context, assertions.map(assertion => assertion.cell));
+        // Ranges compared for consistency are on the sheet of the assertion's cell
+        const ranges = assertions
+            .filter(assertion => assertion.formulaConsistentAcross !== undefined)
+            .map(assertion => FormulaStructure.consistencyRangeAddress(assertion, formulas[assertion.cell].worksheetName));
+        return Object.assign(formulas, await readFormulas(context, ranges));
+    };
+    try {
+        return await readTests(runnable);
+    } catch (error) {
+        const formulas = {};
+        for (const prepared of runnable) {
+            try {
+                Object.assign(formulas, await readTests([prepared]));
+            } catch (testError) {
+                prepared.error = testError.message;
+            }
+        }
+        return formulas;
+    }
+}
+
+/**
+ * Run the lint tests of a suite (see lint.js) against the workbook before any
+ * inputs are written. Returns a map of test case -> assertion results; tests
+ * whose sheets or ranges cannot be read are marked with an error.
+ */
+async function lintSuite(context, preparedTests) {
+    const lintTests = preparedTests.filter(prepared => prepared.testCase.lint && !prepared.error && prepared.skipReason === undefined);
+    const results = await Lint.runLintTests(context, lintTests.map(prepared => prepared.testCase));
+    const lint = new Map();
+    lintTests.forEach((prepared, index) => {
+        if (results[index].error) {
+            prepared.error = results[index].error;
         } else {
-            // For non-numeric values, exact match
-            passed = actual === expected;
-            if (!passed && typeof actual === 'number' && typeof expected === 'number') {
-                difference = Math.abs(actual - expected);
+            lint.set(prepared.testCase, results[index].assertionResults);
+        }
+    });
+    return lint;
+}
+
+/**
+ * Evaluate assertions against actual values. `baselineFiles` maps baseline
+ * file names to their text, for "baseline" assertions that use one, and
+ * `formulas` holds the formulas read by readSuiteFormulas() for
+ * formula-structure assertions.
+ */
+function evaluateAssertions(outputs, assertions, baselineFiles, formulas) {
+    const results = assertions.map(assertion => {
+        if (FormulaStructure.isStructureAssertion(assertion)) {
+            return FormulaStructure.evaluateStructureAssertion(assertion, formulas);
+        }
+        const output = outputs[assertion.cell];
+        if (assertion.baseline !== undefined) {
+            return evaluateBaselineAssertion(assertion, output, baselineFiles);
+        }
+        const isSingleCell = output.values.length === 1 && output.values[0].length === 1;
+        if (isSingleCell && !output.isSpillReference && assertion.spillSize === undefined) {
+            return Assertions.evaluateAssertion(assertion, output.values[0][0]);
+        }
+        return evaluateRangeAssertion(assertion, output);
+    });
+    
+    return {
+        allPassed: results.every(r => r.passed),
+        results: results
+    };
+}
+
+/**
+ * Evaluate an assertion over every cell of a range or spill. Array expectations
+ * for equals/notEquals are compared cell by cell; anything else is broadcast.
+ */
+function evaluateRangeAssertion(assertion, output) {
+    const rowCount = output.values.length;
+    const columnCount = rowCount > 0 ? output.values[0].length : 0;
+    const operator = Assertions.getAssertionOperator(assertion);
+    const problems = [];
+    const cellResults = [];
+    
+    // Check the size of a dynamic-array spill
+    if (assertion.spillSize !== undefined) {
+        const [expectedRows, expectedColumns] = assertion.spillSize;
+        if (!output.isSpillReference) {
+            problems.push(`spillSize requires a spill reference such as "${assertion.cell}#"`);
+        } else if (!output.isSpilling) {
+            problems.push(`Expected a ${expectedRows}x${expectedColumns} spill but ${assertion.cell} does not spill`);
+        } else if (expectedRows !== rowCount || expectedColumns !== columnCount) {
+            problems.push(`Expected a ${expectedRows}x${expectedColumns} spill but got ${rowCount}x${columnCount}`);
+        }
+    }
+    
+    if (operator) {
+        let expected = assertion[operator];
+        let perCell = false;
+        let shapeMismatch = false;
+        if (Array.isArray(expected) && (operator === 'equals' || operator === 'notEquals')) {
+            try {
+                expected = Addresses.shapeValues(expected, rowCount, columnCount, `Range ${assertion.cell}`);
+                perCell = true;
+            } catch (error) {
+                problems.push(error.message);
+                shapeMismatch = true;
             }
         }
         
-        if (!passed) {
-            allPassed = false;
+        if (!shapeMismatch) {
+            for (let row = 0; row < rowCount; row++) {
+                for (let column = 0; column < columnCount; column++) {
+                    const cell = Addresses.formatAddress(output.worksheetName, Addresses.cellAddressAt(output.address, row, column));
+                    const cellAssertion = Object.assign({}, assertion, {
+                        cell: cell,
+                        [operator]: perCell ? expected[row][column] : expected
+                    });
+                    cellResults.push(Assertions.evaluateAssertion(cellAssertion, output.values[row][column]));
+                }
+            }
         }
-        
-        results.push({
-            cell: cellAddress,
-            expected: expected,
-            actual: actual,
-            tolerance: tolerance,
-            difference: difference,
-            passed: passed
-        });
+    } else if (assertion.spillSize === undefined) {
+        problems.push(Assertions.evaluateAssertion(assertion, undefined).message);
+    }
+    
+    const failedCells = cellResults.filter(r => !r.passed);
+    if (failedCells.length > 0) {
+        problems.push(`${failedCells.length} of ${cellResults.length} cells failed`);
+    }
+    
+    const passed = problems.length === 0;
+    let message;
+    if (passed) {
+        const description = operator ? Assertions.describeAssertion(assertion) : `should spill to ${assertion.spillSize.join('x')}`;
+        message = assertion.message || `All ${rowCount * columnCount} cells in ${assertion.cell} ${description}`;
+    } else {
+        message = assertion.message ? `${assertion.message}: ${problems.join('; ')}` : problems.join('; ');
     }
     
     return {
-        allPassed: allPassed,
-        results: results
+        cell: assertion.cell,
+        operator: operator,
+        expected: operator ? assertion[operator] : assertion.spillSize,
+        actual: output.values,
+        passed: passed,
+        message: message,
+        difference: null,
+        tolerance: assertion.tolerance !== undefined ? assertion.tolerance : null,
+        cellResults: cellResults
     };
 }
 
 /**
- * Restore the workbook state from a snapshot
+ * Compare every cell of a range with its recorded baseline, with the usual
+ * tolerance semantics. The result's `baseline` ({ file, key }) says where
+ * approving the current values would record them.
+ */
+function evaluateBaselineAssertion(assertion, output, baselineFiles) {
+    const baseline = Baselines.findBaseline(assertion, baselineFiles);
+    let result;
+    if (baseline.values === null) {
+        result = {
+            cell: assertion.cell,
+            operator: 'baseline',
+            expected: null,
+            actual: output.values,
+            passed: false,
+            message: assertion.message ? `${assertion.message}: ${baseline.problem}` : baseline.problem,
+            difference: null,
+            tolerance: assertion.tolerance !== undefined ? assertion.tolerance : null,
+            cellResults: []
+        };
+    } else {
+        const comparison = Object.assign({}, assertion, { equals: baseline.values });
+        delete comparison.baseline;
+        result = evaluateRangeAssertion(comparison, output);
+        result.operator = 'baseline';
+        if (result.passed && !assertion.message) {
+            const cellCount = output.values.length * (output.values.length > 0 ? output.values[0].length : 0);
+            result.message = `All ${cellCount} cells in ${assertion.cell} match the baseline`;
+        }
+    }
+    result.baseline = { file: baseline.file, key: baseline.key };
+    return result;
+}
+
+/**
+ * Restore the workbook state from a snapshot. Only cells whose formula or
+ * value changed are written back, so spilled arrays are left intact. Entries
+ * holding `fills` (see snapshotFills) have their cell fills put back instead.
  */
-async function restoreState(context, snapshot) {
+async function restoreState(context, snapshot, edits = []) {
     const workbook = context.workbook;
+    const resolved = await Addresses.resolveAddresses(context, Object.keys(snapshot));
     
     // Group cells by worksheet
     const cellsByWorksheet = {};
     for (const [fullAddress, state] of Object.entries(snapshot)) {
-        const parsed = parseCellAddress(fullAddress);
+        const parsed = Addresses.parseCellAddress(resolved[fullAddress]);
         if (!cellsByWorksheet[parsed.worksheetName]) {
             cellsByWorksheet[parsed.worksheetName] = [];
         }
@@ -244,25 +495,18 @@ async function restoreState(context, snapshot) {
         });
     }
     
-    // Restore cells
+    // Step 1: Load the current formulas of every snapshotted range
+    const entries = [];
     for (const [worksheetName, cellList] of Object.entries(cellsByWorksheet)) {
         try {
             const worksheet = workbook.worksheets.getItem(worksheetName);
             
             for (const cell of cellList) {
-                try {
-                    const range = worksheet.getRange(cell.cellAddress);
-                    const state = cell.state;
-                    
-                    // Try formula first, otherwise value
-                    if (state.formula && state.formula !== '') {
-                        range.formulas = [[state.formula]];
-                    } else {
-                        range.values = [[state.value]];
-                    }
-                } catch (cellError) {
-                    console.error(`Failed to restore cell ${cell.cellAddress}:`, cellError);
+                const range = worksheet.getRange(cell.cellAddress);
+                if (cell.state.formulas) {
+                    range.load("formulas");
                 }
+                entries.push({ worksheetName, cellAddress: cell.cellAddress, state: cell.state, range });
             }
         } catch (error) {
             console.error(`Failed to restore worksheet "${worksheetName}":`, error);
@@ -270,153 +514,977 @@ async function restoreState(context, snapshot) {
     }
     
     await context.sync();
+    
+    // Step 2: Write back the cells that differ from the snapshot, except those the user edited
+    const conflicts = [];
+    for (const entry of entries) {
+        if (entry.state.fills) {
+            restoreFills(entry.range, entry.state.fills);
+        }
+        const original = entry.state.formulas || [];
+        for (let row = 0; row < original.length; row++) {
+            for (let column = 0; column < original[row].length; column++) {
+                if (entry.range.formulas[row][column] === original[row][column]) {
+                    continue;
+                }
+                const editedCell = Addresses.cellAddressAt(entry.cellAddress, row, column);
+                if (EditLock.isCellEdited(edits, entry.worksheetName, editedCell)) {
+                    conflicts.push({
+                        cell: Addresses.formatAddress(entry.worksheetName, editedCell),
+                        original: original[row][column],
+                        current: entry.range.formulas[row][column]
+                    });
+                    continue;
+                }
+                try {
+                    entry.range.getCell(row, column).formulas = [[original[row][column]]];
+                } catch (cellError) {
+                    const cellAddress = Addresses.cellAddressAt(entry.cellAddress, row, column);
+                    console.error(`Failed to restore cell ${Addresses.formatAddress(entry.worksheetName, cellAddress)}:`, cellError);
+                }
+            }
+        }
+    }
+    
+    await context.sync();
+    return conflicts;
 }
 
 /**
- * Public function to run multiple tests with suite-level locking
+ * Re-read every snapshotted cell after a restore and compare it with the snapshot.
+ * Returns [{ cell, expected, actual }] for each cell that differs, skipping cells
+ * the user edited during the run.
  */
-async function runTestSuite(testCases) {
-    return Excel.run(async (context) => {
-        // Collect all cell addresses for snapshot
-        const allCellAddresses = new Set();
-        
-        for (const testCase of testCases) {
-            // Add input cells
-            if (testCase.inputs) {
-                for (const cellAddress of Object.keys(testCase.inputs)) {
-                    allCellAddresses.add(cellAddress);
+async function verifyRestore(context, snapshot, edits = []) {
+    const entries = Object.entries(snapshot).map(([address, state]) => {
+        const parsed = Addresses.parseCellAddress(address);
+        const range = context.workbook.worksheets.getItem(parsed.worksheetName).getRange(parsed.cellAddress);
+        if (state.fills) {
+            return { parsed, fills: state.fills, cellFills: loadCellFills(range) };
+        }
+        range.load("formulas");
+        return { parsed, range, original: state.formulas };
+    });
+    await context.sync();
+    
+    const mismatches = [];
+    for (const entry of entries) {
+        if (entry.fills) {
+            mismatches.push(...compareFills(entry.parsed, entry.fills, entry.cellFills.value));
+            continue;
+        }
+        const { parsed, range, original } = entry;
+        for (let row = 0; row < original.length; row++) {
+            for (let column = 0; column < original[row].length; column++) {
+                const cellAddress = Addresses.cellAddressAt(parsed.cellAddress, row, column);
+                if (range.formulas[row][column] === original[row][column] || EditLock.isCellEdited(edits, parsed.worksheetName, cellAddress)) {
+                    continue;
                 }
+                mismatches.push({
+                    cell: Addresses.formatAddress(parsed.worksheetName, cellAddress),
+                    expected: original[row][column],
+                    actual: range.formulas[row][column]
+                });
             }
-            
-            // Add assertion cells
-            if (testCase.assertions) {
-                for (const assertion of testCase.assertions) {
-                    allCellAddresses.add(assertion.cell);
+        }
+    }
+    return mismatches;
+}
+
+/**
+ * Queue a read of the fill of every cell in a range; the result's value is a
+ * 2D array of cell properties once synced
+ */
+function loadCellFills(range) {
+    return range.getCellProperties({ format: { fill: { color: true, pattern: true } } });
+}
+
+/**
+ * Snapshot the fill of every cell of the given { address, range } targets, for
+ * restoreState to put back. Returns a map of address -> { fills }.
+ */
+async function snapshotFills(context, targets) {
+    const cellFills = targets.map(target => loadCellFills(target.range));
+    await context.sync();
+    
+    const snapshot = {};
+    targets.forEach((target, index) => {
+        snapshot[target.address] = {
+            fills: cellFills[index].value.map(row => row.map(cell => ({ color: cell.format.fill.color, pattern: cell.format.fill.pattern })))
+        };
+    });
+    return snapshot;
+}
+
+/**
+ * Put back the snapshotted fill of every cell in a range
+ */
+function restoreFills(range, fills) {
+    fills.forEach((row, rowIndex) => row.forEach((fill, columnIndex) => {
+        const cellFill = range.getCell(rowIndex, columnIndex).format.fill;
+        if (fill.pattern === 'None') {
+            cellFill.clear();
+        } else {
+            cellFill.color = fill.color;
+            cellFill.pattern = fill.pattern;
+        }
+    }));
+}
+
+/**
+ * Compare the snapshotted fills of a range with the ones read back after restoring
+ */
+function compareFills(parsed, fills, current) {
+    const describeFill = fill => fill.pattern === 'None' ? 'no fill' : `fill ${fill.color}`;
+    const mismatches = [];
+    fills.forEach((row, rowIndex) => row.forEach((fill, columnIndex) => {
+        const actual = current[rowIndex][columnIndex].format.fill;
+        if (actual.pattern === fill.pattern && (fill.pattern === 'None' || actual.color === fill.color)) {
+            return;
+        }
+        mismatches.push({
+            cell: Addresses.formatAddress(parsed.worksheetName, Addresses.cellAddressAt(parsed.cellAddress, rowIndex, columnIndex)),
+            expected: describeFill(fill),
+            actual: describeFill(actual)
+        });
+    }));
+    return mismatches;
+}
+
+/**
+ * Returns { started } if a run's snapshot is still stored in the workbook because
+ * the run never finished restoring (e.g. the task pane was closed mid-run), else null
+ */
+async function findInterruptedRun(backend = officeWorkbook) {
+    return backend.run(async (context) => {
+        const stored = await WorkbookStorage.loadRunSnapshot(context);
+        return stored && stored.kind !== 'highlight' ? { started: stored.started, cellCount: Object.keys(stored.snapshot).length } : null;
+    });
+}
+
+/**
+ * Restore a stored snapshot and verify it, removing it once every cell matches.
+ * Returns the cells that still differ.
+ */
+async function restoreStoredSnapshot(context, stored) {
+    await restoreState(context, stored.snapshot);
+    const mismatches = await verifyRestore(context, stored.snapshot);
+    if (mismatches.length === 0) {
+        await WorkbookStorage.clearRunSnapshot(context);
+    }
+    return mismatches;
+}
+
+/**
+ * Restore the workbook from the stored snapshot of an interrupted run and verify it.
+ * The stored snapshot is removed once every cell matches. Returns { mismatches }.
+ */
+async function recoverInterruptedRun(backend = officeWorkbook) {
+    return backend.run(async (context) => {
+        const stored = await WorkbookStorage.loadRunSnapshot(context);
+        if (!stored) {
+            return { mismatches: [] };
+        }
+        return { mismatches: await restoreStoredSnapshot(context, stored) };
+    });
+}
+
+/**
+ * Forget the stored snapshot of an interrupted run without restoring it
+ */
+async function discardInterruptedRun(backend = officeWorkbook) {
+    return backend.run(async (context) => {
+        await WorkbookStorage.clearRunSnapshot(context);
+    });
+}
+
+/**
+ * Write the original contents back to cells left alone by restoreState because
+ * the user edited them during a run. Only called once the user has agreed.
+ */
+async function restoreConflicts(conflicts, backend = officeWorkbook) {
+    return backend.run(async (context) => {
+        for (const conflict of conflicts) {
+            const parsed = Addresses.parseCellAddress(conflict.cell);
+            context.workbook.worksheets.getItem(parsed.worksheetName).getRange(parsed.cellAddress).formulas = [[conflict.original]];
+        }
+        await context.sync();
+    });
+}
+
+// Fills marking the cells of failing tests: failing outputs red, their inputs
+// amber; formulas no test covers are shaded purple
+const HIGHLIGHT_FILLS = { output: '#FFC7CE', input: '#FFEB9C', uncovered: '#E4DFEC' };
+
+// The kind of highlight each fill belongs to, which clearHighlights() can clear on its own
+const HIGHLIGHT_KINDS = { output: 'failures', input: 'failures', uncovered: 'uncovered' };
+
+/**
+ * The cells to highlight after a run: the failing cells of each failed assertion,
+ * and the inputs of every test with a failed assertion. Tests that could not
+ * run are left out. Returns { outputs, inputs } as lists of addresses.
+ */
+function findFailureCells(results) {
+    const outputs = new Set();
+    const inputs = new Set();
+    for (const result of results) {
+        if (result.passed || result.error) {
+            continue;
+        }
+        for (const assertion of result.assertionResults.filter(assertion => !assertion.passed)) {
+            const failedCells = (assertion.cellResults || []).filter(cellResult => !cellResult.passed);
+            if (failedCells.length > 0) {
+                failedCells.forEach(cellResult => outputs.add(cellResult.cell));
+            } else {
+                outputs.add(assertion.cell);
+            }
+        }
+        (result.inputCells || []).forEach(cell => inputs.add(cell));
+    }
+    return { outputs: Array.from(outputs), inputs: Array.from(inputs).filter(cell => !outputs.has(cell)) };
+}
+
+/**
+ * Resolve addresses to { address, worksheet, range } in concrete "Sheet!A1" form.
+ * A spill reference ("E12#") gives its anchor cell.
+ */
+async function getTargetRanges(context, addresses) {
+    const resolved = await Addresses.resolveAddresses(context, addresses);
+    return addresses.map(address => {
+        const parsed = Addresses.parseCellAddress(resolved[address]);
+        const cellAddress = Addresses.isSpillReference(parsed.cellAddress) ? parsed.cellAddress.slice(0, -1) : parsed.cellAddress;
+        const worksheet = context.workbook.worksheets.getItem(parsed.worksheetName);
+        return {
+            address: Addresses.formatAddress(parsed.worksheetName, cellAddress),
+            worksheet,
+            range: worksheet.getRange(cellAddress),
+            isSpill: cellAddress !== parsed.cellAddress
+        };
+    });
+}
+
+/**
+ * Fill the cells of the failing tests of a run (see findFailureCells). Their
+ * original fills are stored in the workbook like a run snapshot, so
+ * clearHighlights() can put them back even after the task pane was closed;
+ * a new run removes them first. Earlier highlights are replaced.
+ * Returns { outputCount, inputCount }.
+ */
+async function highlightFailures(results, backend = officeWorkbook) {
+    const { outputCount, inputCount } = await highlightRun(results, null, backend);
+    return { outputCount, inputCount };
+}
+
+/**
+ * Like highlightFailures(), and with a coverage result (see coverage.js) also
+ * shade the formulas no test covered; failing cells keep their own fill.
+ * Returns { outputCount, inputCount, uncoveredCount }.
+ */
+async function highlightRun(results, coverage, backend = officeWorkbook) {
+    const { outputs, inputs } = findFailureCells(results);
+    const marked = new Set(outputs.concat(inputs));
+    const uncovered = coverage ? Coverage.uncoveredCells(coverage).filter(cell => !marked.has(cell)) : [];
+    return backend.run(async (context) => {
+        const stored = await WorkbookStorage.loadRunSnapshot(context);
+        if (stored && stored.kind !== 'highlight') {
+            throw new Error('A previous test run did not finish restoring the workbook. Recover or discard it before highlighting failures');
+        }
+        if (stored && (await restoreStoredSnapshot(context, stored)).length > 0) {
+            throw new Error('The previous failure highlights could not be removed');
+        }
+        if (outputs.length === 0 && inputs.length === 0 && uncovered.length === 0) {
+            return { outputCount: 0, inputCount: 0, uncoveredCount: 0 };
+        }
+        
+        // Step 1: Store the current fills before changing any, with the fill each cell gets
+        const targets = await getTargetRanges(context, outputs.concat(inputs, uncovered));
+        const fillOf = index => index < outputs.length ? 'output' : index < outputs.length + inputs.length ? 'input' : 'uncovered';
+        const snapshot = await snapshotFills(context, targets);
+        targets.forEach((target, index) => {
+            snapshot[target.address].highlight = snapshot[target.address].highlight || fillOf(index);
+        });
+        await WorkbookStorage.saveRunSnapshot(context, snapshot, 'highlight');
+        
+        // Step 2: Fill the cells, inputs first so a cell that is both shows as an output
+        try {
+            for (let i = targets.length - 1; i >= 0; i--) {
+                targets[i].range.format.fill.color = HIGHLIGHT_FILLS[fillOf(i)];
+            }
+            await context.sync();
+        } catch (error) {
+            await restoreStoredSnapshot(context, { snapshot });
+            throw new Error(`Could not highlight the cells: ${error.message}`);
+        }
+        return { outputCount: outputs.length, inputCount: inputs.length, uncoveredCount: uncovered.length };
+    });
+}
+
+/**
+ * Put back the fills replaced by highlightRun() and verify them: all of them,
+ * or only those of one kind, 'failures' or 'uncovered', leaving the others
+ * stored. Returns { mismatches }, empty when there were no highlights.
+ */
+async function clearHighlights(kind = null, backend = officeWorkbook) {
+    return backend.run(async (context) => {
+        const stored = await WorkbookStorage.loadRunSnapshot(context);
+        if (!stored || stored.kind !== 'highlight') {
+            return { mismatches: [] };
+        }
+        if (kind === null) {
+            return { mismatches: await restoreStoredSnapshot(context, stored) };
+        }
+        
+        // Highlights stored before coverage shading existed are all failures
+        const cleared = {};
+        const kept = {};
+        for (const [address, entry] of Object.entries(stored.snapshot)) {
+            (HIGHLIGHT_KINDS[entry.highlight || 'output'] === kind ? cleared : kept)[address] = entry;
+        }
+        if (Object.keys(cleared).length === 0) {
+            return { mismatches: [] };
+        }
+        await restoreState(context, cleared);
+        const mismatches = await verifyRestore(context, cleared);
+        if (mismatches.length > 0) {
+            return { mismatches };
+        }
+        
+        // Refill the cells that stay highlighted, in case a cleared range overlapped them
+        const targets = await getTargetRanges(context, Object.keys(kept));
+        for (let i = targets.length - 1; i >= 0; i--) {
+            targets[i].range.format.fill.color = HIGHLIGHT_FILLS[kept[targets[i].address].highlight || 'output'];
+        }
+        await context.sync();
+        if (targets.length > 0) {
+            await WorkbookStorage.saveRunSnapshot(context, kept, 'highlight', stored.started);
+        } else {
+            await WorkbookStorage.clearRunSnapshot(context);
+        }
+        return { mismatches: [] };
+    });
+}
+
+/**
+ * Returns { started, cellCount } if failure highlights are showing in the workbook, else null
+ */
+async function findHighlights(backend = officeWorkbook) {
+    return backend.run(async (context) => {
+        const stored = await WorkbookStorage.loadRunSnapshot(context);
+        return stored && stored.kind === 'highlight' ? { started: stored.started, cellCount: Object.keys(stored.snapshot).length } : null;
+    });
+}
+
+/**
+ * Activate the worksheet of an address and select its cell or range (the whole
+ * spill for a spill reference)
+ */
+async function goToCell(address, backend = officeWorkbook) {
+    return backend.run(async (context) => {
+        const [target] = await getTargetRanges(context, [address]);
+        const spillRange = target.isSpill ? target.range.getSpillingToRangeOrNullObject() : null;
+        await context.sync();
+        target.worksheet.activate();
+        (spillRange && !spillRange.isNullObject ? spillRange : target.range).select();
+        await context.sync();
+    });
+}
+
+/**
+ * Returns the inputs of a test as [address, value] pairs. Inputs are either a map
+ * of address -> value, or a list of { cell, value } entries (needed when the
+ * cell is a label-anchored reference object).
+ */
+function getInputEntries(testCase, key = 'inputs') {
+    if (Array.isArray(testCase[key])) {
+        return testCase[key].map(input => [input.cell, input.value]);
+    }
+    return Object.entries(testCase[key] || {});
+}
+
+// The input blocks of a test: its own inputs and the suite's beforeEach/afterEach
+const INPUT_BLOCKS = ['inputs', 'beforeEach', 'afterEach'];
+
+/**
+ * Resolve the label-anchored references of every prepared { testCase, error }
+ * entry to concrete addresses. A test whose label is missing or ambiguous gets
+ * an error and is not run. Skipped tests are left as they are.
+ */
+async function resolveTestReferences(context, preparedTests) {
+    const references = [];
+    for (const { testCase } of preparedTests.filter(prepared => prepared.skipReason === undefined)) {
+        for (const [address] of INPUT_BLOCKS.flatMap(key => getInputEntries(testCase, key))) {
+            if (Addresses.isAnchoredReference(address)) {
+                references.push(address);
+            }
+        }
+        for (const assertion of testCase.assertions || []) {
+            if (Addresses.isAnchoredReference(assertion.cell)) {
+                references.push(assertion.cell);
+            }
+        }
+    }
+    
+    const { resolved, errors } = references.length > 0
+        ? await Addresses.resolveAnchoredReferences(context, references)
+        : { resolved: {}, errors: {} };
+    
+    return preparedTests.map(prepared => {
+        if (prepared.skipReason !== undefined) {
+            return prepared;
+        }
+        const { testCase, error } = prepared;
+        const problems = error ? [error] : [];
+        const resolve = address => {
+            if (!Addresses.isAnchoredReference(address)) {
+                return address;
+            }
+            const key = Addresses.describeAddress(address);
+            if (errors[key]) {
+                problems.push(errors[key]);
+            }
+            return resolved[key] || key;
+        };
+        
+        const blocks = {};
+        for (const key of INPUT_BLOCKS) {
+            if (key === 'inputs' || testCase[key]) {
+                blocks[key] = {};
+                for (const [address, value] of getInputEntries(testCase, key)) {
+                    blocks[key][resolve(address)] = value;
                 }
             }
         }
+        // An anchored assertion keeps its reference, which names its baseline (see findBaseline)
+        const assertions = (testCase.assertions || []).map(assertion => Addresses.isAnchoredReference(assertion.cell)
+            ? Object.assign({}, assertion, { cell: resolve(assertion.cell), reference: assertion.cell })
+            : Object.assign({}, assertion, { cell: resolve(assertion.cell) }));
         
-        // Create snapshot of current state
-        let snapshot = null;
+        return {
+            testCase: Object.assign({}, testCase, blocks, { assertions }),
+            error: problems.length > 0 ? problems.join('; ') : null
+        };
+    });
+}
+
+/**
+ * Snapshot every cell the runnable tests touch. If some cells cannot be read
+ * (e.g. a sheet or name that does not exist), the tests using them are marked
+ * with an error and the rest are snapshotted without them.
+ */
+async function snapshotSuite(context, preparedTests) {
+    const cellsOf = prepared => INPUT_BLOCKS.flatMap(key => Object.keys(prepared.testCase[key] || {}))
+        .concat(prepared.testCase.assertions.map(assertion => assertion.cell));
+    const runnable = preparedTests.filter(prepared => !prepared.error && prepared.skipReason === undefined);
+    try {
+        return await snapshotWorksheetState(context, Array.from(new Set(runnable.flatMap(cellsOf))));
+    } catch (error) {
+        for (const prepared of runnable) {
+            try {
+                await snapshotWorksheetState(context, cellsOf(prepared));
+            } catch (testError) {
+                prepared.error = testError.message;
+            }
+        }
+        const remaining = runnable.filter(prepared => !prepared.error);
+        return snapshotWorksheetState(context, Array.from(new Set(remaining.flatMap(cellsOf))));
+    }
+}
+
+/**
+ * Whether a test is picked by a selection of { names, tags }. A case of a
+ * data-driven test is picked by its own name or the name of that test; a test
+ * with any of the tags is picked too. Without a selection every test is picked.
+ */
+function isSelected(testCase, select) {
+    if (!select || (!select.names && !select.tags)) {
+        return true;
+    }
+    const names = select.names || [];
+    const tags = select.tags || [];
+    return names.includes(testCase.name)
+        || (testCase.case ? names.includes(testCase.case.test) : false)
+        || (Array.isArray(testCase.tags) && testCase.tags.some(tag => tags.includes(tag)));
+}
+
+/**
+ * Drop the prepared tests left out of the selection and mark the ones not to
+ * run with a `skipReason`: tests with "skip", and, if any selected test has
+ * "only", every test without it. A reason of null means none was given.
+ */
+function selectTests(preparedTests, select) {
+    const selected = preparedTests.filter(prepared => isSelected(prepared.testCase, select));
+    if (selected.length === 0 && preparedTests.length > 0) {
+        throw new Error('No test in the suite matches the selection');
+    }
+    const onlySome = selected.some(prepared => prepared.testCase.only === true && !prepared.testCase.skip);
+    return selected.map(prepared => {
+        const { skip, only } = prepared.testCase;
+        if (skip !== undefined && skip !== false) {
+            return Object.assign({}, prepared, { skipReason: typeof skip === 'string' ? skip : null });
+        }
+        if (onlySome && only !== true) {
+            return Object.assign({}, prepared, { skipReason: 'Other tests are marked "only"' });
+        }
+        return prepared;
+    });
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32), so a shuffled order can be replayed
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Return a copy of the list in an order determined by the seed (Fisher-Yates)
+ */
+function shuffleWithSeed(items, seed) {
+    const random = createSeededRandom(seed);
+    const shuffled = items.slice();
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+/**
+ * Error thrown at a checkpoint when the run is cancelled or times out.
+ * `reason` is 'cancelled' or 'timedOut'; `scope` is 'test' or 'suite'.
+ */
+function createInterruption(reason, scope, message) {
+    const error = new Error(message);
+    error.interrupted = reason;
+    error.scope = scope;
+    return error;
+}
+
+/**
+ * Build the checkpoint for one test: throws if the signal was aborted, the
+ * workbook was edited from outside the runner, or a deadline passed
+ */
+function createCheckpoint(run, testDeadline, testTimeoutMs) {
+    return () => {
+        if (run.options.signal && run.options.signal.aborted) {
+            throw createInterruption('cancelled', 'suite', 'Run cancelled');
+        }
+        if (run.watcher && run.watcher.edits.length > 0) {
+            const edited = run.watcher.edits.map(edit => Addresses.formatAddress(edit.worksheetName, edit.address)).join(', ');
+            throw createInterruption('externalEdit', 'suite', `The workbook was edited during the run (${edited}); results are not valid`);
+        }
+        if (run.suiteDeadline !== null && Date.now() > run.suiteDeadline) {
+            throw createInterruption('timedOut', 'suite', `Suite timed out after ${run.options.timeoutMs} ms`);
+        }
+        if (testDeadline !== null && Date.now() > testDeadline) {
+            throw createInterruption('timedOut', 'test', `Test timed out after ${testTimeoutMs} ms`);
+        }
+    };
+}
+
+/**
+ * Public function to run multiple tests with suite-level locking. The suite is
+ * a list of tests, a single test, or a suite object (see suite-format.js).
+ * Options:
+ *   caseFiles            - map of CSV file name -> text for tests using "casesFrom"
+ *   baselineFiles        - map of baseline file name -> text for "baseline" assertions
+ *   signal               - AbortSignal; the run stops at the next checkpoint once aborted
+ *   timeoutMs            - time limit for the whole suite
+ *   testTimeoutMs        - default time limit per test (a test's own "timeoutMs" wins)
+ *   calculationType      - 'full' (default) or 'recalculate' (only cells Excel marked dirty)
+ *   maxCalculationWaitMs - how long to wait for calculation to finish (default 30s)
+ *   manualCalculation    - switch the workbook to manual calculation for the run
+ *   isolateTests         - reset every cell from the suite snapshot before each test,
+ *                          so inputs of one test never leak into the next
+ *   shuffleSeed          - run the tests in an order shuffled with this seed
+ *   lockSheets           - protect the sheets the suite touches while it runs
+ *   backend              - the workbook to run against (default: the open workbook)
+ *   select               - { names, tags }: run only the tests with one of these names
+ *                          or tags (see isSelected)
+ *   coverage             - measure which formulas the tests exercise; the result's
+ *                          `coverage` is filled in (see coverage.js)
+ * Checkpoints sit between tests and between the stages of each test; a stage
+ * already sent to Excel finishes before the run stops (waiting for calculation
+ * to settle is checked while polling). Edits made by the user during the run
+ * stop it at the next checkpoint, and the cells they edited are not restored;
+ * they are returned as `conflicts` for restoreConflicts() instead.
+ * State is restored either way, and the result's `interrupted` is 'cancelled',
+ * 'timedOut', 'externalEdit' or null. The result also holds the workbook name,
+ * the start time and how long the suite and each test took (durationMs).
+ * Tests marked "skip", or left out by "only", are listed with `skipped: true`
+ * and their `skipReason`; they count towards `skippedCount`, not `totalCount`.
+ * The lint tests of a suite check the workbook as it was before the first test
+ * and are listed like any other test.
+ */
+async function runTestSuite(suite, options = {}) {
+    // Merge in suite defaults and the tests each test extends
+    const testCases = SuiteFormat.resolveSuite(suite).tests;
+
+    const run = {
+        options,
+        suiteDeadline: options.timeoutMs ? Date.now() + options.timeoutMs : null,
+        calculation: {
+            type: options.calculationType || 'full',
+            maxWaitMs: options.maxCalculationWaitMs || DEFAULT_CALCULATION_WAIT_MS
+        },
+        watcher: null,
+        lockedSheets: [],
+        formulas: {},
+        lint: new Map(),
+        coverage: null
+    };
+    const suiteCheckpoint = createCheckpoint(run, null, null);
+    
+    const backend = options.backend || officeWorkbook;
+    return backend.run(async (context) => {
+        const startedAt = new Date();
+        const workbookName = await loadWorkbookName(context);
+        
+        // Expand data-driven tests into one test per case row
+        const expandedTests = await Cases.expandParameterizedTests(context, testCases, options.caseFiles);
+        
+        // Leave out the tests not picked, and mark the ones skipped
+        const selectedTests = selectTests(expandedTests, options.select);
+        
+        // Resolve label-anchored references before any inputs are applied
+        let preparedTests = await resolveTestReferences(context, selectedTests);
+        
+        // A shuffled order flushes out tests that depend on the ones before them
+        const shuffled = options.shuffleSeed !== undefined && options.shuffleSeed !== null;
+        if (shuffled) {
+            preparedTests = shuffleWithSeed(preparedTests, options.shuffleSeed);
+        }
+        
+        // A stored snapshot means an earlier run never put the workbook back;
+        // running now would replace the only copy of the original values.
+        // Highlights of an earlier run's failures are removed instead.
+        const stored = await WorkbookStorage.loadRunSnapshot(context);
+        if (stored && stored.kind === 'highlight') {
+            if ((await restoreStoredSnapshot(context, stored)).length > 0) {
+                throw new Error('Could not remove the failure highlights of the previous run, so no tests were run');
+            }
+        } else if (stored) {
+            throw new Error('A previous test run did not finish restoring the workbook. Recover or discard it before running tests');
+        }
+        
+        // Snapshot current state and store it in the workbook before any inputs are
+        // applied. Without it the workbook could not be put back, so nothing runs.
+        let snapshot;
         try {
-            const cellAddressArray = Array.from(allCellAddresses);
-            snapshot = await snapshotWorksheetState(context, cellAddressArray);
+            snapshot = await snapshotSuite(context, preparedTests);
+            await WorkbookStorage.saveRunSnapshot(context, snapshot);
         } catch (error) {
-            console.error(`Warning: Failed to create suite-level snapshot:`, error);
+            throw new Error(`Could not snapshot the workbook, so no tests were run: ${error.message}`);
         }
         
         const allResults = [];
+        const ranTests = [];
         let passedCount = 0;
+        let skippedCount = 0;
+        let interruption = null;
+        let originalCalculationMode = null;
+        let suiteResult = null;
         
         try {
+            // Formula-structure assertions check the model before any inputs are written
+            run.formulas = await readSuiteFormulas(context, preparedTests);
+            run.lint = await lintSuite(context, preparedTests);
+            // The reference graph for coverage is read from the formulas as they are, too
+            if (options.coverage) {
+                run.coverage = await Coverage.prepareCoverage(context, preparedTests);
+            }
+            
+            // Watch for edits from outside the runner, and optionally prevent them
+            const ownCells = {};
+            for (const address of Object.keys(snapshot)) {
+                const parsed = Addresses.parseCellAddress(address);
+                ownCells[parsed.worksheetName] = (ownCells[parsed.worksheetName] || []).concat(parsed.cellAddress);
+            }
+            try {
+                run.watcher = await EditLock.watchExternalEdits(context, ownCells);
+            } catch (error) {
+                console.error("Warning: Cannot detect edits during the run:", error);
+            }
+            if (options.lockSheets) {
+                run.lockedSheets = await EditLock.lockWorksheets(context, Object.keys(ownCells));
+            }
+            
+            // In manual mode Excel only calculates when the runner asks it to,
+            // instead of after every input written
+            if (options.manualCalculation) {
+                const application = context.workbook.application;
+                application.load("calculationMode");
+                await context.sync();
+                originalCalculationMode = application.calculationMode;
+                application.calculationMode = 'Manual';
+                await context.sync();
+            }
+            
             // Run tests sequentially
-            for (let i = 0; i < testCases.length; i++) {
+            for (let i = 0; i < preparedTests.length; i++) {
+                const testCase = preparedTests[i].testCase;
+                const testName = testCase.name || `Test ${i + 1}`;
+                
+                if (preparedTests[i].skipReason !== undefined) {
+                    allResults.push({
+                        testName,
+                        passed: false,
+                        skipped: true,
+                        skipReason: preparedTests[i].skipReason,
+                        assertionResults: [],
+                        error: null,
+                        case: testCase.case || null,
+                        interrupted: null,
+                        inputCells: [],
+                        durationMs: 0
+                    });
+                    skippedCount++;
+                    continue;
+                }
+                
                 try {
-                    const result = await runTestWithoutProtection(testCases[i], context);
+                    suiteCheckpoint();
+                } catch (error) {
+                    interruption = error;
+                }
+                if (interruption) {
+                    // Tests after a cancel or suite timeout are listed as not run
+                    allResults.push({
+                        testName,
+                        passed: false,
+                        assertionResults: [],
+                        error: `Not run: ${interruption.message}`,
+                        case: testCase.case || null,
+                        interrupted: interruption.interrupted,
+                        notRun: true,
+                        durationMs: 0
+                    });
+                    continue;
+                }
+                
+                const testStarted = Date.now();
+                try {
+                    if (preparedTests[i].error) {
+                        throw new Error(preparedTests[i].error);
+                    }
+                    if (options.isolateTests && i > 0 && !testCase.lint) {
+                        // Start from the original workbook state, not the previous test's inputs
+                        await EditLock.withSheetsUnlocked(context, run.lockedSheets, () => restoreState(context, snapshot, run.watcher ? run.watcher.edits : []));
+                    }
+                    const testTimeoutMs = testCase.timeoutMs || options.testTimeoutMs || null;
+                    const testDeadline = testTimeoutMs ? Date.now() + testTimeoutMs : null;
+                    const checkpoint = createCheckpoint(run, testDeadline, testTimeoutMs);
+                    
+                    const result = testCase.lint
+                        ? lintTestResult(testCase, run)
+                        : await runTestWithoutProtection(testCase, context, run, checkpoint);
+                    result.durationMs = Date.now() - testStarted;
                     allResults.push(result);
+                    ranTests.push({ testCase, testName: result.testName });
                     if (result.passed) {
                         passedCount++;
                     }
                 } catch (error) {
-                    const testName = testCases[i].name || `Test ${i + 1}`;
-                    console.error(`Error running test ${testName}:`, error);
+                    // Time limits, cancellation and references that did not resolve are
+                    // reported in the result; only unexpected errors are worth a stack trace
+                    if (!error.interrupted && !preparedTests[i].error) {
+                        console.error(`Error running test ${testName}:`, error);
+                    }
+                    if (error.scope === 'suite') {
+                        interruption = error;
+                    }
                     // If a test fails, add error result but continue with other tests
                     allResults.push({
                         testName,
                         passed: false,
                         assertionResults: [],
-                        error: error.message
+                        error: error.message,
+                        case: testCase.case || null,
+                        interrupted: error.interrupted || null,
+                        inputCells: Object.keys(testCase.inputs || {}),
+                        durationMs: Date.now() - testStarted
                     });
                 }
             }
             
-            return {
+            // Conflicts and late edits are filled in below, once state is restored
+            suiteResult = {
                 results: allResults,
                 passedCount: passedCount,
-                totalCount: testCases.length
+                totalCount: preparedTests.length - skippedCount,
+                skippedCount: skippedCount,
+                interrupted: interruption ? interruption.interrupted : null,
+                shuffleSeed: shuffled ? options.shuffleSeed : null,
+                workbookName: workbookName,
+                startedAt: startedAt.toISOString(),
+                durationMs: Date.now() - startedAt.getTime(),
+                externalEdits: [],
+                conflicts: [],
+                restore: null,
+                coverage: run.coverage ? Coverage.measureCoverage(run.coverage, ranTests) : null
             };
+            return suiteResult;
             
         } finally {
-            // Restore state at the end of the suite
-            if (snapshot) {
+            // Restore state at the end of the suite, even if it was cancelled or timed out.
+            // Cells the user edited meanwhile are left alone and reported as conflicts.
+            // The stored snapshot is only removed once every other cell is verified.
+            const edits = run.watcher ? run.watcher.edits : [];
+            let conflicts = [];
+            const restore = { verified: false, mismatches: [], error: null };
+            try {
+                conflicts = await EditLock.withSheetsUnlocked(context, run.lockedSheets, () => restoreState(context, snapshot, edits));
+                restore.mismatches = await verifyRestore(context, snapshot, edits);
+                restore.verified = restore.mismatches.length === 0;
+                if (restore.verified) {
+                    await WorkbookStorage.clearRunSnapshot(context);
+                }
+            } catch (restoreError) {
+                console.error("Failed to restore state:", restoreError);
+                restore.error = restoreError.message;
+            }
+            try {
+                if (run.lockedSheets.length > 0) {
+                    await EditLock.unlockWorksheets(context, run.lockedSheets);
+                }
+                if (run.watcher) {
+                    await EditLock.stopWatchingEdits(context, run.watcher);
+                }
+            } catch (unlockError) {
+                console.error("Failed to remove sheet protection:", unlockError);
+            }
+            if (suiteResult) {
+                suiteResult.externalEdits = edits;
+                suiteResult.conflicts = conflicts;
+                suiteResult.restore = restore;
+            }
+            if (originalCalculationMode) {
                 try {
-                    await restoreState(context, snapshot);
-                    console.log("State restored successfully");
-                } catch (restoreError) {
-                    console.error("Failed to restore state:", restoreError);
+                    context.workbook.application.calculationMode = originalCalculationMode;
+                    await context.sync();
+                } catch (modeError) {
+                    console.error("Failed to restore calculation mode:", modeError);
                 }
             }
         }
     });
 }
+
 /**
- * Private function to run a single test without protection (for use within test suites)
+ * The file name of the workbook, or null if the host cannot report it
  */
-async function runTestWithoutProtection(testCase, context) {
+async function loadWorkbookName(context) {
+    try {
+        context.workbook.load("name");
+        await context.sync();
+        return context.workbook.name || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Private function to run a single test without protection (for use within test suites).
+ * `checkpoint()` throws if the run was cancelled or timed out; it is called between stages.
+ */
+async function runTestWithoutProtection(testCase, context, run, checkpoint) {
+    // The suite's beforeEach inputs are written and calculated before the test's own
+    if (testCase.beforeEach && Object.keys(testCase.beforeEach).length > 0) {
+        await EditLock.withSheetsUnlocked(context, run.lockedSheets, () => applyInputs(context, testCase.beforeEach));
+        checkpoint();
+        await forceRecalculate(context, run.calculation, checkpoint);
+        checkpoint();
+    }
+    
     // Apply inputs
     if (testCase.inputs && Object.keys(testCase.inputs).length > 0) {
-        await applyInputs(context, testCase.inputs);
+        await EditLock.withSheetsUnlocked(context, run.lockedSheets, () => applyInputs(context, testCase.inputs));
     }
+    checkpoint();
     
-    // Force recalculation
-    await forceRecalculate(context);
+    // Force recalculation and wait for it to finish
+    const calculationResult = await forceRecalculate(context, run.calculation, checkpoint);
+    checkpoint();
     
-    // Read outputs
-    const assertionCells = testCase.assertions.map(a => a.cell);
-    const outputs = await readOutputs(context, assertionCells);
+    // Read outputs; formula-structure assertions use the formulas read before the run
+    const assertionCells = testCase.assertions.filter(a => !FormulaStructure.isStructureAssertion(a)).map(a => a.cell);
+    const outputs = assertionCells.length > 0 ? await readOutputs(context, assertionCells) : {};
     
-    // Evaluate assertions
-    const results = [];
-    for (let i = 0; i < testCase.assertions.length; i++) {
-        const assertion = testCase.assertions[i];
-        const actualValue = outputs[assertion.cell];
-        
-        // Convert expected value to match actual value type
-        let expectedValue = assertion.equals; // Test data uses 'equals' field
-        if (typeof actualValue === 'number' && typeof expectedValue === 'string') {
-            expectedValue = parseFloat(expectedValue);
-        } else if (typeof actualValue === 'boolean') {
-            expectedValue = expectedValue.toLowerCase() === 'true';
-        }
-        
-        const passed = actualValue === expectedValue;
-        
-        // Calculate difference for numeric values
-        let difference = null;
-        let tolerance = null;
-        if (typeof actualValue === 'number' && typeof expectedValue === 'number') {
-            difference = actualValue - expectedValue;
-            tolerance = assertion.tolerance || 0;
-        }
-        
-        results.push({
-            cell: assertion.cell,
-            expected: expectedValue,
-            actual: actualValue,
-            passed: passed,
-            message: assertion.message || `Cell ${assertion.cell} should be ${expectedValue}`,
-            difference: difference,
-            tolerance: tolerance
-        });
+    // The suite's afterEach inputs are written once the outputs are read
+    if (testCase.afterEach && Object.keys(testCase.afterEach).length > 0) {
+        await EditLock.withSheetsUnlocked(context, run.lockedSheets, () => applyInputs(context, testCase.afterEach));
     }
     
+    // Evaluate assertions
+    const evaluation = evaluateAssertions(outputs, testCase.assertions, run.options.baselineFiles, run.formulas);
+    
     return {
-        name: testCase.name || 'Unnamed Test',
-        passed: results.every(r => r.passed),
-        assertionResults: results,
-        error: null
+        testName: testCase.name || 'Unnamed Test',
+        passed: evaluation.allPassed,
+        assertionResults: evaluation.results,
+        error: null,
+        case: testCase.case || null,
+        interrupted: null,
+        inputCells: Object.keys(testCase.inputs || {}),
+        calculation: calculationResult
+    };
+}
+
+/**
+ * The result of a lint test, from the findings of lintSuite()
+ */
+function lintTestResult(testCase, run) {
+    const assertionResults = run.lint.get(testCase);
+    return {
+        testName: testCase.name,
+        passed: assertionResults.every(result => result.passed),
+        assertionResults: assertionResults,
+        error: null,
+        case: null,
+        interrupted: null,
+        inputCells: []
     };
 }
 
 // Export functions globally for Office.js add-in
-window.ExcelTestRunner = {
-    runTestSuite: runTestSuite,
-    parseCellAddress: parseCellAddress
-};
+if (typeof window !== 'undefined') {
+    window.ExcelTestRunner = {
+        runTestSuite: runTestSuite,
+        restoreConflicts: restoreConflicts,
+        findInterruptedRun: findInterruptedRun,
+        recoverInterruptedRun: recoverInterruptedRun,
+        discardInterruptedRun: discardInterruptedRun,
+        highlightFailures: highlightFailures,
+        highlightRun: highlightRun,
+        clearHighlights: clearHighlights,
+        findHighlights: findHighlights,
+        goToCell: goToCell,
+        getInputEntries: getInputEntries,
+        parseCellAddress: Addresses.parseCellAddress
+    };
+}
 
-// Also support Node.js/CommonJS for reference
+// Also support Node.js/CommonJS, e.g. with a memory-workbook.js backend
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
-        parseCellAddress: parseCellAddress
+        runTestSuite: runTestSuite,
+        restoreConflicts: restoreConflicts,
+        findInterruptedRun: findInterruptedRun,
+        recoverInterruptedRun: recoverInterruptedRun,
+        discardInterruptedRun: discardInterruptedRun,
+        highlightFailures: highlightFailures,
+        highlightRun: highlightRun,
+        clearHighlights: clearHighlights,
+        findHighlights: findHighlights,
+        goToCell: goToCell,
+        getInputEntries: getInputEntries,
+        parseCellAddress: Addresses.parseCellAddress
     };
 }
\ No newline at end of file
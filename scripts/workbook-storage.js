@@ -0,0 +1,321 @@
+/**
+ * Excel Unit Test Runner
+ * Stores named test suites inside the workbook as custom XML parts, so the
+ * tests travel with the model, and the snapshot of a run in progress, so it
+ * can be recovered if the task pane closes mid-run
+ */
+
+// Namespaces identifying our custom XML parts
+const SUITE_NAMESPACE = 'https://github.com/jacklightbody/xcel-test/suite';
+const RUN_SNAPSHOT_NAMESPACE = 'https://github.com/jacklightbody/xcel-test/run-snapshot';
+const RUN_HISTORY_NAMESPACE = 'https://github.com/jacklightbody/xcel-test/run-history';
+
+// Runs kept in the history of each suite; older runs are dropped
+const RUN_HISTORY_LIMIT = 50;
+
+/**
+ * Short content hash (FNV-1a) used to detect edits made elsewhere
+ */
+function hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function unescapeXml(text) {
+    return text
+        .replace(/&quot;/g, '"')
+        .replace(/&gt;/g, '>')
+        .replace(/&lt;/g, '<')
+        .replace(/&#x([0-9a-fA-F]+);/g, (match, code) => String.fromCharCode(parseInt(code, 16)))
+        .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Serialize a suite and its metadata to the XML stored in the workbook
+ */
+function suiteToXml(suite) {
+    return '<?xml version="1.0" encoding="UTF-8"?>'
+        + `<testSuite xmlns="${SUITE_NAMESPACE}" name="${escapeXml(suite.name)}" revision="${suite.revision}"`
+        + ` modified="${escapeXml(suite.modified)}" hash="${suite.hash}">${escapeXml(suite.text)}</testSuite>`;
+}
+
+/**
+ * Parse the XML of a stored suite back into { name, revision, modified, hash, text }
+ */
+function xmlToSuite(xml) {
+    // Excel may re-serialize the part with a namespace prefix
+    const match = /<(?:\w+:)?testSuite\b([^>]*)>([\s\S]*)<\/(?:\w+:)?testSuite>/.exec(xml);
+    if (!match) {
+        return null;
+    }
+    const attributes = {};
+    for (const attribute of match[1].matchAll(/(\w+)="([^"]*)"/g)) {
+        attributes[attribute[1]] = unescapeXml(attribute[2]);
+    }
+    return {
+        name: attributes.name || 'Unnamed suite',
+        revision: parseInt(attributes.revision, 10) || 0,
+        modified: attributes.modified || null,
+        hash: attributes.hash || null,
+        text: unescapeXml(match[2])
+    };
+}
+
+/**
+ * Load every stored suite part. Returns [{ part, suite }].
+ */
+async function loadSuiteParts(context) {
+    const parts = context.workbook.customXmlParts.getByNamespace(SUITE_NAMESPACE);
+    parts.load("items/id");
+    await context.sync();
+
+    const xmlResults = parts.items.map(part => ({ part, xml: part.getXml() }));
+    await context.sync();
+
+    return xmlResults
+        .map(({ part, xml }) => ({ part, suite: xmlToSuite(xml.value) }))
+        .filter(entry => entry.suite !== null);
+}
+
+/**
+ * List the suites stored in the workbook (without their text), most recently saved first
+ */
+async function listWorkbookSuites() {
+    return Excel.run(async (context) => {
+        const entries = await loadSuiteParts(context);
+        return entries
+            .map(({ suite }) => ({ name: suite.name, revision: suite.revision, modified: suite.modified, hash: suite.hash }))
+            .sort((a, b) => String(b.modified).localeCompare(String(a.modified)));
+    });
+}
+
+/**
+ * Load a stored suite by name. Returns { name, revision, modified, hash, text } or null.
+ */
+async function loadWorkbookSuite(name) {
+    return Excel.run(async (context) => {
+        const entry = (await loadSuiteParts(context)).find(({ suite }) => suite.name === name);
+        return entry ? entry.suite : null;
+    });
+}
+
+/**
+ * Save a suite into the workbook. `loadedVersion` is the { revision, hash } the
+ * text was based on (null for a new suite). If the stored suite has changed since
+ * then - e.g. it was edited and saved on another machine - a conflict error is
+ * thrown (error.code === 'conflict', error.current holds the stored suite) unless
+ * `force` is set.
+ */
+async function saveWorkbookSuite(name, text, loadedVersion, force) {
+    return Excel.run(async (context) => {
+        const entry = (await loadSuiteParts(context)).find(({ suite }) => suite.name === name);
+
+        if (entry && !force) {
+            const current = entry.suite;
+            const unchanged = loadedVersion
+                && current.revision === loadedVersion.revision
+                && current.hash === loadedVersion.hash
+                && current.hash === hashText(current.text);
+            if (!unchanged) {
+                const error = new Error(loadedVersion
+                    ? `Suite "${name}" was changed in the workbook (revision ${current.revision}, saved ${current.modified}) after you loaded it`
+                    : `A suite named "${name}" already exists in the workbook`);
+                error.code = 'conflict';
+                error.current = current;
+                throw error;
+            }
+        }
+
+        const suite = {
+            name: name,
+            revision: entry ? entry.suite.revision + 1 : 1,
+            modified: new Date().toISOString(),
+            hash: hashText(text),
+            text: text
+        };
+
+        if (entry) {
+            entry.part.setXml(suiteToXml(suite));
+        } else {
+            context.workbook.customXmlParts.add(suiteToXml(suite));
+        }
+        await context.sync();
+
+        return { name: suite.name, revision: suite.revision, modified: suite.modified, hash: suite.hash };
+    });
+}
+
+/**
+ * Remove a stored suite from the workbook
+ */
+async function deleteWorkbookSuite(name) {
+    return Excel.run(async (context) => {
+        const entries = (await loadSuiteParts(context)).filter(({ suite }) => suite.name === name);
+        for (const { part } of entries) {
+            part.delete();
+        }
+        await context.sync();
+        return entries.length > 0;
+    });
+}
+
+/**
+ * Persist the snapshot of a run before any inputs are applied, replacing any
+ * earlier one. Runs inside the runner's context. `kind` is 'run', or
+ * 'highlight' for the cell fills replaced by failure highlighting; `started`
+ * defaults to now.
+ */
+async function saveRunSnapshot(context, snapshot, kind = 'run', started = new Date().toISOString()) {
+    await clearRunSnapshot(context);
+    context.workbook.customXmlParts.add('<?xml version="1.0" encoding="UTF-8"?>'
+        + `<runSnapshot xmlns="${RUN_SNAPSHOT_NAMESPACE}" started="${started}" kind="${kind}">`
+        + `${escapeXml(JSON.stringify(snapshot))}</runSnapshot>`);
+    await context.sync();
+}
+
+/**
+ * Load the persisted snapshot of a run that did not finish restoring, or of
+ * failure highlights not yet cleared. Returns { started, kind, snapshot } or null.
+ */
+async function loadRunSnapshot(context) {
+    const parts = context.workbook.customXmlParts.getByNamespace(RUN_SNAPSHOT_NAMESPACE);
+    parts.load("items/id");
+    await context.sync();
+    if (parts.items.length === 0) {
+        return null;
+    }
+
+    const xml = parts.items[0].getXml();
+    await context.sync();
+    const match = /<(?:\w+:)?runSnapshot\b[^>]*?started="([^"]*)"[^>]*>([\s\S]*)<\/(?:\w+:)?runSnapshot>/.exec(xml.value);
+    if (!match) {
+        return null;
+    }
+    // Snapshots stored before highlighting existed have no kind
+    const kind = /^<(?:\w+:)?runSnapshot\b[^>]*?kind="([^"]*)"/.exec(match[0]);
+    return { started: match[1], kind: kind ? kind[1] : 'run', snapshot: JSON.parse(unescapeXml(match[2])) };
+}
+
+/**
+ * Remove the persisted run snapshot once the workbook has been restored
+ */
+async function clearRunSnapshot(context) {
+    const parts = context.workbook.customXmlParts.getByNamespace(RUN_SNAPSHOT_NAMESPACE);
+    parts.load("items/id");
+    await context.sync();
+    for (const part of parts.items) {
+        part.delete();
+    }
+    await context.sync();
+}
+
+/**
+ * Load the history part of a suite. Returns { part, runs } or null.
+ */
+async function loadHistoryPart(context, suiteName) {
+    const parts = context.workbook.customXmlParts.getByNamespace(RUN_HISTORY_NAMESPACE);
+    parts.load("items/id");
+    await context.sync();
+
+    const xmlResults = parts.items.map(part => ({ part, xml: part.getXml() }));
+    await context.sync();
+
+    for (const { part, xml } of xmlResults) {
+        const match = /<(?:\w+:)?runHistory\b[^>]*?suite="([^"]*)"[^>]*>([\s\S]*)<\/(?:\w+:)?runHistory>/.exec(xml.value);
+        if (match && unescapeXml(match[1]) === suiteName) {
+            return { part, runs: JSON.parse(unescapeXml(match[2])) };
+        }
+    }
+    return null;
+}
+
+/**
+ * The stored runs of a suite, oldest first
+ */
+async function loadRunHistory(suiteName) {
+    return Excel.run(async (context) => {
+        const entry = await loadHistoryPart(context, suiteName);
+        return entry ? entry.runs : [];
+    });
+}
+
+/**
+ * Add a run to the history of a suite, keeping the latest RUN_HISTORY_LIMIT runs.
+ * Returns the stored runs, oldest first.
+ */
+async function appendRunHistory(suiteName, run) {
+    return Excel.run(async (context) => {
+        const entry = await loadHistoryPart(context, suiteName);
+        const runs = (entry ? entry.runs : []).concat([run]).slice(-RUN_HISTORY_LIMIT);
+        const xml = '<?xml version="1.0" encoding="UTF-8"?>'
+            + `<runHistory xmlns="${RUN_HISTORY_NAMESPACE}" suite="${escapeXml(suiteName)}">${escapeXml(JSON.stringify(runs))}</runHistory>`;
+        if (entry) {
+            entry.part.setXml(xml);
+        } else {
+            context.workbook.customXmlParts.add(xml);
+        }
+        await context.sync();
+        return runs;
+    });
+}
+
+/**
+ * Forget the run history of a suite
+ */
+async function clearRunHistory(suiteName) {
+    return Excel.run(async (context) => {
+        const entry = await loadHistoryPart(context, suiteName);
+        if (entry) {
+            entry.part.delete();
+            await context.sync();
+        }
+    });
+}
+
+// Export functions globally for Office.js add-in
+if (typeof window !== 'undefined') {
+    window.ExcelTestWorkbookStorage = {
+        listWorkbookSuites: listWorkbookSuites,
+        loadWorkbookSuite: loadWorkbookSuite,
+        saveWorkbookSuite: saveWorkbookSuite,
+        deleteWorkbookSuite: deleteWorkbookSuite,
+        saveRunSnapshot: saveRunSnapshot,
+        loadRunSnapshot: loadRunSnapshot,
+        clearRunSnapshot: clearRunSnapshot,
+        loadRunHistory: loadRunHistory,
+        appendRunHistory: appendRunHistory,
+        clearRunHistory: clearRunHistory
+    };
+}
+
+// Also support Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        listWorkbookSuites: listWorkbookSuites,
+        loadWorkbookSuite: loadWorkbookSuite,
+        saveWorkbookSuite: saveWorkbookSuite,
+        deleteWorkbookSuite: deleteWorkbookSuite,
+        saveRunSnapshot: saveRunSnapshot,
+        loadRunSnapshot: loadRunSnapshot,
+        clearRunSnapshot: clearRunSnapshot,
+        loadRunHistory: loadRunHistory,
+        appendRunHistory: appendRunHistory,
+        clearRunHistory: clearRunHistory,
+        suiteToXml: suiteToXml,
+        xmlToSuite: xmlToSuite,
+        hashText: hashText
+    };
+}
@@ -2,10 +2,21 @@
 
 let currentTest = null;
 let currentTests = null; // Array of tests if multiple tests are loaded
-let currentInputMethod = 'file'; // 'paste' or 'file'
+let currentInputMethod = 'file'; // 'paste', 'file', 'workbook' or 'record'
 let loadedFileName = null;
+let loadedWorkbookSuite = null; // { name, revision, hash } of the suite loaded from the workbook
+let caseFiles = {}; // CSV case tables loaded alongside the suite, keyed by file name
+let baselineFiles = {}; // Baseline files loaded alongside the suite, keyed by file name
 let enableLocking = false; // Locking toggle - OFF by default
+let pendingConflicts = []; // Cells edited during the last run, not yet restored
 let isTestRunning = false; // Track if tests are currently running
+let currentValidation = null; // Validation result for the current suite text
+let validationTimer = null;
+let recordDraft = { inputs: [], outputs: [] }; // Cells captured in Record mode
+let guard = null; // Guard mode watcher, while enabled
+let lastRunResults = null; // Results of the previous run, to spot regressions
+let runController = null; // AbortController of the run in progress
+let runHistory = []; // Stored runs of the current suite, oldest first
 
 Office.onReady((info) => {
     if (info.host === Office.HostType.Excel) {
@@ -13,10 +24,12 @@ Office.onReady((info) => {
         if (document.readyState === 'loading') {
             document.addEventListener("DOMContentLoaded", () => {
                 initializeUI();
+                startWithWorkbook();
             });
         } else {
             // DOM is already ready
             initializeUI();
+            startWithWorkbook();
         }
     }
 });
@@ -24,22 +37,14 @@ Office.onReady((info) => {
 function switchInputMethod(method) {
     currentInputMethod = method;
     
-    const pasteTab = document.getElementById('paste-tab');
-    const fileTab = document.getElementById('file-tab');
-    const pasteSection = document.getElementById('paste-input-section');
-    const fileSection = document.getElementById('file-input-section');
-    
     // Update tab active states
-    if (method === 'paste') {
-        pasteTab.classList.add('active');
-        fileTab.classList.remove('active');
-        pasteSection.style.display = 'block';
-        fileSection.style.display = 'none';
-    } else {
-        fileTab.classList.add('active');
-        pasteTab.classList.remove('active');
-        fileSection.style.display = 'block';
-        pasteSection.style.display = 'none';
+    for (const name of ['paste', 'file', 'workbook', 'record']) {
+        const tab = document.getElementById(`${name}-tab`);
+        const section = document.getElementById(`${name}-input-section`);
+        if (tab && section) {
+            tab.classList.toggle('active', name === method);
+            section.style.display = name === method ? 'block' : 'none';
+        }
     }
 }
 
@@ -52,6 +57,18 @@ function initializeUI() {
     switchInputMethod(currentInputMethod);
 }
 
+// Read the workbook once Office.js is ready; initializeUI also runs before that
+function startWithWorkbook() {
+    // Open the most recently saved suite if the workbook carries its own tests
+    openLatestWorkbookSuite();
+    
+    // Offer to put the workbook back if a previous run never finished restoring it
+    checkInterruptedRun();
+    
+    // Failure highlights left from an earlier session can still be cleared
+    checkHighlights();
+}
+
 // Ensure UI is initialized when DOM is ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', initializeUI);
@@ -66,6 +83,9 @@ let handlersSetup = false;
 let currentResults = [];
 let currentPassedCount = 0;
 let currentTotalCount = 0;
+let currentInterrupted = null; // 'cancelled' or 'timedOut' when the run stopped early
+let currentShuffleSeed = null; // Seed the test order was shuffled with, if any
+let currentSuiteResult = null; // Full result of the last run, for export
 
 function setupEventHandlers() {
     // Prevent duplicate setup
@@ -77,6 +97,8 @@ function setupEventHandlers() {
     const runTestButton = document.getElementById('run-test-button');
     const pasteTab = document.getElementById('paste-tab');
     const fileTab = document.getElementById('file-tab');
+    const workbookTab = document.getElementById('workbook-tab');
+    const recordTab = document.getElementById('record-tab');
     const fileSelectButton = document.getElementById('file-select-button');
     const testFileInput = document.getElementById('test-file-input');
     const hidePassedTestsCheckbox = document.getElementById('hide-passed-tests');
@@ -88,6 +110,40 @@ function setupEventHandlers() {
         pasteTab.addEventListener('click', () => switchInputMethod('paste'));
         fileTab.addEventListener('click', () => switchInputMethod('file'));
     }
+    if (workbookTab) {
+        workbookTab.addEventListener('click', () => {
+            switchInputMethod('workbook');
+            refreshWorkbookSuites();
+        });
+    }
+    
+    if (recordTab) {
+        recordTab.addEventListener('click', () => switchInputMethod('record'));
+    }
+    
+    // Suites stored in the workbook
+    const workbookButtons = {
+        'workbook-load-button': () => loadSuiteFromWorkbook(document.getElementById('workbook-suite-select').value),
+        'workbook-delete-button': deleteSuiteFromWorkbook,
+        'workbook-save-button': () => saveSuiteToWorkbook(false),
+        'workbook-overwrite-button': () => saveSuiteToWorkbook(true),
+        'workbook-reload-button': () => loadSuiteFromWorkbook(document.getElementById('workbook-suite-name').value.trim()),
+        'record-input-button': () => recordSelection('input'),
+        'record-output-button': () => recordSelection('output'),
+        'record-baseline-button': () => recordSelection('baseline'),
+        'record-add-button': addRecordedTestToSuite,
+        'record-clear-button': clearRecordDraft,
+        'export-download-button': downloadReport,
+        'export-copy-button': copyReport,
+        'clear-highlights-button': () => clearFailureHighlights(),
+        'history-clear-button': handleClearRunHistory
+    };
+    for (const [id, handler] of Object.entries(workbookButtons)) {
+        const button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', handler);
+        }
+    }
     
     // File selection
     if (fileSelectButton && testFileInput) {
@@ -100,8 +156,111 @@ function setupEventHandlers() {
         hidePassedTestsCheckbox.addEventListener('change', filterAndDisplayResults);
     }
     
+    // Clicking a cell in the results selects it in the workbook
+    const resultsContent = document.getElementById('results-content');
+    if (resultsContent) {
+        resultsContent.addEventListener('click', (event) => {
+            const link = event.target.closest('.cell-link');
+            if (link) {
+                event.preventDefault();
+                goToResultCell(decodeURIComponent(link.dataset.cell));
+            }
+            const approveButton = event.target.closest('.baseline-approve');
+            if (approveButton) {
+                approveBaseline(Number(approveButton.dataset.result), Number(approveButton.dataset.assertion));
+            }
+        });
+    }
+    
+    // Either run picker changes the comparison shown
+    for (const id of ['history-earlier', 'history-later']) {
+        const select = document.getElementById(id);
+        if (select) {
+            select.addEventListener('change', renderHistoryDiff);
+        }
+    }
+    
+    // Failure highlights and coverage shading are each removed when their option is switched off
+    const highlightOptions = { 'highlight-failures': 'failures', 'shade-uncovered': 'uncovered' };
+    for (const [id, kind] of Object.entries(highlightOptions)) {
+        const checkbox = document.getElementById(id);
+        if (checkbox) {
+            checkbox.addEventListener('change', () => {
+                if (!checkbox.checked) {
+                    clearFailureHighlights(kind);
+                }
+            });
+        }
+    }
+    
+    // Clicking an uncovered formula selects it in the workbook
+    const coverageContent = document.getElementById('coverage-content');
+    if (coverageContent) {
+        coverageContent.addEventListener('click', (event) => {
+            const link = event.target.closest('.cell-link');
+            if (link) {
+                event.preventDefault();
+                goToResultCell(decodeURIComponent(link.dataset.cell));
+            }
+        });
+    }
+    
 
     
+    // Locking protects the sheets under test while a run is in progress
+    const lockSheetsCheckbox = document.getElementById('lock-sheets');
+    if (lockSheetsCheckbox) {
+        lockSheetsCheckbox.addEventListener('change', () => {
+            enableLocking = lockSheetsCheckbox.checked;
+        });
+    }
+    
+    // Cells edited during a run are only overwritten if the user asks
+    const restoreConflictsButton = document.getElementById('restore-conflicts-button');
+    if (restoreConflictsButton) {
+        restoreConflictsButton.addEventListener('click', async () => {
+            try {
+                await window.ExcelTestRunner.restoreConflicts(pendingConflicts);
+                showEditConflicts([]);
+            } catch (error) {
+                showError(`Failed to restore original values: ${error.message}`);
+            }
+        });
+    }
+    const keepEditsButton = document.getElementById('keep-edits-button');
+    if (keepEditsButton) {
+        keepEditsButton.addEventListener('click', () => showEditConflicts([]));
+    }
+    
+    // Recovery of runs that did not finish restoring the workbook
+    const recoverRunButton = document.getElementById('recover-run-button');
+    if (recoverRunButton) {
+        recoverRunButton.addEventListener('click', handleRecoverRun);
+    }
+    const discardRunButton = document.getElementById('discard-run-button');
+    if (discardRunButton) {
+        discardRunButton.addEventListener('click', async () => {
+            try {
+                await window.ExcelTestRunner.discardInterruptedRun();
+                showRecovery(null);
+            } catch (error) {
+                showError(`Failed to discard the stored snapshot: ${error.message}`);
+            }
+        });
+    }
+    
+    // Guard mode
+    const guardModeCheckbox = document.getElementById('guard-mode');
+    if (guardModeCheckbox) {
+        guardModeCheckbox.addEventListener('change', toggleGuardMode);
+    }
+    const guardDismissButton = document.getElementById('guard-notification-dismiss');
+    if (guardDismissButton) {
+        guardDismissButton.addEventListener('click', () => {
+            document.getElementById('guard-notification').style.display = 'none';
+        });
+    }
+    
     // Display options toggle
     const displayOptionsToggle = document.getElementById('display-options-toggle');
     if (displayOptionsToggle) {
@@ -115,6 +274,23 @@ function setupEventHandlers() {
         });
     }
     
+    // Cancel stops the run at the next checkpoint; state is still restored
+    const cancelTestButton = document.getElementById('cancel-test-button');
+    if (cancelTestButton) {
+        cancelTestButton.addEventListener('click', () => {
+            if (runController) {
+                runController.abort();
+                cancelTestButton.disabled = true;
+                cancelTestButton.querySelector('.ms-Button-label').textContent = 'Cancelling...';
+            }
+        });
+    }
+    
+    // Validate the suite as the user types
+    if (testJsonInput) {
+        testJsonInput.addEventListener('input', scheduleValidation);
+    }
+    
     // Also allow Enter+Ctrl/Cmd to load and run test (only for paste method)
     if (testJsonInput) {
         testJsonInput.addEventListener('keydown', async function(e) {
@@ -153,15 +329,40 @@ function toggleDisplayOptions() {
 }
 
 function handleFileSelect(event) {
-    const file = event.target.files[0];
-    if (!file) {
+    const files = Array.from(event.target.files);
+    if (files.length === 0) {
+        return;
+    }
+    
+    const isBaselineFile = window.ExcelTestBaselines.isBaselineFile;
+    const baselineFileList = files.filter(f => isBaselineFile(f.name));
+    const jsonFiles = files.filter(f => f.name.toLowerCase().endsWith('.json') && !isBaselineFile(f.name));
+    const csvFiles = files.filter(f => f.name.toLowerCase().endsWith('.csv'));
+    if (jsonFiles.length > 1 || jsonFiles.length + csvFiles.length + baselineFileList.length !== files.length) {
+        showError('Please select one JSON test file, plus any CSV case files and .baseline.json files it uses');
         return;
     }
     
-    if (!file.name.toLowerCase().endsWith('.json')) {
-        showError('Please select a JSON file');
+    // CSV files hold case tables for tests that use "casesFrom"; baseline files
+    // hold the approved values of "baseline" assertions
+    const sideFiles = csvFiles.map(f => ({ file: f, store: caseFiles, kind: 'case file' }))
+        .concat(baselineFileList.map(f => ({ file: f, store: baselineFiles, kind: 'baseline file' })));
+    for (const { file: sideFile, store, kind } of sideFiles) {
+        const sideReader = new FileReader();
+        sideReader.onload = function(e) {
+            store[sideFile.name] = e.target.result;
+            updateFileNameDisplay();
+        };
+        sideReader.onerror = function() {
+            showError(`Failed to read ${kind} ${sideFile.name}`);
+        };
+        sideReader.readAsText(sideFile);
+    }
+    
+    if (jsonFiles.length === 0) {
         return;
     }
+    const file = jsonFiles[0];
     
     const reader = new FileReader();
     reader.onload = function(e) {
@@ -174,12 +375,14 @@ function handleFileSelect(event) {
             testJsonInput.value = jsonText;
             
             // Update filename display
-            fileNameDisplay.textContent = file.name;
             loadedFileName = file.name;
+            updateFileNameDisplay();
             
             // Clear any previous results/errors
             clearResults();
             clearErrors();
+            validateCurrentInput();
+            refreshRunHistory();
             
             // Show success feedback
             fileNameDisplay.style.color = '#107c10';
@@ -199,6 +402,304 @@ function handleFileSelect(event) {
     reader.readAsText(file);
 }
 
+function updateFileNameDisplay() {
+    const fileNameDisplay = document.getElementById('file-name-display');
+    const caseFileCount = Object.keys(caseFiles).length;
+    const baselineFileCount = Object.keys(baselineFiles).length;
+    let text = loadedFileName || 'No file selected';
+    if (caseFileCount > 0) {
+        text += ` (+${caseFileCount} CSV case file${caseFileCount > 1 ? 's' : ''})`;
+    }
+    if (baselineFileCount > 0) {
+        text += ` (+${baselineFileCount} baseline file${baselineFileCount > 1 ? 's' : ''})`;
+    }
+    fileNameDisplay.textContent = text;
+}
+
+function setWorkbookStatus(message, isError) {
+    const status = document.getElementById('workbook-suite-status');
+    if (status) {
+        status.textContent = message;
+        status.classList.toggle('error', Boolean(isError));
+    }
+}
+
+function hideWorkbookConflict() {
+    document.getElementById('workbook-conflict').style.display = 'none';
+}
+
+// Fill the suite dropdown from the workbook; returns the list (most recent first)
+async function refreshWorkbookSuites() {
+    const select = document.getElementById('workbook-suite-select');
+    let suites;
+    try {
+        suites = await window.ExcelTestWorkbookStorage.listWorkbookSuites();
+    } catch (error) {
+        setWorkbookStatus(`Could not read suites from the workbook: ${error.message}`, true);
+        return [];
+    }
+    
+    const selected = select.value || (loadedWorkbookSuite && loadedWorkbookSuite.name);
+    select.innerHTML = '';
+    for (const suite of suites) {
+        const option = document.createElement('option');
+        option.value = suite.name;
+        option.textContent = `${suite.name} (rev ${suite.revision})`;
+        select.appendChild(option);
+    }
+    if (suites.some(suite => suite.name === selected)) {
+        select.value = selected;
+    }
+    
+    select.disabled = suites.length === 0;
+    document.getElementById('workbook-load-button').disabled = suites.length === 0;
+    document.getElementById('workbook-delete-button').disabled = suites.length === 0;
+    if (suites.length === 0) {
+        setWorkbookStatus('No test suites are saved in this workbook yet');
+    }
+    return suites;
+}
+
+async function openLatestWorkbookSuite() {
+    const suites = await refreshWorkbookSuites();
+    const testJsonInput = document.getElementById('test-json-input');
+    if (suites.length > 0 && testJsonInput && !testJsonInput.value.trim()) {
+        switchInputMethod('workbook');
+        await loadSuiteFromWorkbook(suites[0].name);
+    }
+}
+
+async function loadSuiteFromWorkbook(name) {
+    if (!name) {
+        return;
+    }
+    try {
+        const suite = await window.ExcelTestWorkbookStorage.loadWorkbookSuite(name);
+        if (!suite) {
+            setWorkbookStatus(`Suite "${name}" is no longer in the workbook`, true);
+            await refreshWorkbookSuites();
+            return;
+        }
+        
+        document.getElementById('test-json-input').value = suite.text;
+        document.getElementById('workbook-suite-name').value = suite.name;
+        loadedWorkbookSuite = { name: suite.name, revision: suite.revision, hash: suite.hash };
+        hideWorkbookConflict();
+        setWorkbookStatus(`Loaded "${suite.name}" (revision ${suite.revision}, saved ${new Date(suite.modified).toLocaleString()})`);
+        
+        clearResults();
+        clearErrors();
+        validateCurrentInput();
+        refreshRunHistory();
+        await refreshWorkbookSuites();
+    } catch (error) {
+        setWorkbookStatus(`Failed to load suite: ${error.message}`, true);
+    }
+}
+
+// Save the suite text into the workbook. Without `force`, a suite changed
+// elsewhere since it was loaded is reported as a conflict instead of overwritten.
+async function saveSuiteToWorkbook(force) {
+    const name = document.getElementById('workbook-suite-name').value.trim();
+    const jsonText = document.getElementById('test-json-input').value.trim();
+    if (!name) {
+        setWorkbookStatus('Enter a name for the suite', true);
+        return;
+    }
+    if (!jsonText) {
+        setWorkbookStatus('There is no suite to save. Load a file or paste JSON first', true);
+        return;
+    }
+    
+    const loadedVersion = loadedWorkbookSuite && loadedWorkbookSuite.name === name ? loadedWorkbookSuite : null;
+    try {
+        loadedWorkbookSuite = await window.ExcelTestWorkbookStorage.saveWorkbookSuite(name, jsonText, loadedVersion, force);
+        hideWorkbookConflict();
+        setWorkbookStatus(`Saved "${name}" (revision ${loadedWorkbookSuite.revision})`);
+        await refreshWorkbookSuites();
+    } catch (error) {
+        if (error.code === 'conflict') {
+            document.getElementById('workbook-conflict-message').textContent =
+                `${error.message}. Overwrite it with your version, or load the workbook version (your changes will be lost)?`;
+            document.getElementById('workbook-conflict').style.display = 'block';
+            setWorkbookStatus('');
+        } else {
+            setWorkbookStatus(`Failed to save suite: ${error.message}`, true);
+        }
+    }
+}
+
+async function deleteSuiteFromWorkbook() {
+    const name = document.getElementById('workbook-suite-select').value;
+    if (!name) {
+        return;
+    }
+    try {
+        await window.ExcelTestWorkbookStorage.deleteWorkbookSuite(name);
+        if (loadedWorkbookSuite && loadedWorkbookSuite.name === name) {
+            loadedWorkbookSuite = null;
+        }
+        setWorkbookStatus(`Deleted "${name}" from the workbook`);
+        await refreshWorkbookSuites();
+    } catch (error) {
+        setWorkbookStatus(`Failed to delete suite: ${error.message}`, true);
+    }
+}
+
+function setRecordStatus(message, isError) {
+    const status = document.getElementById('record-status');
+    status.textContent = message;
+    status.classList.toggle('error', Boolean(isError));
+}
+
+// Capture the selected cells as an input, an output or a baseline of the test being recorded
+async function recordSelection(kind) {
+    try {
+        const Recorder = window.ExcelTestRecorder;
+        const capture = await Recorder.captureSelection();
+        const entries = kind === 'input' ? recordDraft.inputs : recordDraft.outputs;
+        const createEntry = { input: Recorder.createInputEntry, output: Recorder.createOutputEntry, baseline: Recorder.createBaselineEntry }[kind];
+        const entry = createEntry(capture);
+        
+        // Re-recording a cell replaces its entry with the current value
+        const existing = entries.findIndex(item => item.cell === entry.cell);
+        if (existing >= 0) {
+            entries[existing] = entry;
+        } else {
+            entries.push(entry);
+        }
+        setRecordStatus(`Recorded ${entry.cell} as ${kind === 'baseline' ? 'a baseline' : `an ${kind}`}`);
+        renderRecordDraft();
+    } catch (error) {
+        setRecordStatus(`Could not record the selection: ${error.message}`, true);
+    }
+}
+
+// Text field bound to a property of a draft entry; values are parsed as they are edited
+function createRecordField(entry, key, placeholder, parse) {
+    const field = document.createElement('input');
+    field.type = 'text';
+    field.className = `record-field record-field-${key}`;
+    field.placeholder = placeholder;
+    field.value = window.ExcelTestRecorder.formatFieldValue(entry[key]);
+    field.addEventListener('change', () => {
+        try {
+            entry[key] = parse ? parse(field.value) : field.value.trim();
+            field.classList.remove('invalid');
+            setRecordStatus('');
+        } catch (error) {
+            field.classList.add('invalid');
+            setRecordStatus(error.message, true);
+        }
+    });
+    return field;
+}
+
+function createRecordRow(entries, entry, fields) {
+    const row = document.createElement('div');
+    row.className = 'record-entry';
+    for (const field of fields) {
+        row.appendChild(field);
+    }
+    
+    const removeButton = document.createElement('button');
+    removeButton.className = 'record-remove';
+    removeButton.title = 'Remove';
+    removeButton.textContent = '×';
+    removeButton.addEventListener('click', () => {
+        entries.splice(entries.indexOf(entry), 1);
+        renderRecordDraft();
+    });
+    row.appendChild(removeButton);
+    
+    if (entry.warning) {
+        const warning = document.createElement('div');
+        warning.className = 'record-warning';
+        warning.textContent = entry.warning;
+        row.appendChild(warning);
+    }
+    return row;
+}
+
+// Render the recorded inputs and outputs as an editable form
+function renderRecordDraft() {
+    const Recorder = window.ExcelTestRecorder;
+    const parseValue = text => Recorder.parseFieldValue(text);
+    const parseTolerance = text => {
+        const tolerance = text.trim() === '' ? null : Number(text);
+        if (tolerance !== null && (isNaN(tolerance) || tolerance < 0)) {
+            throw new Error('Tolerance must be a non-negative number');
+        }
+        return tolerance;
+    };
+    
+    const inputsDiv = document.getElementById('record-inputs');
+    inputsDiv.innerHTML = recordDraft.inputs.length > 0 ? '<p><strong>Inputs:</strong></p>' : '';
+    for (const input of recordDraft.inputs) {
+        inputsDiv.appendChild(createRecordRow(recordDraft.inputs, input, [
+            createRecordField(input, 'cell', 'Cell'),
+            createRecordField(input, 'value', 'Value', parseValue)
+        ]));
+    }
+    
+    const outputsDiv = document.getElementById('record-outputs');
+    outputsDiv.innerHTML = recordDraft.outputs.length > 0 ? '<p><strong>Assertions:</strong></p>' : '';
+    for (const output of recordDraft.outputs) {
+        const operatorSelect = document.createElement('select');
+        operatorSelect.className = 'record-field record-field-operator';
+        for (const operator of Object.keys(window.ExcelTestAssertions.ASSERTION_OPERATORS).concat('baseline', 'hasFormula', 'isConstant')) {
+            const option = document.createElement('option');
+            option.value = operator;
+            option.textContent = operator;
+            operatorSelect.appendChild(option);
+        }
+        operatorSelect.value = output.operator;
+        
+        const expectedField = createRecordField(output, 'expected', 'Expected', parseValue);
+        const toleranceField = createRecordField(output, 'tolerance', 'Tolerance', parseTolerance);
+        const updateFields = () => {
+            expectedField.style.display = Recorder.FLAG_OPERATORS.includes(output.operator) ? 'none' : '';
+            toleranceField.style.display = Recorder.TOLERANCE_OPERATORS.includes(output.operator) ? '' : 'none';
+        };
+        operatorSelect.addEventListener('change', () => {
+            output.operator = operatorSelect.value;
+            updateFields();
+        });
+        updateFields();
+        
+        outputsDiv.appendChild(createRecordRow(recordDraft.outputs, output, [
+            createRecordField(output, 'cell', 'Cell'),
+            operatorSelect,
+            expectedField,
+            toleranceField
+        ]));
+    }
+}
+
+// Build the recorded test and append it to the loaded suite
+function addRecordedTestToSuite() {
+    const testJsonInput = document.getElementById('test-json-input');
+    const nameInput = document.getElementById('record-test-name');
+    try {
+        const Recorder = window.ExcelTestRecorder;
+        const test = Recorder.buildRecordedTest(Object.assign({ name: nameInput.value }, recordDraft));
+        testJsonInput.value = Recorder.addTestToSuite(testJsonInput.value, test);
+        
+        clearRecordDraft();
+        validateCurrentInput();
+        switchInputMethod('paste');
+    } catch (error) {
+        setRecordStatus(error.message, true);
+    }
+}
+
+function clearRecordDraft() {
+    recordDraft = { inputs: [], outputs: [] };
+    document.getElementById('record-test-name').value = '';
+    setRecordStatus('');
+    renderRecordDraft();
+}
+
 async function handleLoadAndRunTest() {
     const testJsonInput = document.getElementById('test-json-input');
     const runTestButton = document.getElementById('run-test-button');
@@ -212,6 +713,10 @@ async function handleLoadAndRunTest() {
     if (!jsonText) {
         if (currentInputMethod === 'file') {
             showError('Please select a JSON test file first');
+        } else if (currentInputMethod === 'workbook') {
+            showError('Please load a test suite from the workbook first');
+        } else if (currentInputMethod === 'record') {
+            showError('Please record a test and add it to the suite first');
         } else {
             showError('Please paste or type JSON test content');
         }
@@ -227,12 +732,26 @@ async function handleLoadAndRunTest() {
     clearResults();
     clearErrors();
     
+    // Refuse to run a suite that does not validate; the problems are listed under the input
+    const validation = validateCurrentInput();
+    if (!validation.valid) {
+        const count = validation.errors.length;
+        showError(`The test suite has ${count} error${count > 1 ? 's' : ''}. Fix ${count > 1 ? 'them' : 'it'} before running.`);
+        testJsonInput.style.borderColor = '#d13438';
+        setTimeout(function() {
+            testJsonInput.style.borderColor = '';
+        }, 2000);
+        updateUIForTestState(false);
+        return;
+    }
+    
     try {
-        const testData = JSON.parse(jsonText);
+        const testData = validation.data;
+        const SuiteFormat = window.ExcelTestSuiteFormat;
         
-        // Support both single test object and array of tests
-        if (Array.isArray(testData)) {
-            currentTests = testData;
+        // Support a list of tests, a suite object and a single test object
+        if (Array.isArray(testData) || SuiteFormat.isSuiteObject(testData)) {
+            currentTests = SuiteFormat.resolveSuite(testData).tests;
             currentTest = null;
             displayMultipleTestInfo(testData);
         } else {
@@ -249,30 +768,139 @@ async function handleLoadAndRunTest() {
             runTestButton.querySelector('.ms-Button-label').textContent = 'Running...';
         }
         
-        // Determine which tests to run and execute them
-        const testsToRun = currentTests || [currentTest];
-        await executeTests(testsToRun, runTestButton);
+        // The runner resolves defaults and "extends" itself
+        await executeTests(testData, runTestButton, getRunSelection());
         
         // Reset border color
         setTimeout(function() {
             testJsonInput.style.borderColor = '';
         }, 1000);
     } catch (error) {
-        console.error('Error parsing or running test:', error);
-        showError(`Failed to parse JSON: ${error.message}`);
+        console.error('Error running test:', error);
+        showError(`Failed to run tests: ${error.message}`);
         testJsonInput.style.borderColor = '#d13438';
         setTimeout(function() {
             testJsonInput.style.borderColor = '';
         }, 2000);
     } finally {
-        if (runTestButton) {
-            runTestButton.disabled = false;
-            runTestButton.querySelector('.ms-Button-label').textContent = 'Run';
+        updateUIForTestState(false);
+    }
+}
+
+function scheduleValidation() {
+    clearTimeout(validationTimer);
+    validationTimer = setTimeout(validateCurrentInput, 300);
+}
+
+// Validate the suite text, show any problems and enable/disable the Run button
+function validateCurrentInput() {
+    clearTimeout(validationTimer);
+    const testJsonInput = document.getElementById('test-json-input');
+    const jsonText = testJsonInput ? testJsonInput.value.trim() : '';
+    
+    currentValidation = jsonText ? window.ExcelTestSuiteValidator.validateSuiteText(jsonText) : null;
+    displayValidation(currentValidation);
+    updateRunSelection();
+    updateUIForTestState(isTestRunning);
+    return currentValidation;
+}
+
+function displayValidation(validation) {
+    const validationSection = document.getElementById('validation-section');
+    const validationList = document.getElementById('validation-list');
+    if (!validationSection || !validationList) {
+        return;
+    }
+    
+    const issues = validation
+        ? validation.errors.map(issue => ({ issue, level: 'error' })).concat(validation.warnings.map(issue => ({ issue, level: 'warning' })))
+        : [];
+    
+    validationList.innerHTML = '';
+    for (const { issue, level } of issues) {
+        const item = document.createElement('li');
+        item.className = level;
+        item.textContent = window.ExcelTestSuiteValidator.formatIssue(issue);
+        validationList.appendChild(item);
+    }
+    validationSection.style.display = issues.length > 0 ? 'block' : 'none';
+}
+
+// Names of the tests that failed or could not run to the end in the last run
+function failedTestNames() {
+    return (lastRunResults || [])
+        .filter(result => !result.passed && !result.skipped && !result.notRun)
+        .map(result => result.testName);
+}
+
+// Fill the "Tests to run" picker: every test, the ones that failed in the last
+// run, and each tag and named test of the current suite. The choice is kept
+// while it is still offered.
+function updateRunSelection() {
+    const picker = document.getElementById('run-selection');
+    if (!picker) {
+        return;
+    }
+    const previous = picker.value;
+    picker.innerHTML = '';
+    picker.appendChild(new Option('All tests', 'all'));
+    const failedCount = failedTestNames().length;
+    if (failedCount > 0) {
+        picker.appendChild(new Option(`Failed in the last run (${failedCount})`, 'failed'));
+    }
+    
+    const tests = currentValidation && currentValidation.valid ? window.ExcelTestSuiteFormat.resolveSuite(currentValidation.data).tests : [];
+    const groups = [
+        { label: 'By tag', prefix: 'tag:', values: tests.flatMap(test => Array.isArray(test.tags) ? test.tags : []) },
+        { label: 'Single test', prefix: 'test:', values: tests.map(test => test.name).filter(name => typeof name === 'string') }
+    ];
+    for (const { label, prefix, values } of groups) {
+        if (values.length === 0) {
+            continue;
+        }
+        const group = document.createElement('optgroup');
+        group.label = label;
+        for (const value of new Set(values)) {
+            group.appendChild(new Option(value, prefix + value));
         }
+        picker.appendChild(group);
+    }
+    picker.value = Array.from(picker.options).some(option => option.value === previous) ? previous : 'all';
+}
+
+// The runner's `select` option for the picker's choice; null runs every test
+function getRunSelection() {
+    const choice = document.getElementById('run-selection').value;
+    if (choice === 'failed') {
+        return { names: failedTestNames() };
+    }
+    if (choice.startsWith('tag:')) {
+        return { tags: [choice.slice('tag:'.length)] };
     }
+    if (choice.startsWith('test:')) {
+        return { names: [choice.slice('test:'.length)] };
+    }
+    return null;
 }
 
 
+// Where a resolved input came from, shown after its value
+function inputSourceHtml(source) {
+    if (source === 'defaults') {
+        return ' <small>(default)</small>';
+    }
+    return source ? ` <small>(from ${source})</small>` : '';
+}
+
+// Inputs as "cell=value" text, each marked with where it came from
+function describeInputs(inputs, sources = {}) {
+    return window.ExcelTestRunner.getInputEntries({ inputs })
+        .map(([cell, value]) => {
+            const key = typeof cell === 'string' ? cell : JSON.stringify(cell);
+            return `${window.ExcelTestAddresses.describeAddress(cell)}=${value}${inputSourceHtml(sources[key])}`;
+        });
+}
+
 function displayTestInfo(testData) {
     const testInfoDiv = document.getElementById('current-test-info');
     testInfoDiv.style.display = 'block';
@@ -280,8 +908,8 @@ function displayTestInfo(testData) {
     let inputsHtml = '';
     if (testData.inputs) {
         inputsHtml = '<p><strong>Inputs:</strong></p><ul>';
-        for (const [cell, value] of Object.entries(testData.inputs)) {
-            inputsHtml += `<li>${cell} = ${value}</li>`;
+        for (const [cell, value] of window.ExcelTestRunner.getInputEntries(testData)) {
+            inputsHtml += `<li>${window.ExcelTestAddresses.describeAddress(cell)} = ${value}</li>`;
         }
         inputsHtml += '</ul>';
     }
@@ -290,8 +918,7 @@ function displayTestInfo(testData) {
     if (testData.assertions) {
         assertionsHtml = '<p><strong>Assertions:</strong></p><ul>';
         for (const assertion of testData.assertions) {
-            const tolerance = assertion.tolerance !== undefined ? ` (tolerance: ${assertion.tolerance})` : '';
-            assertionsHtml += `<li>${assertion.cell} should equal ${assertion.equals}${tolerance}</li>`;
+            assertionsHtml += `<li>${window.ExcelTestAddresses.describeAddress(assertion.cell)} ${window.ExcelTestAssertions.describeAssertion(assertion)}</li>`;
         }
         assertionsHtml += '</ul>';
     }
@@ -303,20 +930,35 @@ function displayTestInfo(testData) {
     `;
 }
 
-function displayMultipleTestInfo(tests) {
+// Show the tests of a suite with their resolved inputs: the suite defaults and
+// inherited inputs are marked with where they came from
+function displayMultipleTestInfo(suiteData) {
     const testInfoDiv = document.getElementById('current-test-info');
+    const SuiteFormat = window.ExcelTestSuiteFormat;
+    const suite = SuiteFormat.resolveSuite(suiteData);
+    const rawTests = SuiteFormat.getSuiteTests(suiteData);
+    const tests = suite.tests;
     
-    let html = `<h3>Test Suite (${tests.length} test${tests.length > 1 ? 's' : ''})</h3>`;
+    let html = `<h3>${suite.name ? `Test Suite: ${suite.name}` : 'Test Suite'} (${tests.length} test${tests.length > 1 ? 's' : ''})</h3>`;
+    for (const key of ['beforeEach', 'afterEach']) {
+        const block = SuiteFormat.isSuiteObject(suiteData) && suiteData[key] && suiteData[key].inputs;
+        if (block) {
+            html += `<p style="margin: 5px 0;"><small><strong>${key === 'beforeEach' ? 'Before each test' : 'After each test'}:</strong> ${describeInputs(block).join(', ')}</small></p>`;
+        }
+    }
     
     for (let i = 0; i < tests.length; i++) {
         const test = tests[i];
         html += `<div style="margin: 15px 0; padding: 10px; border-left: 3px solid #0078d4; background-color: #f3f2f1;">`;
         html += `<strong>${i + 1}. ${test.name || 'Unnamed Test'}</strong>`;
+        if (rawTests[i] && rawTests[i].extends) {
+            html += ` <small>(extends ${rawTests[i].extends})</small>`;
+        }
         
-        if (test.inputs && Object.keys(test.inputs).length > 0) {
+        const inputs = describeInputs(test.inputs, suite.inputSources[i]);
+        if (inputs.length > 0) {
             html += '<p style="margin: 5px 0;"><small><strong>Inputs:</strong> ';
-            const inputs = Object.entries(test.inputs).map(([cell, value]) => `${cell}=${value}`).join(', ');
-            html += inputs;
+            html += inputs.join(', ');
             html += '</small></p>';
         }
         
@@ -324,6 +966,16 @@ function displayMultipleTestInfo(tests) {
             html += `<p style="margin: 5px 0;"><small><strong>Assertions:</strong> ${test.assertions.length}</small></p>`;
         }
         
+        if (test.lint) {
+            const scope = test.lint.sheets === null ? ['every worksheet'] : test.lint.sheets.concat(test.lint.ranges);
+            html += `<p style="margin: 5px 0;"><small><strong>Scans:</strong> ${scope.join(', ')}</small></p>`;
+        }
+        
+        if (window.ExcelTestCases.isParameterizedTest(test)) {
+            const caseCount = Array.isArray(test.cases) ? `${test.cases.length - (Array.isArray(test.cases[0]) ? 1 : 0)} rows` : test.casesFrom;
+            html += `<p style="margin: 5px 0;"><small><strong>Cases:</strong> ${caseCount}</small></p>`;
+        }
+        
         html += '</div>';
     }
     
@@ -331,30 +983,355 @@ function displayMultipleTestInfo(tests) {
 }
 
 // Shared function to execute tests
-async function executeTests(testsToRun, buttonElement) {
+// `select` picks the tests to run (see runTestSuite); null runs them all
+async function executeTests(suiteData, buttonElement, select = null) {
     // Set global running state
     isTestRunning = true;
     updateUIForTestState(true);
+    if (guard) {
+        // The runner's own writes must not trigger guard mode again
+        guard.runStarted();
+        setGuardBadge('Guard: running...', 'running');
+    }
+    
+    runController = new AbortController();
+    const suiteTimeoutSeconds = Number(document.getElementById('suite-timeout').value);
+    const calculationWaitSeconds = Number(document.getElementById('calculation-wait').value);
+    
+    // Shuffle with the given seed, or a new one that is shown with the results so the order can be replayed
+    let shuffleSeed = null;
+    if (document.getElementById('shuffle-tests').checked) {
+        const seedText = document.getElementById('shuffle-seed').value.trim();
+        shuffleSeed = seedText !== '' ? Math.floor(Number(seedText)) : Math.floor(Math.random() * 1000000);
+    }
+    
+    const highlightFailures = document.getElementById('highlight-failures').checked;
+    const shadeUncovered = document.getElementById('shade-uncovered').checked;
     
     try {
-        const suiteResult = await window.ExcelTestRunner.runTestSuite(testsToRun);
+        const suiteResult = await window.ExcelTestRunner.runTestSuite(suiteData, {
+            caseFiles,
+            baselineFiles,
+            signal: runController.signal,
+            timeoutMs: suiteTimeoutSeconds > 0 ? suiteTimeoutSeconds * 1000 : null,
+            calculationType: document.getElementById('calculation-type').value,
+            maxCalculationWaitMs: calculationWaitSeconds > 0 ? calculationWaitSeconds * 1000 : null,
+            manualCalculation: document.getElementById('manual-calculation').checked,
+            isolateTests: document.getElementById('isolate-tests').checked,
+            shuffleSeed,
+            lockSheets: enableLocking,
+            select,
+            // Shading the uncovered formulas needs the coverage measured
+            coverage: document.getElementById('measure-coverage').checked || shadeUncovered
+        });
         
-        displayMultipleResults(suiteResult.results, suiteResult.passedCount, suiteResult.totalCount);
+        // Edits that arrived after the last checkpoint still make the results invalid
+        const interrupted = suiteResult.interrupted || (suiteResult.externalEdits.length > 0 ? 'externalEdit' : null);
+        displayMultipleResults(suiteResult.results, suiteResult.passedCount, suiteResult.totalCount, interrupted, suiteResult.shuffleSeed);
+        showEditConflicts(suiteResult.conflicts);
+        showCoverage(suiteResult.coverage);
+        if (suiteResult.restore && !suiteResult.restore.verified) {
+            showRecovery(suiteResult.restore.error
+                ? `Restoring the workbook failed (${suiteResult.restore.error}). The original values are still stored; click Recover to try again.`
+                : 'Some cells did not match their original contents after restoring. The original values are still stored; click Recover to try again.',
+            suiteResult.restore.mismatches);
+        }
+        updateGuardStatus(suiteResult);
+        lastRunResults = suiteResult.results;
+        currentSuiteResult = suiteResult;
+        updateRunSelection();
+        setExportStatus('');
+        
+        // The runner removed the previous highlights before it started
+        showHighlights(null);
+        // A run that could not be restored keeps its snapshot stored, which leaves no room for highlights
+        if ((highlightFailures || shadeUncovered) && suiteResult.restore && suiteResult.restore.verified) {
+            try {
+                const counts = await window.ExcelTestRunner.highlightRun(highlightFailures ? suiteResult.results : [],
+                    shadeUncovered ? suiteResult.coverage : null);
+                showHighlights(counts.outputCount + counts.inputCount + counts.uncoveredCount > 0 ? counts : null);
+            } catch (error) {
+                showError(`The tests ran, but the failing cells could not be highlighted: ${error.message}`);
+            }
+        }
+        
+        // The history is kept in the workbook, so it travels with the model. A run
+        // of part of the suite is left out; the other tests would show as removed.
+        try {
+            if (!select) {
+                runHistory = await window.ExcelTestWorkbookStorage.appendRunHistory(historySuiteName(),
+                    window.ExcelTestRunHistory.createHistoryEntry(suiteResult));
+                renderRunHistory();
+            }
+        } catch (error) {
+            console.error('Could not save the run to the history:', error);
+        }
+        
+        // Written while the run is still marked as running, so guard mode ignores the change
+        if (document.getElementById('write-results-sheet').checked) {
+            try {
+                await window.ExcelTestResultsSheet.writeResultsSheet(suiteResult, currentSuiteName());
+            } catch (error) {
+                showError(`The tests ran, but the "Test Results" sheet could not be written: ${error.message}`);
+            }
+        }
         
     } finally {
         // Always reset the running state
         isTestRunning = false;
+        runController = null;
         updateUIForTestState(false);
+        if (guard) {
+            guard.runFinished();
+        }
     }
 }
 
+async function toggleGuardMode(event) {
+    const guardStatus = document.getElementById('guard-status');
+    try {
+        if (event.target.checked) {
+            guard = window.ExcelTestGuard.createGuard(() => {
+                if (!isTestRunning) {
+                    handleLoadAndRunTest();
+                }
+            });
+            await guard.start();
+            guardStatus.style.display = 'block';
+            setGuardBadge('Guard: watching', 'watching');
+            
+            // Run once now so later runs have something to compare against
+            if (!isTestRunning && document.getElementById('test-json-input').value.trim()) {
+                await handleLoadAndRunTest();
+            }
+        } else if (guard) {
+            const stoppingGuard = guard;
+            guard = null;
+            guardStatus.style.display = 'none';
+            document.getElementById('guard-notification').style.display = 'none';
+            await stoppingGuard.stop();
+        }
+    } catch (error) {
+        guard = null;
+        event.target.checked = false;
+        guardStatus.style.display = 'none';
+        showError(`Guard mode is not available: ${error.message}`);
+    }
+}
 
+async function checkInterruptedRun() {
+    try {
+        const interrupted = await window.ExcelTestRunner.findInterruptedRun();
+        if (interrupted) {
+            showRecovery(`A test run started ${new Date(interrupted.started).toLocaleString()} did not finish restoring the workbook. ` +
+                `Recover puts back the original contents of the ${interrupted.cellCount} range${interrupted.cellCount === 1 ? '' : 's'} it changed, ` +
+                'overwriting anything typed there since.');
+        }
+    } catch (error) {
+        console.error('Could not check for an interrupted run:', error);
+    }
+}
 
-function displayMultipleResults(results, passedCount, totalCount) {
+async function handleRecoverRun() {
+    try {
+        const { mismatches } = await window.ExcelTestRunner.recoverInterruptedRun();
+        if (mismatches.length > 0) {
+            showRecovery('Some cells still do not match their original contents after recovering:', mismatches);
+        } else {
+            showRecovery(null);
+        }
+    } catch (error) {
+        showError(`Failed to recover the workbook: ${error.message}`);
+    }
+}
+
+// Show (or hide, when message is null) the recovery banner with any cells that did not restore
+function showRecovery(message, mismatches = []) {
+    const recoverySection = document.getElementById('recovery-section');
+    const recoveryList = document.getElementById('recovery-list');
+    document.getElementById('recovery-message').textContent = message || '';
+    recoveryList.innerHTML = '';
+    for (const mismatch of mismatches) {
+        const item = document.createElement('li');
+        item.textContent = `${mismatch.cell}: expected ${mismatch.expected === '' ? '(blank)' : mismatch.expected}, found ${mismatch.actual === '' ? '(blank)' : mismatch.actual}`;
+        recoveryList.appendChild(item);
+    }
+    recoverySection.style.display = message ? 'block' : 'none';
+}
+
+// List cells the user edited during the run and offer to restore their original contents
+function showEditConflicts(conflicts) {
+    pendingConflicts = conflicts;
+    const conflictSection = document.getElementById('edit-conflict-section');
+    const conflictList = document.getElementById('edit-conflict-list');
+    conflictList.innerHTML = '';
+    for (const conflict of conflicts) {
+        const item = document.createElement('li');
+        item.textContent = `${conflict.cell}: now ${conflict.current === '' ? '(blank)' : conflict.current}, originally ${conflict.original === '' ? '(blank)' : conflict.original}`;
+        conflictList.appendChild(item);
+    }
+    conflictSection.style.display = conflicts.length > 0 ? 'block' : 'none';
+}
+
+// Show (or hide, when null) the bar offering to clear the failure highlights
+function showHighlights(counts) {
+    const highlightSection = document.getElementById('highlight-section');
+    if (counts) {
+        const plural = count => count === 1 ? '' : 's';
+        const parts = [];
+        if (counts.outputCount > 0) {
+            parts.push(`${counts.outputCount} failing cell${plural(counts.outputCount)} highlighted in red`);
+        }
+        if (counts.inputCount > 0) {
+            parts.push(`${counts.inputCount} input${plural(counts.inputCount)} of failing tests in yellow`);
+        }
+        if (counts.uncoveredCount > 0) {
+            parts.push(`${counts.uncoveredCount} uncovered formula${plural(counts.uncoveredCount)} shaded in purple`);
+        }
+        const message = parts.join(', ');
+        document.getElementById('highlight-message').textContent = message.charAt(0).toUpperCase() + message.slice(1);
+    }
+    highlightSection.style.display = counts ? 'flex' : 'none';
+}
+
+async function checkHighlights() {
+    try {
+        const highlights = await window.ExcelTestRunner.findHighlights();
+        if (highlights) {
+            document.getElementById('highlight-message').textContent =
+                `Cells from the run at ${new Date(highlights.started).toLocaleString()} are still highlighted`;
+        }
+        document.getElementById('highlight-section').style.display = highlights ? 'flex' : 'none';
+    } catch (error) {
+        console.error('Could not check for failure highlights:', error);
+    }
+}
+
+// Clear every highlight, or only those of one kind ('failures' or 'uncovered')
+async function clearFailureHighlights(kind = null) {
+    try {
+        const { mismatches } = await window.ExcelTestRunner.clearHighlights(kind);
+        if (mismatches.length > 0) {
+            showError(`Some highlighted cells could not be put back: ${mismatches.map(mismatch => mismatch.cell).join(', ')}`);
+            return;
+        }
+        if (kind === null) {
+            showHighlights(null);
+        } else {
+            await checkHighlights();
+        }
+    } catch (error) {
+        showError(`Failed to clear the highlights: ${error.message}`);
+    }
+}
+
+// Activate the sheet of a result's cell and select it
+async function goToResultCell(address) {
+    try {
+        await window.ExcelTestRunner.goToCell(address);
+    } catch (error) {
+        showError(`Could not go to ${address}: ${error.message}`);
+    }
+}
+
+// Show (or hide, when null) the formula coverage of a run, per sheet with the formulas no test reached
+function showCoverage(coverage) {
+    const coverageSection = document.getElementById('coverage-section');
+    const coverageContent = document.getElementById('coverage-content');
+    coverageContent.innerHTML = '';
+    coverageSection.style.display = coverage ? 'block' : 'none';
+    if (!coverage) {
+        return;
+    }
+    const describe = counts => `${counts.coveredCount} of ${counts.formulaCount} formulas${counts.percent === null ? '' : ` (${counts.percent}%)`}`;
+    
+    const summary = document.createElement('div');
+    summary.className = 'coverage-summary';
+    summary.textContent = `${describe(coverage)} covered`;
+    coverageContent.appendChild(summary);
+    
+    for (const sheet of coverage.sheets) {
+        const row = document.createElement('div');
+        row.className = 'coverage-sheet';
+        const name = document.createElement('span');
+        name.textContent = sheet.worksheetName;
+        const bar = document.createElement('span');
+        bar.className = 'coverage-bar';
+        const fill = document.createElement('span');
+        fill.style.width = `${sheet.percent}%`;
+        bar.appendChild(fill);
+        const count = document.createElement('span');
+        count.textContent = describe(sheet);
+        row.append(name, bar, count);
+        coverageContent.appendChild(row);
+        
+        if (sheet.uncovered.length > 0) {
+            const uncovered = document.createElement('div');
+            uncovered.className = 'coverage-uncovered';
+            uncovered.innerHTML = `Not covered: ${sheet.uncovered.map(cellLinkHtml).join(', ')}`;
+            coverageContent.appendChild(uncovered);
+        }
+    }
+    
+    if (coverage.untraced.length > 0) {
+        const untraced = document.createElement('div');
+        untraced.className = 'coverage-note';
+        untraced.innerHTML = `Could not trace the references of ${coverage.untraced.map(cellLinkHtml).join(', ')}`;
+        coverageContent.appendChild(untraced);
+    }
+    for (const test of coverage.omitted) {
+        const omitted = document.createElement('div');
+        omitted.className = 'coverage-note';
+        omitted.textContent = `Left out ${test.testName}: ${test.reason}`;
+        coverageContent.appendChild(omitted);
+    }
+}
+
+// A cell address in the results that selects the cell when clicked
+function cellLinkHtml(address) {
+    return `<a href="#" class="cell-link" data-cell="${encodeURIComponent(address)}" title="Select in the workbook">${address}</a>`;
+}
+
+function setGuardBadge(text, state) {
+    const badge = document.getElementById('guard-badge');
+    badge.textContent = text;
+    badge.className = `guard-badge ${state}`;
+}
+
+// Update the guard badge after a run, and notify when tests that passed last time now fail
+function updateGuardStatus(suiteResult) {
+    if (!guard) {
+        return;
+    }
+    const failedCount = suiteResult.totalCount - suiteResult.passedCount;
+    if (failedCount === 0) {
+        setGuardBadge(`Guard: all ${suiteResult.totalCount} passing`, 'passing');
+    } else {
+        setGuardBadge(`Guard: ${failedCount} failing`, 'failing');
+    }
+    
+    if (!lastRunResults) {
+        return;
+    }
+    const { regressions } = window.ExcelTestGuard.compareRuns(lastRunResults, suiteResult.results);
+    if (regressions.length > 0) {
+        const plural = regressions.length > 1;
+        document.getElementById('guard-notification-message').textContent =
+            `${regressions.length} test${plural ? 's' : ''} started failing: ${regressions.join(', ')}`;
+        document.getElementById('guard-notification').style.display = 'flex';
+        setGuardBadge(`Guard: ${failedCount} failing (${regressions.length} new)`, 'failing');
+    }
+}
+
+
+
+function displayMultipleResults(results, passedCount, totalCount, interrupted, shuffleSeed) {
     // Store current results for filtering
     currentResults = results;
     currentPassedCount = passedCount;
     currentTotalCount = totalCount;
+    currentInterrupted = interrupted || null;
+    currentShuffleSeed = shuffleSeed === undefined ? null : shuffleSeed;
     
     // Show display options and filter results
     filterAndDisplayResults();
@@ -375,7 +1352,17 @@ function filterAndDisplayResults() {
     
     const allPassed = currentPassedCount === currentTotalCount;
     const summaryClass = allPassed ? 'pass' : 'fail';
-    const summaryText = allPassed ? 'ALL PASSED' : `${currentPassedCount}/${currentTotalCount} PASSED`;
+    let summaryText = allPassed ? 'ALL PASSED' : `${currentPassedCount}/${currentTotalCount} PASSED`;
+    if (currentInterrupted) {
+        const ranCount = currentResults.filter(result => !result.notRun && !result.skipped).length;
+        const stopped = { cancelled: 'CANCELLED', timedOut: 'TIMED OUT', externalEdit: 'INVALID: WORKBOOK EDITED' }[currentInterrupted];
+        summaryText = `${stopped} after ${ranCount}/${currentTotalCount} tests (${currentPassedCount} passed)`;
+    }
+    // Skipped tests are neither passed nor failed
+    const skippedCount = currentResults.filter(result => result.skipped).length;
+    if (skippedCount > 0) {
+        summaryText += `, ${skippedCount} SKIPPED`;
+    }
     
     // Filter results based on checkbox
     const hidePassedTests = hidePassedTestsCheckbox && hidePassedTestsCheckbox.checked;
@@ -383,7 +1370,7 @@ function filterAndDisplayResults() {
     let visibleCount = currentResults.length;
     
     if (hidePassedTests) {
-        filteredResults = currentResults.filter(result => !result.passed);
+        filteredResults = currentResults.filter(result => !result.passed && !result.skipped);
         visibleCount = filteredResults.length;
     }
     
@@ -392,12 +1379,25 @@ function filterAndDisplayResults() {
             Test Suite: ${summaryText}
         </div>
     `;
+    if (currentShuffleSeed !== null) {
+        html += `<div class="shuffle-details">Tests ran in shuffled order (seed ${currentShuffleSeed})</div>`;
+    }
     
     // Show filtered results
     for (let i = 0; i < filteredResults.length; i++) {
         const result = filteredResults[i];
-        const resultClass = result.passed ? 'pass' : 'fail';
-        const resultText = result.passed ? 'PASSED' : 'FAILED';
+        let resultClass = result.passed ? 'pass' : 'fail';
+        let resultText = result.passed ? 'PASSED' : 'FAILED';
+        if (result.skipped) {
+            resultClass = 'skipped';
+            resultText = 'SKIPPED';
+        } else if (result.notRun) {
+            resultClass = 'not-run';
+            resultText = 'NOT RUN';
+        } else if (result.interrupted) {
+            resultClass = 'interrupted';
+            resultText = { cancelled: 'CANCELLED', timedOut: 'TIMED OUT', externalEdit: 'INVALID' }[result.interrupted];
+        }
         
         // For failed tests, always show details
         // For passed tests (when shown), simplify the display
@@ -408,32 +1408,57 @@ function filterAndDisplayResults() {
                 <h4>${result.testName} - ${resultText}</h4>
         `;
         
+        if (result.case) {
+            // Show which row of the case table this test came from
+            const caseValues = Object.entries(result.case.values).map(([column, value]) => `${column}=${value}`).join(', ');
+            html += `<div class="case-details">Case ${result.case.source}: ${caseValues}</div>`;
+        }
+        
+        if (result.skipReason) {
+            html += `<div class="skip-reason">${result.skipReason}</div>`;
+        }
+        
         if (result.error) {
             html += `<div class="error-message" style="margin: 5px 0; padding: 10px;">Error: ${result.error}</div>`;
         }
         
+        if (result.calculation && result.calculation.settled === false) {
+            // Outputs were read while Excel was still calculating
+            html += `<div class="calculation-warning">Calculation had not finished after ${(result.calculation.waitedMs / 1000).toFixed(1)}s; outputs may be stale</div>`;
+        }
+        
         if (showFullDetails) {
-            for (const assertionResult of result.assertionResults) {
+            for (const [assertionIndex, assertionResult] of result.assertionResults.entries()) {
                 const assertionClass = assertionResult.passed ? 'pass' : 'fail';
                 let detailsHtml = '';
                 
-                if (assertionResult.passed) {
+                if (assertionResult.cellResults) {
+                    // Range assertions list each failing cell
+                    detailsHtml = `<div class="assertion-details">${assertionResult.message}</div>`;
+                    const failedCells = assertionResult.cellResults.filter(cellResult => !cellResult.passed);
+                    if (failedCells.length > 0) {
+                        detailsHtml += '<ul class="cell-failures">';
+                        for (const cellResult of failedCells) {
+                            detailsHtml += `<li><strong>${cellLinkHtml(cellResult.cell)}</strong>: ${cellResult.message}</li>`;
+                        }
+                        detailsHtml += '</ul>';
+                    }
+                    if (assertionResult.baseline) {
+                        detailsHtml += baselineApprovalHtml(result, assertionResult, assertionIndex);
+                    }
+                } else if (assertionResult.passed) {
                     if (assertionResult.difference !== null) {
                         detailsHtml = `<div class="assertion-details">Actual: ${assertionResult.actual}, Expected: ${assertionResult.expected}, Difference: ${assertionResult.difference}</div>`;
                     } else {
                         detailsHtml = `<div class="assertion-details">Actual: ${assertionResult.actual}, Expected: ${assertionResult.expected}</div>`;
                     }
                 } else {
-                    if (assertionResult.difference !== null) {
-                        detailsHtml = `<div class="assertion-details">Actual: ${assertionResult.actual}, Expected: ${assertionResult.expected}, Difference: ${assertionResult.difference} (tolerance: ${assertionResult.tolerance})</div>`;
-                    } else {
-                        detailsHtml = `<div class="assertion-details">Actual: ${assertionResult.actual}, Expected: ${assertionResult.expected}</div>`;
-                    }
+                    detailsHtml = `<div class="assertion-details">${assertionResult.message}</div>`;
                 }
                 
                 html += `
                     <div class="assertion ${assertionClass}">
-                        <strong>${assertionResult.cell}</strong>
+                        <strong>${cellLinkHtml(assertionResult.cell)}</strong>
                         ${detailsHtml}
                     </div>
                 `;
@@ -456,7 +1481,241 @@ function filterAndDisplayResults() {
             testCountDisplay.style.display = 'flex';
         }
         if (visibleCountSpan) visibleCountSpan.textContent = visibleCount;
-        if (totalCountSpan) totalCountSpan.textContent = currentTotalCount;
+        if (totalCountSpan) totalCountSpan.textContent = currentResults.length;
+    }
+}
+
+// The approve button of a failed baseline assertion, or a note once it was approved
+function baselineApprovalHtml(result, assertionResult, assertionIndex) {
+    if (assertionResult.baseline.approved) {
+        return `<div class="baseline-note">${assertionResult.baseline.approved}</div>`;
+    }
+    if (assertionResult.passed) {
+        return '';
+    }
+    const problem = window.ExcelTestBaselines.baselineApprovalProblem(result, assertionResult);
+    if (problem) {
+        return `<div class="baseline-note">${problem}</div>`;
+    }
+    const resultIndex = currentResults.indexOf(result);
+    return `<button class="ms-Button baseline-approve" data-result="${resultIndex}" data-assertion="${assertionIndex}">
+                <span class="ms-Button-label">Approve new baseline</span>
+            </button>`;
+}
+
+// Record the values a baseline assertion just read as its new baseline: in the
+// suite text for embedded baselines, else in the baseline file, which is downloaded
+function approveBaseline(resultIndex, assertionIndex) {
+    const Baselines = window.ExcelTestBaselines;
+    const result = currentResults[resultIndex];
+    const assertionResult = result.assertionResults[assertionIndex];
+    const { file, key } = assertionResult.baseline;
+    try {
+        if (file === null) {
+            const testJsonInput = document.getElementById('test-json-input');
+            testJsonInput.value = Baselines.approveEmbeddedBaseline(testJsonInput.value, result.testName, assertionIndex, assertionResult.actual);
+            validateCurrentInput();
+            assertionResult.baseline.approved = 'Approved. The suite was updated; save it to keep the new baseline.';
+        } else {
+            const fileName = file.split(/[\\/]/).pop();
+            const text = Baselines.updateBaselineFile(Baselines.getBaselineFileText(baselineFiles, file), fileName, key, assertionResult.actual);
+            baselineFiles[fileName] = text;
+            updateFileNameDisplay();
+            saveTextFile(text, fileName, 'application/json');
+            assertionResult.baseline.approved = `Approved. Replace ${file} with the downloaded ${fileName} to keep the new baseline.`;
+        }
+        filterAndDisplayResults();
+    } catch (error) {
+        showError(`Could not approve the baseline: ${error.message}`);
+    }
+}
+
+// Name of the loaded suite: the workbook suite, else the file it was loaded from
+function currentSuiteName() {
+    return loadedWorkbookSuite ? loadedWorkbookSuite.name : loadedFileName;
+}
+
+// Pasted suites share one history
+function historySuiteName() {
+    return currentSuiteName() || 'Unsaved suite';
+}
+
+async function refreshRunHistory() {
+    try {
+        runHistory = await window.ExcelTestWorkbookStorage.loadRunHistory(historySuiteName());
+    } catch (error) {
+        console.error('Could not load the run history:', error);
+        runHistory = [];
+    }
+    renderRunHistory();
+}
+
+async function handleClearRunHistory() {
+    try {
+        await window.ExcelTestWorkbookStorage.clearRunHistory(historySuiteName());
+        runHistory = [];
+        renderRunHistory();
+    } catch (error) {
+        showError(`Failed to clear the run history: ${error.message}`);
+    }
+}
+
+function describeHistoryRun(run) {
+    return `${new Date(run.timestamp).toLocaleString()}: ${run.passed}/${run.total} passed`;
+}
+
+// Timeline of the stored runs, newest first, and pickers for the two runs to compare
+function renderRunHistory() {
+    const historySection = document.getElementById('history-section');
+    const timeline = document.getElementById('history-timeline');
+    historySection.style.display = runHistory.length > 0 ? 'block' : 'none';
+    timeline.innerHTML = '';
+    
+    const earlierSelect = document.getElementById('history-earlier');
+    const laterSelect = document.getElementById('history-later');
+    earlierSelect.innerHTML = '';
+    laterSelect.innerHTML = '';
+    
+    for (let i = runHistory.length - 1; i >= 0; i--) {
+        const run = runHistory[i];
+        const item = document.createElement('li');
+        item.className = run.interrupted ? 'interrupted' : run.passed === run.total ? 'pass' : 'fail';
+        item.dataset.index = i;
+        const time = document.createElement('span');
+        time.textContent = new Date(run.timestamp).toLocaleString();
+        const count = document.createElement('span');
+        count.textContent = `${run.passed}/${run.total} passed${run.interrupted ? ` (${run.interrupted})` : ''}`;
+        item.append(time, count);
+        // Clicking a run compares it with the one before it
+        item.addEventListener('click', () => {
+            laterSelect.value = String(i);
+            earlierSelect.value = String(Math.max(i - 1, 0));
+            renderHistoryDiff();
+        });
+        timeline.appendChild(item);
+        
+        for (const select of [earlierSelect, laterSelect]) {
+            select.appendChild(new Option(describeHistoryRun(run), String(i)));
+        }
+    }
+    
+    // Compare the latest run with the one before it
+    laterSelect.value = String(runHistory.length - 1);
+    earlierSelect.value = String(Math.max(runHistory.length - 2, 0));
+    renderHistoryDiff();
+}
+
+// List what changed between the two runs picked
+function renderHistoryDiff() {
+    const diffDiv = document.getElementById('history-diff');
+    diffDiv.innerHTML = '';
+    const earlierIndex = Number(document.getElementById('history-earlier').value);
+    const laterIndex = Number(document.getElementById('history-later').value);
+    for (const item of document.querySelectorAll('#history-timeline li')) {
+        item.classList.toggle('selected', Number(item.dataset.index) === earlierIndex || Number(item.dataset.index) === laterIndex);
+    }
+    if (runHistory.length < 2 || earlierIndex === laterIndex) {
+        diffDiv.textContent = runHistory.length < 2 ? 'Run the suite again to compare runs.' : 'Pick two different runs to compare.';
+        return;
+    }
+    
+    const diff = window.ExcelTestRunHistory.compareHistoryRuns(runHistory[earlierIndex], runHistory[laterIndex]);
+    const showValue = value => value === '' ? '(blank)' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    const groups = [
+        ['Newly failing', diff.newlyFailing],
+        ['Newly passing', diff.newlyPassing],
+        ['Changed outputs (still passing)', diff.changedOutputs.map(change => `${change.test}, ${change.cell}: ${showValue(change.before)} → ${showValue(change.after)}`)],
+        ['New tests', diff.added],
+        ['Removed tests', diff.removed]
+    ];
+    for (const [title, lines] of groups) {
+        if (lines.length === 0) {
+            continue;
+        }
+        const heading = document.createElement('h4');
+        heading.textContent = `${title} (${lines.length})`;
+        const list = document.createElement('ul');
+        for (const line of lines) {
+            const item = document.createElement('li');
+            item.textContent = line;
+            list.appendChild(item);
+        }
+        diffDiv.append(heading, list);
+    }
+    if (diffDiv.childElementCount === 0) {
+        diffDiv.textContent = 'No differences between these runs.';
+    }
+}
+
+function setExportStatus(message, isError) {
+    const status = document.getElementById('export-status');
+    if (status) {
+        status.textContent = message;
+        status.classList.toggle('error', Boolean(isError));
+    }
+}
+
+// The last run serialized in the format chosen in the export menu
+function getExportedReport() {
+    const format = document.getElementById('export-format').value;
+    return {
+        text: window.ExcelTestReport.exportRunReport(currentSuiteResult, format, currentSuiteName()),
+        fileName: window.ExcelTestReport.reportFileName(currentSuiteResult, format),
+        mimeType: window.ExcelTestReport.REPORT_FORMATS[format].mimeType
+    };
+}
+
+// Offer text to the user as a file download
+function saveTextFile(text, fileName, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function downloadReport() {
+    if (!currentSuiteResult) {
+        return;
+    }
+    try {
+        const report = getExportedReport();
+        saveTextFile(report.text, report.fileName, report.mimeType);
+        setExportStatus(`Saved ${report.fileName}`);
+    } catch (error) {
+        setExportStatus(`Download failed: ${error.message}. Use Copy instead`, true);
+    }
+}
+
+async function copyReport() {
+    if (!currentSuiteResult) {
+        return;
+    }
+    try {
+        const report = getExportedReport();
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            try {
+                await navigator.clipboard.writeText(report.text);
+                setExportStatus('Copied to the clipboard');
+                return;
+            } catch (clipboardError) {
+                // Some Office hosts block the Clipboard API; fall back to a hidden text area
+            }
+        }
+        const textArea = document.createElement('textarea');
+        textArea.value = report.text;
+        textArea.style.position = 'fixed';
+        textArea.style.opacity = '0';
+        document.body.appendChild(textArea);
+        textArea.select();
+        const copied = document.execCommand('copy');
+        textArea.remove();
+        setExportStatus(copied ? 'Copied to the clipboard' : 'Copying is not allowed here; use Download instead', !copied);
+    } catch (error) {
+        setExportStatus(`Copy failed: ${error.message}`, true);
     }
 }
 
@@ -470,6 +1729,7 @@ function showError(message) {
 function clearResults() {
     document.getElementById('results-section').style.display = 'none';
     document.getElementById('results-content').innerHTML = '';
+    showCoverage(null);
 }
 
 function clearErrors() {
@@ -480,7 +1740,16 @@ function clearErrors() {
 function updateUIForTestState(running) {
     const runTestButton = document.getElementById('run-test-button');
     if (runTestButton) {
-        runTestButton.disabled = running;
+        // Running is blocked while the suite has validation errors
+        runTestButton.disabled = running || Boolean(currentValidation && !currentValidation.valid);
         runTestButton.querySelector('.ms-Button-label').textContent = running ? 'Running...' : 'Run';
     }
+    const cancelTestButton = document.getElementById('cancel-test-button');
+    if (cancelTestButton) {
+        cancelTestButton.style.display = running ? 'inline-block' : 'none';
+        if (!running) {
+            cancelTestButton.disabled = false;
+            cancelTestButton.querySelector('.ms-Button-label').textContent = 'Cancel';
+        }
+    }
 }
\ No newline at end of file
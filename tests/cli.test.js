@@ -0,0 +1,147 @@
+/**
+ * Tests of the command line runner: its output and exit codes
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'scripts', 'cli.js');
+const SAMPLE_SUITE = path.join(__dirname, 'sample-test.json');
+const SAMPLE_WORKBOOK = path.join(__dirname, 'sample-workbook.json');
+
+const folders = [];
+test.after(() => folders.forEach(folder => fs.rmSync(folder, { recursive: true, force: true })));
+
+function runCli(...args) {
+    const child = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 30000 });
+    return { code: child.status, stdout: child.stdout, stderr: child.stderr };
+}
+
+// Write files into a new temporary folder and return their paths
+function writeFiles(files) {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'excel-test-cli-'));
+    folders.push(folder);
+    const paths = {};
+    for (const [name, content] of Object.entries(files)) {
+        paths[name] = path.join(folder, name);
+        fs.writeFileSync(paths[name], typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+    }
+    return paths;
+}
+
+test('exits with 0 when every test passes', () => {
+    const { code, stdout } = runCli(SAMPLE_SUITE, SAMPLE_WORKBOOK);
+    assert.strictEqual(code, 0);
+    // Nothing but the results goes to stdout
+    assert.match(stdout, /^PASS {2}Base case cost/);
+    assert.match(stdout, /1 of 1 tests passed/);
+});
+
+test('exits with 1 and prints the failure when a test fails', () => {
+    const suite = JSON.parse(fs.readFileSync(SAMPLE_SUITE, 'utf8'));
+    suite[0].assertions[0].equals = 1;
+    const paths = writeFiles({ 'suite.json': suite });
+    const { code, stdout } = runCli(paths['suite.json'], SAMPLE_WORKBOOK);
+    assert.strictEqual(code, 1);
+    assert.match(stdout, /FAIL {2}Base case cost/);
+    assert.match(stdout, /Sheet1!B5: /);
+});
+
+test('exits with 1 when the suite runs past its time limit', () => {
+    // A workbook module can add formula functions; SLOW() takes 50 ms
+    const paths = writeFiles({
+        'workbook.js': `module.exports = {
+            sheets: { Sheet1: { B2: 1, B3: '=SLOW()+B2' } },
+            functions: { SLOW: () => { const until = Date.now() + 50; while (Date.now() < until) {} return 1; } }
+        };`,
+        'suite.json': [1, 2, 3].map(value => ({ name: `Slow ${value}`, inputs: { 'Sheet1!B2': value }, assertions: [{ cell: 'Sheet1!B3', equals: value + 1 }] }))
+    });
+    const { code, stdout } = runCli(paths['suite.json'], paths['workbook.js'], '--timeout', '30');
+    assert.strictEqual(code, 1);
+    assert.match(stdout, /run timed out/);
+});
+
+test('exits with 2 when the suite is not valid', () => {
+    const paths = writeFiles({ 'suite.json': '[{ "name": "No assertions", "inputs": {} }]' });
+    const { code, stderr } = runCli(paths['suite.json'], SAMPLE_WORKBOOK);
+    assert.strictEqual(code, 2);
+    assert.match(stderr, /^Error: /m);
+});
+
+test('exits with 2 when the workbook cannot be loaded', () => {
+    const { code, stderr } = runCli(SAMPLE_SUITE, path.join(os.tmpdir(), 'no-such-workbook.json'));
+    assert.strictEqual(code, 2);
+    assert.match(stderr, /Could not load workbook/);
+});
+
+test('exits with 2 and prints the usage without a workbook', () => {
+    const { code, stderr } = runCli(SAMPLE_SUITE);
+    assert.strictEqual(code, 2);
+    assert.match(stderr, /Usage: /);
+});
+
+test('--update-baselines patches only the baseline values and exits with 0', () => {
+    const suiteText = `{
+    "tests": [
+        {
+            "name": "Budget",
+            "inputs": { "Sheet1!B2": 2 },
+            "assertions": [
+                { "cell": "Sheet1!B3:B5", "baseline": [[1], [""], [2]] }
+            ]
+        },
+        { "name": "Doubled", "extends": "Budget", "inputs": { "Sheet1!B3": 100000 } }
+    ]
+}
+`;
+    const paths = writeFiles({ 'suite.json': suiteText });
+    const first = runCli(paths['suite.json'], SAMPLE_WORKBOOK, '--update-baselines');
+    assert.strictEqual(first.code, 0, first.stdout);
+    assert.match(first.stdout, /Approved {2}Budget: Sheet1!B3:B5/);
+    assert.match(first.stdout, /Approved {2}Doubled: Sheet1!B3:B5/);
+
+    const updated = fs.readFileSync(paths['suite.json'], 'utf8');
+    assert.strictEqual(updated, `{
+    "tests": [
+        {
+            "name": "Budget",
+            "inputs": { "Sheet1!B2": 2 },
+            "assertions": [
+                { "cell": "Sheet1!B3:B5", "baseline": [
+                  [50000],
+                  [""],
+                  [25000]
+                ] }
+            ]
+        },
+        { "name": "Doubled", "extends": "Budget", "inputs": { "Sheet1!B3": 100000 },
+        "assertions": [
+          {"cell":"Sheet1!B3:B5", "baseline": [
+            [100000],
+            [""],
+            [50000]
+          ]}
+        ] }
+    ]
+}
+`);
+    assert.strictEqual(runCli(paths['suite.json'], SAMPLE_WORKBOOK).code, 0);
+});
+
+test('--update-baselines still exits with 1 when other assertions fail', () => {
+    const paths = writeFiles({
+        'suite.json': [{
+            name: 'Budget',
+            inputs: { 'Sheet1!B2': 2 },
+            assertions: [{ cell: 'Sheet1!B5', equals: 1 }, { cell: 'Sheet1!B3:B5', baseline: 'budget.baseline.json' }]
+        }]
+    });
+    const { code, stdout } = runCli(paths['suite.json'], SAMPLE_WORKBOOK, '--update-baselines');
+    assert.strictEqual(code, 1);
+    assert.match(stdout, /Approved {2}Budget: Sheet1!B3:B5 in budget.baseline.json/);
+    assert.ok(fs.existsSync(path.join(path.dirname(paths['suite.json']), 'budget.baseline.json')));
+});
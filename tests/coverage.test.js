@@ -0,0 +1,71 @@
+/**
+ * Tests of formula coverage
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Runner = require('../scripts/test-runner.js');
+const MemoryWorkbook = require('../scripts/memory-workbook.js');
+const Coverage = require('../scripts/coverage.js');
+
+// Price and volume inputs feed revenue; the unit cost only feeds the margin
+function createWorkbook() {
+    return MemoryWorkbook.createMemoryWorkbook({
+        sheets: {
+            Inputs: { B1: 10, B2: 100, B3: 4 },
+            Model: { B1: '=Inputs!B1*Inputs!B2', B2: '=Inputs!B3*Inputs!B2', B3: '=B1-B2', B4: '=B3/B1' }
+        }
+    });
+}
+
+test('formulas between a test\'s inputs and its assertions are covered', async () => {
+    const suiteResult = await Runner.runTestSuite([
+        { name: 'Revenue', inputs: { 'Inputs!B1': 20 }, assertions: [{ cell: 'Model!B1', equals: 2000 }] }
+    ], { backend: createWorkbook(), coverage: true });
+    const { coverage } = suiteResult;
+    assert.strictEqual(coverage.formulaCount, 4);
+    assert.strictEqual(coverage.coveredCount, 1);
+    assert.deepStrictEqual(coverage.sheets, [{ worksheetName: 'Model', formulaCount: 4, coveredCount: 1, percent: 25, uncovered: ['Model!B2', 'Model!B3', 'Model!B4'] }]);
+    assert.deepStrictEqual(coverage.tests, [{ testName: 'Revenue', coveredCount: 1 }]);
+});
+
+test('beforeEach inputs are inputs of every test', async () => {
+    const suite = {
+        beforeEach: { inputs: { 'Inputs!B3': 5 } },
+        tests: [{ name: 'Margin', inputs: {}, assertions: [{ cell: 'Model!B4', equals: 0.5 }] }]
+    };
+    const suiteResult = await Runner.runTestSuite(suite, { backend: createWorkbook(), coverage: true });
+    assert.strictEqual(suiteResult.results[0].passed, true);
+    assert.deepStrictEqual(suiteResult.coverage.sheets[0].uncovered, ['Model!B1']);
+});
+
+test('tests whose cells cannot be resolved are listed as left out', async () => {
+    const testCases = [
+        { name: 'Revenue', inputs: { 'Inputs!B1': 20 }, assertions: [{ cell: 'Model!B1', equals: 2000 }] },
+        { name: 'Unknown name', inputs: { 'Inputs!B1': 20 }, assertions: [{ cell: 'NoSuchName', equals: 1 }] }
+    ];
+    const coverage = await createWorkbook().run(context => Coverage.prepareCoverage(context, testCases.map(testCase => ({ testCase, error: null }))));
+    assert.deepStrictEqual(coverage.omitted.map(omitted => omitted.testName), ['Unknown name']);
+    assert.match(coverage.omitted[0].reason, /NoSuchName/);
+
+    const measured = Coverage.measureCoverage(coverage, testCases.map(testCase => ({ testCase, testName: testCase.name })));
+    assert.strictEqual(measured.coveredCount, 1);
+    assert.deepStrictEqual(measured.omitted, coverage.omitted);
+});
+
+test('formulas that reach an input through a defined name are covered', async () => {
+    const workbook = MemoryWorkbook.createMemoryWorkbook({
+        sheets: {
+            Inputs: { B2: 0.1, B3: 5 },
+            Model: { B3: 100, B4: '=B3*Inputs!B3', B5: '=B3*(1+GrowthRate)', B6: '=B3*Vat' }
+        },
+        names: { GrowthRate: 'Inputs!B2', Vat: 0.2 }
+    });
+    const suiteResult = await Runner.runTestSuite([
+        { name: 'Named', inputs: { GrowthRate: 0.5 }, assertions: [{ cell: 'Model!B5', equals: 150 }] }
+    ], { backend: workbook, coverage: true });
+    assert.strictEqual(suiteResult.results[0].passed, true);
+    assert.deepStrictEqual(suiteResult.coverage.sheets[0].uncovered, ['Model!B4', 'Model!B6']);
+    // A name that is not a range cannot be followed
+    assert.deepStrictEqual(suiteResult.coverage.untraced, ['Model!B6']);
+});
@@ -0,0 +1,46 @@
+/**
+ * Tests of the detection of edits made during a run
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const EditLock = require('../scripts/edit-lock.js');
+
+// A request context with one worksheet whose change events the test raises
+function createContext() {
+    const handlers = [];
+    const context = {
+        workbook: {
+            worksheets: {
+                items: [{ id: '{sheet-1}', name: 'Model' }],
+                load() {},
+                onChanged: {
+                    add(handler) {
+                        handlers.push(handler);
+                        return { remove() {} };
+                    }
+                }
+            }
+        },
+        async sync() {}
+    };
+    const change = (address, triggerSource) => Promise.all(handlers.map(handler => handler({ worksheetId: '{sheet-1}', address, triggerSource })));
+    return { context, change };
+}
+
+test('on hosts without triggerSource, only changes inside the runner\'s cells are its own', async () => {
+    const { context, change } = createContext();
+    const watcher = await EditLock.watchExternalEdits(context, { Model: ['B2', 'C2:C4'] });
+    for (const address of ['B2', 'C2:C4', 'C3', 'B2:C2', 'B2:B5', 'C4:D4', 'A1', 'B:B']) {
+        await change(address, undefined);
+    }
+    assert.deepStrictEqual(watcher.edits.map(edit => edit.address), ['B2:B5', 'C4:D4', 'A1', 'B:B']);
+});
+
+test('changes reported as made by the add-in are ignored and others are recorded', async () => {
+    const { context, change } = createContext();
+    const watcher = await EditLock.watchExternalEdits(context, { Model: ['B2'] });
+    await change('B2', 'ThisLocalAddin');
+    await change('B2', 'Unknown');
+    assert.deepStrictEqual(watcher.edits, [{ worksheetName: 'Model', address: 'B2' }]);
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests of guard mode, with a fake clock
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Guard = require('../scripts/guard.js');
+
+// Start a guard against a host whose change and calculation events the test raises
+async function startGuard(t) {
+    const handlers = { changed: [], calculated: [] };
+    const subscribe = kind => ({
+        add(handler) {
+            handlers[kind].push(handler);
+            return { remove() {} };
+        }
+    });
+    const context = { workbook: { worksheets: { onChanged: subscribe('changed'), onCalculated: subscribe('calculated') } }, async sync() {} };
+    global.Excel = { run: callback => callback(context) };
+    t.after(() => delete global.Excel);
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+
+    let triggers = 0;
+    const guard = Guard.createGuard(() => triggers++);
+    await guard.start();
+    return {
+        guard,
+        triggers: () => triggers,
+        edit: () => Promise.all(handlers.changed.map(handler => handler({ address: 'B2', triggerSource: 'Unknown' }))),
+        calculate: () => Promise.all(handlers.calculated.map(handler => handler({})))
+    };
+}
+
+test('an edit triggers a run once edits have settled', async (t) => {
+    const host = await startGuard(t);
+    await host.edit();
+    t.mock.timers.tick(1000);
+    await host.edit();
+    t.mock.timers.tick(1000);
+    assert.strictEqual(host.triggers(), 0);
+    t.mock.timers.tick(500);
+    assert.strictEqual(host.triggers(), 1);
+});
+
+test('a recalculation that ends long after a run does not trigger another run', async (t) => {
+    const host = await startGuard(t);
+    host.guard.runStarted();
+    host.guard.runFinished();
+    // Restoring state or the calculation mode recalculates a large model for seconds
+    t.mock.timers.tick(5000);
+    await host.calculate();
+    t.mock.timers.tick(10000);
+    assert.strictEqual(host.triggers(), 0);
+});
+
+test('a recalculation after an edit postpones the run until it is over', async (t) => {
+    const host = await startGuard(t);
+    await host.edit();
+    t.mock.timers.tick(1000);
+    await host.calculate();
+    t.mock.timers.tick(1000);
+    assert.strictEqual(host.triggers(), 0);
+    t.mock.timers.tick(500);
+    assert.strictEqual(host.triggers(), 1);
+
+    host.guard.runStarted();
+    host.guard.runFinished();
+    t.mock.timers.tick(5000);
+    await host.calculate();
+    t.mock.timers.tick(10000);
+    assert.strictEqual(host.triggers(), 1);
+});
+
+test('an edit during a run triggers one more run after it', async (t) => {
+    const host = await startGuard(t);
+    host.guard.runStarted();
+    await host.edit();
+    t.mock.timers.tick(5000);
+    host.guard.runFinished();
+    assert.strictEqual(host.triggers(), 0);
+    t.mock.timers.tick(1500);
+    assert.strictEqual(host.triggers(), 1);
+});
@@ -0,0 +1,31 @@
+/**
+ * Tests of the exported result formats
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Runner = require('../scripts/test-runner.js');
+const MemoryWorkbook = require('../scripts/memory-workbook.js');
+const Report = require('../scripts/report.js');
+
+async function runWithErrorValue() {
+    const workbook = MemoryWorkbook.createMemoryWorkbook({ sheets: { Sheet1: { A1: 'Label', B1: '=1/0', C1: 1, C2: 2 } } });
+    return Runner.runTestSuite([
+        { name: 'Error value', inputs: {}, assertions: [{ cell: 'Sheet1!B1', equals: 1 }, { cell: 'Sheet1!A1', equals: 'Label' }] },
+        { name: 'Range', inputs: {}, assertions: [{ cell: 'Sheet1!C1:C2', equals: [[1], [3]] }] }
+    ], { backend: workbook });
+}
+
+test('CSV reports text values without JSON quotes', async () => {
+    const lines = Report.exportRunReport(await runWithErrorValue(), 'csv', 'suite.json').split('\r\n');
+    assert.ok(lines.some(line => line.includes(',Sheet1!B1,equals,1,#DIV/0!,')), lines.join('\n'));
+    assert.ok(lines.some(line => line.includes(',Sheet1!A1,equals,Label,Label,')), lines.join('\n'));
+    // Ranges stay JSON, quoted as one CSV field
+    assert.ok(lines.some(line => line.includes(',Sheet1!C1:C2,equals,"[[1],[3]]","[[1],[2]]",')), lines.join('\n'));
+});
+
+test('JUnit XML reports text values without JSON quotes', async () => {
+    const xml = Report.exportRunReport(await runWithErrorValue(), 'junit', 'suite.json');
+    assert.match(xml, /FAIL Sheet1!B1: expected 1, actual #DIV\/0!/);
+    assert.doesNotMatch(xml, /&quot;#DIV\/0!&quot;/);
+});
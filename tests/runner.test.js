@@ -0,0 +1,199 @@
+/**
+ * Tests of the runner itself, run against the in-memory workbook:
+ *   node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Runner = require('../scripts/test-runner.js');
+const MemoryWorkbook = require('../scripts/memory-workbook.js');
+
+// A small cost model: B5 = B3 / B2, and a total over a range of inputs
+function createWorkbook(hooks) {
+    return MemoryWorkbook.createMemoryWorkbook({
+        sheets: {
+            Sheet1: { B2: 2, B3: 60000, B5: '=B3/B2', D2: 1, D3: 2, D4: 3, D5: '=SUM(D2:D4)' }
+        }
+    }, hooks);
+}
+
+function runSuite(workbook, suite, options = {}) {
+    return Runner.runTestSuite(suite, Object.assign({ backend: workbook }, options));
+}
+
+test('a test passes when every assertion holds', async () => {
+    const suiteResult = await runSuite(createWorkbook(), [
+        { name: 'Base case', inputs: { 'Sheet1!B2': 4, 'Sheet1!B3': 100 }, assertions: [{ cell: 'Sheet1!B5', equals: 25 }] }
+    ]);
+    assert.strictEqual(suiteResult.passedCount, 1);
+    assert.strictEqual(suiteResult.totalCount, 1);
+    assert.strictEqual(suiteResult.results[0].passed, true);
+});
+
+test('a test fails with the actual value when an assertion does not hold', async () => {
+    const suiteResult = await runSuite(createWorkbook(), [
+        { name: 'Wrong', inputs: { 'Sheet1!B2': 4 }, assertions: [{ cell: 'Sheet1!B5', equals: 1 }] }
+    ]);
+    const [assertionResult] = suiteResult.results[0].assertionResults;
+    assert.strictEqual(suiteResult.passedCount, 0);
+    assert.strictEqual(assertionResult.passed, false);
+    assert.strictEqual(assertionResult.actual, 15000);
+});
+
+test('a range input writes a 2D array of values', async () => {
+    const suiteResult = await runSuite(createWorkbook(), [
+        { name: 'Range', inputs: { 'Sheet1!D2:D4': [[10], [20], [30]] }, assertions: [{ cell: 'Sheet1!D5', equals: 60 }] }
+    ]);
+    assert.strictEqual(suiteResult.results[0].passed, true);
+});
+
+test('the original values and formulas are restored after the run', async () => {
+    const workbook = createWorkbook();
+    const suiteResult = await runSuite(workbook, [
+        { name: 'Overwrite', inputs: { 'Sheet1!B2': 8, 'Sheet1!B5': 0, 'Sheet1!D2:D4': [[0], [0], [0]] }, assertions: [{ cell: 'Sheet1!D5', equals: 0 }] }
+    ]);
+    assert.strictEqual(suiteResult.restore.verified, true);
+    assert.strictEqual(workbook.getValue('Sheet1!B2'), 2);
+    assert.strictEqual(workbook.getFormula('Sheet1!B5'), '=B3/B2');
+    assert.strictEqual(workbook.getValue('Sheet1!B5'), 30000);
+    assert.strictEqual(workbook.getValue('Sheet1!D5'), 6);
+});
+
+// F1 calls SLOW(), which takes 50 ms each time the workbook calculates
+async function createSlowWorkbook() {
+    const workbook = createWorkbook({
+        functions: {
+            SLOW: () => {
+                const until = Date.now() + 50;
+                while (Date.now() < until) {
+                    // Busy-wait: the memory workbook calculates synchronously
+                }
+                return 1;
+            }
+        }
+    });
+    await workbook.run(async (context) => {
+        context.workbook.worksheets.getItem('Sheet1').getRange('F1').formulas = [['=SLOW()+B2']];
+        await context.sync();
+    });
+    return workbook;
+}
+
+test('a test that runs past its time limit fails and the suite goes on', async () => {
+    const workbook = await createSlowWorkbook();
+    const suiteResult = await runSuite(workbook, [
+        { name: 'Slow', timeoutMs: 10, inputs: { 'Sheet1!B2': 3 }, assertions: [{ cell: 'Sheet1!F1', equals: 4 }] },
+        { name: 'Fast', inputs: { 'Sheet1!B2': 4 }, assertions: [{ cell: 'Sheet1!B5', equals: 15000 }] }
+    ]);
+    assert.strictEqual(suiteResult.results[0].passed, false);
+    assert.match(suiteResult.results[0].error, /timed out after 10 ms/);
+    assert.strictEqual(suiteResult.results[1].passed, true);
+    assert.strictEqual(suiteResult.restore.verified, true);
+    assert.strictEqual(workbook.getValue('Sheet1!B2'), 2);
+});
+
+test('a suite that runs past its time limit is interrupted and restored', async () => {
+    const workbook = await createSlowWorkbook();
+    const tests = [1, 2, 3].map(value => ({ name: `Slow ${value}`, inputs: { 'Sheet1!B2': value }, assertions: [{ cell: 'Sheet1!F1', equals: value + 1 }] }));
+    const suiteResult = await runSuite(workbook, tests, { timeoutMs: 30 });
+    assert.strictEqual(suiteResult.interrupted, 'timedOut');
+    assert.ok(suiteResult.passedCount < 3);
+    assert.strictEqual(suiteResult.restore.verified, true);
+    assert.strictEqual(workbook.getValue('Sheet1!B2'), 2);
+});
+
+test('a label-anchored reference to an empty sheet fails only its own test', async () => {
+    const workbook = MemoryWorkbook.createMemoryWorkbook({
+        sheets: { Sheet1: { A2: 'Total', B2: '=1+1' }, Empty: {} }
+    });
+    const suiteResult = await runSuite(workbook, [
+        { name: 'Empty sheet', inputs: {}, assertions: [{ cell: { sheet: 'Empty', find: 'Total', offset: [0, 1] }, equals: 2 }] },
+        { name: 'Anchored', inputs: {}, assertions: [{ cell: { sheet: 'Sheet1', find: 'Total', offset: [0, 1] }, equals: 2 }] }
+    ]);
+    assert.strictEqual(suiteResult.results[0].passed, false);
+    assert.match(suiteResult.results[0].error, /Label "Total" not found on sheet "Empty"/);
+    assert.strictEqual(suiteResult.results[1].passed, true);
+});
+
+test('a baseline of a label-anchored range follows the label when rows move', async () => {
+    const reference = { sheet: 'Sheet1', find: 'Total', offset: [0, 1], size: [1, 2] };
+    const suite = [{ name: 'Totals', inputs: {}, assertions: [{ cell: reference, baseline: 'totals.baseline.json' }] }];
+    const baselineFiles = {
+        'totals.baseline.json': JSON.stringify({ ranges: { '"Total" on Sheet1, offset [0, 1], size [1, 2]': { approved: '2024-01-01T00:00:00.000Z', values: [[1, 2]] } } })
+    };
+    // The same table, before and after a row is inserted above it
+    for (const sheet of [{ A2: 'Total', B2: 1, C2: 2 }, { A3: 'Total', B3: 1, C3: 2 }]) {
+        const suiteResult = await runSuite(MemoryWorkbook.createMemoryWorkbook({ sheets: { Sheet1: sheet } }), suite, { baselineFiles });
+        assert.strictEqual(suiteResult.results[0].passed, true, suiteResult.results[0].assertionResults[0].message);
+    }
+});
+
+test('a baseline file that is not valid fails only the tests that use it', async () => {
+    const suiteResult = await runSuite(createWorkbook(), [
+        { name: 'Broken file', inputs: {}, assertions: [{ cell: 'Sheet1!D2:D4', baseline: 'broken.baseline.json' }] },
+        { name: 'Embedded', inputs: {}, assertions: [{ cell: 'Sheet1!D2:D4', baseline: [[1], [2], [3]] }] }
+    ], { baselineFiles: { 'broken.baseline.json': '{ "ranges": ' } });
+    const [assertionResult] = suiteResult.results[0].assertionResults;
+    assert.strictEqual(suiteResult.results[0].passed, false);
+    assert.strictEqual(suiteResult.results[0].error, null);
+    assert.match(assertionResult.message, /Baseline file "broken.baseline.json" is not valid JSON/);
+    assert.strictEqual(suiteResult.results[1].passed, true);
+});
+
+test('hosts before ExcelApi 1.9 wait instead of loading the calculation state', async (t) => {
+    global.Office = { context: { requirements: { isSetSupported: (name, version) => name === 'ExcelApi' && Number(version) < 1.9 } } };
+    t.after(() => delete global.Office);
+    // Like those hosts, fail the sync when calculationState is loaded
+    const workbook = createWorkbook();
+    const olderHost = {
+        run: callback => workbook.run(context => {
+            const application = context.workbook.application;
+            application.load = properties => {
+                if (String(properties).includes('calculationState')) {
+                    throw new Error('PropertyNotLoaded: calculationState');
+                }
+            };
+            return callback(context);
+        })
+    };
+    const suiteResult = await runSuite(olderHost, [
+        { name: 'Base case', inputs: { 'Sheet1!B2': 4 }, assertions: [{ cell: 'Sheet1!B5', equals: 15000 }] }
+    ]);
+    assert.strictEqual(suiteResult.results[0].passed, true, suiteResult.results[0].error);
+    assert.strictEqual(suiteResult.results[0].calculation.settled, null);
+});
+
+test('a test that times out is reported in its result without logging an error', async (t) => {
+    const workbook = await createSlowWorkbook();
+    const logged = t.mock.method(console, 'error', () => {});
+    const suiteResult = await runSuite(workbook, [
+        { name: 'Slow', timeoutMs: 10, inputs: { 'Sheet1!B2': 3 }, assertions: [{ cell: 'Sheet1!F1', equals: 4 }] }
+    ]);
+    assert.match(suiteResult.results[0].error, /timed out after 10 ms/);
+    assert.strictEqual(logged.mock.callCount(), 0);
+});
+
+test('failure highlights and coverage shading are cleared separately', async () => {
+    const workbook = MemoryWorkbook.createMemoryWorkbook({
+        sheets: { Sheet1: { A1: 1, A2: 2, B1: '=A1*2', B2: '=A2*2', C1: '=B1+1' } }
+    });
+    await workbook.run(async (context) => {
+        context.workbook.worksheets.getItem('Sheet1').getRange('C1').format.fill.color = '#00FF00';
+        await context.sync();
+    });
+    const suiteResult = await runSuite(workbook, [
+        { name: 'Fails', inputs: { 'Sheet1!A1': 3 }, assertions: [{ cell: 'Sheet1!B1', equals: 0 }] }
+    ], { coverage: true });
+    const fillsOf = () => ['Sheet1!A1', 'Sheet1!B1', 'Sheet1!B2', 'Sheet1!C1'].map(address => workbook.getFill(address));
+
+    assert.deepStrictEqual(await Runner.highlightRun(suiteResult.results, suiteResult.coverage, workbook), { outputCount: 1, inputCount: 1, uncoveredCount: 2 });
+    assert.deepStrictEqual(fillsOf(), ['#FFEB9C', '#FFC7CE', '#E4DFEC', '#E4DFEC']);
+
+    assert.deepStrictEqual(await Runner.clearHighlights('failures', workbook), { mismatches: [] });
+    assert.deepStrictEqual(fillsOf(), [null, null, '#E4DFEC', '#E4DFEC']);
+    assert.ok(await Runner.findHighlights(workbook));
+
+    assert.deepStrictEqual(await Runner.clearHighlights('uncovered', workbook), { mismatches: [] });
+    assert.deepStrictEqual(fillsOf(), [null, null, null, '#00FF00']);
+    assert.strictEqual(await Runner.findHighlights(workbook), null);
+});